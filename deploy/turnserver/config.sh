@@ -15,8 +15,10 @@ sudo nano /etc/turnserver.conf
 # realm=yourdomain.com
 # server-name=yourdomain.com
 
-# # Credentials (static)
-# user=yourusername:yourpassword
+# # Credentials (time-limited, minted by the server's /api/ice-servers)
+# # Must match TURN_SECRET on the server
+# use-auth-secret
+# static-auth-secret=YOUR_TURN_SECRET
 
 # # TLS (optional but recommended)
 # cert=/etc/letsencrypt/live/yourdomain.com/fullchain.pem
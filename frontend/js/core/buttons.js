@@ -44,6 +44,7 @@ function initButtons() {
   initSettingsButton();
   initLeaveButton();
   initMicCameraTest();
+  initDownloadRoomLogButton();
 }
 
 // Toggle microphone
@@ -85,6 +86,12 @@ function initCameraButton() {
   if (cameraBtn && cameraIcon) {
     cameraBtn.addEventListener('click', async function () {
       if (!isCameraOn) {
+        // Stage mode: ask the host instead when we may not share video
+        if (window.SocketHandler && !window.SocketHandler.canPublishVideo()) {
+          window.SocketHandler.requestPublish();
+          return;
+        }
+
         // Request camera permission and start camera
         const success = await window.MediaModule?.requestCameraPermission();
         if (success) {
@@ -151,6 +158,11 @@ function initShareButton() {
     const currentlySharing = !!window.MediaModule.isScreenSharing?.();
 
     if (!currentlySharing) {
+      // Stage mode: ask the host instead when we may not share video
+      if (window.SocketHandler && !window.SocketHandler.canPublishVideo()) {
+        window.SocketHandler.requestPublish();
+        return;
+      }
       await window.MediaModule.startScreenShare();
     } else {
       window.MediaModule.stopScreenShare();
@@ -393,11 +405,11 @@ function initSettingsButton() {
     settingsBtn.addEventListener('click', function () {
       settingsModal.classList.add('show');
 
-      // Show/hide admin section based on host status
-      const isHost = typeof window.RecordingModule?.isHost === 'function' ? window.RecordingModule.isHost() : false;
+      // Show/hide admin section based on our role (host / co-host)
+      const isManager = !!window.SocketHandler?.isRoomManager?.();
       const adminSection = document.getElementById('admin-settings-section');
       if (adminSection) {
-        adminSection.style.display = isHost ? 'flex' : 'none';
+        adminSection.style.display = isManager ? 'flex' : 'none';
       }
 
       // Load persisted settings into the room modal each time it opens
@@ -435,16 +447,19 @@ function _loadRoomSettings() {
   const s = window.AppSettings.getAll();
 
   _setToggle('settings-noise-cancelling', s.noiseCancelling);
+  _setToggle('settings-audio-only', s.audioOnlyMode);
   _setToggle('settings-auto-recording', s.autoRecording);
   _setToggle('settings-optimize-video', s.optimizeVideoStreaming);
   _setToggle('settings-password-toggle', s.passwordEnabled);
+  _setToggle('settings-lobby', window.SocketHandler?.getRoomLobbyEnabled?.() ?? s.lobbyEnabled);
   _setToggle('settings-force-mute', s.forceMute);
   _setToggle('settings-force-camera', s.forceCloseCamera);
   _setToggle('settings-disable-chat', s.disableChat);
   _setToggle('settings-disable-emoji', s.disableEmoji);
 
+  // Show the live room limit from the server when we have it
   const maxUserInput = document.getElementById('settings-max-user');
-  if (maxUserInput) maxUserInput.value = s.maxUser;
+  if (maxUserInput) maxUserInput.value = window.SocketHandler?.getRoomMaxUsers?.() || s.maxUser;
 
   const passwordInputContainer = document.getElementById('password-input-container');
   const passwordInput = document.getElementById('room-password-input');
@@ -477,20 +492,30 @@ function _attachRoomSettingsListeners() {
     });
   }
 
-  function bindInput(id, key) {
+  function bindInput(id, key, onCommitFn) {
     const el = document.getElementById(id);
     if (!el) return;
     const save = () => {
       const val = el.type === 'number' ? Number(el.value) : el.value;
       window.AppSettings.set(key, val);
+      return val;
     };
     el.addEventListener('input', save);
-    el.addEventListener('change', save);
+    el.addEventListener('change', () => {
+      const val = save();
+      // 'change' fires once the value is committed (blur / Enter / spinner)
+      if (onCommitFn) onCommitFn(val);
+    });
   }
 
   // Voice & Video — noise cancelling is "Developing" / disabled; persist anyway
   bindToggle('settings-noise-cancelling', 'noiseCancelling');
 
+  // Audio-only: switch what the SFU sends us straight away
+  bindToggle('settings-audio-only', 'audioOnlyMode', (enabled) => {
+    window.UsersModule?.setAudioOnlyMode?.(enabled);
+  });
+
   // Room
   bindToggle('settings-auto-recording', 'autoRecording', (enabled) => {
     // Trigger/stop recording immediately when toggled inside a live room
@@ -521,7 +546,25 @@ function _attachRoomSettingsListeners() {
   });
 
   bindInput('room-password-input', 'roomPassword');
-  bindInput('settings-max-user', 'maxUser');
+  bindToggle('settings-lobby', 'lobbyEnabled', (enabled) => {
+    const socket = window.SocketHandler?.getSocket();
+    const roomId = window.SocketHandler?.getCurrentRoomId();
+    const userId = localStorage.getItem('userId');
+    if (socket && roomId && userId) {
+      // Turning the lobby off admits everyone still waiting
+      socket.emit('admin-lobby', { roomId, userId, enabled });
+    }
+  });
+
+  bindInput('settings-max-user', 'maxUser', (maxUsers) => {
+    const socket = window.SocketHandler?.getSocket();
+    const roomId = window.SocketHandler?.getCurrentRoomId();
+    const userId = localStorage.getItem('userId');
+    if (socket && roomId && userId) {
+      // Server verifies host status, clamps the value and broadcasts 'admin-max-users'
+      socket.emit('admin-set-max-users', { roomId, userId, maxUsers });
+    }
+  });
 
   // Admin
   bindToggle('settings-force-mute', 'forceMute', (enabled) => {
@@ -563,6 +606,58 @@ function _attachRoomSettingsListeners() {
       socket.emit('admin-disable-emoji', { roomId, userId, enabled });
     }
   });
+
+  // Who can share video — room state lives on the server, so it is not kept in AppSettings
+  const publishPolicySelect = document.getElementById('settings-publish-policy');
+  if (publishPolicySelect) {
+    publishPolicySelect.addEventListener('change', function () {
+      const socket = window.SocketHandler?.getSocket();
+      const roomId = window.SocketHandler?.getCurrentRoomId();
+      const userId = localStorage.getItem('userId');
+      if (socket && roomId && userId) {
+        // The server broadcasts 'publish-policy' and stops video that is no longer allowed
+        socket.emit('admin-publish-policy', { roomId, userId, policy: this.value });
+      }
+    });
+  }
+}
+
+// Download the room's recent server log (host / co-host) for a problem report
+function initDownloadRoomLogButton() {
+  const downloadBtn = document.getElementById('download-room-log-btn');
+  if (!downloadBtn) return;
+
+  downloadBtn.addEventListener('click', async () => {
+    const roomId = window.SocketHandler?.getCurrentRoomId();
+    if (!roomId) return;
+
+    downloadBtn.disabled = true;
+    downloadBtn.textContent = 'Downloading…';
+    try {
+      const res = await fetch(`${getAPIURL()}/rooms/${encodeURIComponent(roomId)}/logs`, {
+        headers: { 'Authorization': `Bearer ${window.getSessionToken?.(roomId) || ''}` }
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `room-${roomId}-log.jsonl`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[RoomLog] Download failed:', err);
+      alert(`Could not download the room log: ${err.message}`);
+    } finally {
+      downloadBtn.disabled = false;
+      downloadBtn.textContent = 'Download';
+    }
+  });
 }
 
 
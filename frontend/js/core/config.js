@@ -21,6 +21,19 @@ const ServerConfig = {
   
   // Auto-detect protocol based on current page
   autoDetectProtocol: true,
+
+  // Talk to the server that served the page (e.g. http://localhost:8443 in
+  // development) instead of the fallback. Pages on the primary host are served
+  // by nginx and always use the primary server.
+  usePageOrigin: true,
+
+  // Path the SFU (WebRTC signalling) endpoints are mounted under on the server
+  sfuPath: '/sfu',
+
+  // Socket.io transports; null keeps its defaults (long-polling, upgraded to
+  // WebSocket). A server run as several workers without sticky sessions needs
+  // ['websocket'], since polling requests can reach different workers.
+  socketTransports: null,
   
   // Connection timeout in milliseconds
   connectionTimeout: 2000
@@ -44,6 +57,16 @@ function buildServerURL(config) {
   return `${protocol}://${config.host}:${config.port}`;
 }
 
+/**
+ * Origin of the page if the server itself served it (see usePageOrigin), else null
+ */
+function getPageOrigin() {
+  if (!ServerConfig.usePageOrigin || typeof window === 'undefined') return null;
+  const { protocol, hostname, origin } = window.location;
+  if (protocol !== 'http:' && protocol !== 'https:') return null;
+  return hostname === ServerConfig.primary.host ? null : origin;
+}
+
 /**
  * Determine the best server URL to use
  * Tries primary first, then alternative, then fallback
@@ -56,6 +79,15 @@ async function determineServerURL() {
   if (cachedServerURL) {
     return cachedServerURL;
   }
+
+  // Pages served by the server itself (local development) talk back to it
+  const pageOrigin = getPageOrigin();
+  if (pageOrigin) {
+    cachedServerURL = pageOrigin;
+    cachedAPIURL = `${pageOrigin}/api`;
+    console.log(`[Config] Using page origin: ${cachedServerURL}`);
+    return cachedServerURL;
+  }
   
   const servers = [
     { name: 'primary', config: ServerConfig.primary },
@@ -88,7 +120,7 @@ function getServerURL() {
     return cachedServerURL;
   }
   // Return default if not yet determined
-  return buildServerURL(ServerConfig.fallback);
+  return getPageOrigin() || buildServerURL(ServerConfig.fallback);
 }
 
 /**
@@ -99,7 +131,14 @@ function getAPIURL() {
     return cachedAPIURL;
   }
   // Return default if not yet determined
-  return `${buildServerURL(ServerConfig.fallback)}/api`;
+  return `${getServerURL()}/api`;
+}
+
+/**
+ * Base URL of the SFU endpoints (POST /publish, /consumer, ...)
+ */
+function getSfuURL() {
+  return `${getServerURL()}${ServerConfig.sfuPath}`;
 }
 
 /**
@@ -118,6 +157,7 @@ if (typeof module !== 'undefined' && module.exports) {
     determineServerURL,
     getServerURL,
     getAPIURL,
+    getSfuURL,
     resetServerURL,
     buildServerURL,
     getCurrentProtocol
@@ -128,6 +168,7 @@ if (typeof module !== 'undefined' && module.exports) {
   window.determineServerURL = determineServerURL;
   window.getServerURL = getServerURL;
   window.getAPIURL = getAPIURL;
+  window.getSfuURL = getSfuURL;
   window.resetServerURL = resetServerURL;
 }
 
@@ -141,12 +182,14 @@ const APP_SETTINGS_KEY = 'appSettings';
 const DEFAULT_SETTINGS = {
   // Voice & Video
   noiseCancelling: false,
+  audioOnlyMode: false,
 
   // Room
   autoRecording: false,
   optimizeVideoStreaming: true,
   passwordEnabled: false,
   roomPassword: '',
+  lobbyEnabled: false,
   maxUser: 50,
 
   // Admin (host only)
@@ -208,4 +251,99 @@ const AppSettings = (() => {
 // Expose globally
 if (typeof window !== 'undefined') {
   window.AppSettings = AppSettings;
-}
\ No newline at end of file
+}
+// ─────────────────────────────────────────────────────────────
+// Session tokens — issued by /api/rooms/create and /api/rooms/join.
+// The server derives who we are from this token (socket + recording),
+// so it is kept per room and sent instead of a bare userId.
+// ─────────────────────────────────────────────────────────────
+const SESSION_TOKEN_PREFIX = 'sessionToken:';
+
+function getSessionToken(roomId) {
+  try {
+    return localStorage.getItem(SESSION_TOKEN_PREFIX + roomId);
+  } catch (e) {
+    return null;
+  }
+}
+
+function setSessionToken(roomId, token) {
+  try {
+    if (token) {
+      localStorage.setItem(SESSION_TOKEN_PREFIX + roomId, token);
+    } else {
+      localStorage.removeItem(SESSION_TOKEN_PREFIX + roomId);
+    }
+  } catch (e) {
+    console.warn('[Config] Failed to save session token:', e);
+  }
+}
+
+// The host token (from /api/rooms/schedule) is not tied to a room: it
+// proves which host we are, e.g. to list the meetings we scheduled.
+const HOST_TOKEN_KEY = 'hostToken';
+
+function getHostToken() {
+  try {
+    return localStorage.getItem(HOST_TOKEN_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function setHostToken(token) {
+  try {
+    if (token) {
+      localStorage.setItem(HOST_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(HOST_TOKEN_KEY);
+    }
+  } catch (e) {
+    console.warn('[Config] Failed to save host token:', e);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.getSessionToken = getSessionToken;
+  window.setSessionToken = setSessionToken;
+  window.getHostToken = getHostToken;
+  window.setHostToken = setHostToken;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ICE servers — fetched from /api/ice-servers with the room's session
+// token. TURN credentials are minted for us and expire, so the list is
+// fetched again shortly before they do.
+// ─────────────────────────────────────────────────────────────
+const ICE_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Used when the server cannot be reached: STUN only, no relay
+const FALLBACK_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+let cachedIceServers = null; // { roomId, iceServers, expiresAt }
+
+async function getIceServers(roomId) {
+  const cached = cachedIceServers;
+  if (cached && cached.roomId === roomId &&
+      (!cached.expiresAt || cached.expiresAt - ICE_REFRESH_MARGIN_MS > Date.now())) {
+    return cached.iceServers;
+  }
+
+  try {
+    const res = await fetch(`${getAPIURL()}/ice-servers`, {
+      headers: { Authorization: `Bearer ${getSessionToken(roomId)}` }
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+
+    const { iceServers, expiresAt } = await res.json();
+    cachedIceServers = { roomId, iceServers, expiresAt };
+    return iceServers;
+  } catch (e) {
+    console.warn('[Config] Failed to fetch ICE servers, using STUN only:', e);
+    return FALLBACK_ICE_SERVERS;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.getIceServers = getIceServers;
+}
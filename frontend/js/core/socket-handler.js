@@ -6,6 +6,11 @@
 let socket = null;
 let userId = null;
 let currentRoomId = null;
+let roomMaxUsers = null; // server-side participant limit for the current room
+let roomLobbyEnabled = null; // whether the room's waiting room is on
+let roomHostId = null;
+let myRole = null; // 'host' | 'co-host' | 'presenter' | 'participant'
+let publishState = { policy: 'everyone', approvedUsers: [], revokedUsers: [] }; // who may share camera / screen
 
 function getSocket() {
   return socket;
@@ -19,27 +24,75 @@ function getCurrentRoomId() {
   return currentRoomId;
 }
 
+function getRoomMaxUsers() {
+  return roomMaxUsers;
+}
+
+function getRoomLobbyEnabled() {
+  return roomLobbyEnabled;
+}
+
+function getRoomHostId() {
+  return roomHostId;
+}
+
+function getMyRole() {
+  return myRole;
+}
+
+/** Host and co-hosts see the admin controls (the server checks each action) */
+function isRoomManager() {
+  return myRole === 'host' || myRole === 'co-host';
+}
+
+function getPublishState() {
+  return publishState;
+}
+
+/** Whether the room's publish policy lets us share camera / screen (the SFU enforces it) */
+function canPublishVideo() {
+  if (isRoomManager()) return true;
+  if ((publishState.revokedUsers || []).includes(userId)) return false;
+  if (publishState.policy === 'everyone') return true;
+  return publishState.policy === 'approved' && publishState.approvedUsers.includes(userId);
+}
+
+/** Ask the host to let us share camera / screen */
+function requestPublish() {
+  if (!socket || !currentRoomId) return;
+  socket.emit('publish-request', { roomId: currentRoomId, userId });
+  _showAdminBanner(publishState.policy === 'host'
+    ? 'Only hosts can share video — asked the host to let you share'
+    : 'Asked the host to let you share video');
+}
+
 
 // Initialize socket connection
 async function initSocket(roomId, userData) {
   currentRoomId = roomId;
   userId = userData.userId;
 
-  // Connect to Socket.io server
-  socket = io(getServerURL());
+  // Connect to Socket.io server (transports per ServerConfig.socketTransports)
+  const transports = window.ServerConfig && window.ServerConfig.socketTransports;
+  socket = io(getServerURL(), transports ? { transports } : {});
 
   socket.on('connect', () => {
     console.log('[SocketHandler] Connected to server');
-    // Join the room
+    // Join the room — the server takes our identity from the session token
     socket.emit('join-room', {
       roomId: roomId,
-      userId: userId
+      token: userData.token
     });
   });
 
   socket.on('room-joined', async (data) => {
     console.log('[SocketHandler] Successfully joined room:', data);
     document.querySelector('.room-name').textContent = data.roomName;
+    _setLobbyScreen(false);
+
+    if (data.resumed) {
+      _showAdminBanner('Reconnected');
+    }
 
     // Display all users in sidebar and update count
     if (data.users && Array.isArray(data.users)) {
@@ -50,11 +103,38 @@ async function initSocket(roomId, userData) {
       console.warn('[SocketHandler] No users data received or invalid format:', data);
     }
 
+    if (data.maxUsers) {
+      roomMaxUsers = data.maxUsers;
+    }
+    roomLobbyEnabled = !!data.lobbyEnabled;
+    roomHostId = data.hostId || null;
+    myRole = data.role || 'participant';
+    if (data.publishPolicy) publishState = data.publishPolicy;
+    _setPublishPolicySelect();
+    window.RecordingModule?.refreshAccess?.();
+
+    // Host / co-hosts: load the room's ban list into the people sidebar
+    if (isRoomManager()) {
+      socket.emit('list-banned-users', { roomId: currentRoomId, userId });
+      window.UsersModule?.renderPublishRequests?.(data.publishRequests || []);
+    }
+
     // Load chat history if available
     if (data.chatHistory && Array.isArray(data.chatHistory) && window.ChatModule) {
       window.ChatModule.loadChatHistory(data.chatHistory);
     }
 
+    // Promote whoever is already speaking
+    window.UsersModule?.setActiveSpeaker?.(data.activeSpeakerId || null);
+
+    // Follow the host's spotlight, if there is one
+    window.UsersModule?.setSpotlight?.(data.spotlight || null);
+
+    // Badges for participants already on a weak connection
+    Object.entries(data.connectionQuality || {}).forEach(([uid, quality]) => {
+      window.UsersModule?.setConnectionQuality?.(uid, quality);
+    });
+
     // Sync recording state for users joining mid-recording
     if (window.RecordingModule && typeof window.RecordingModule.onRecordingStarted === 'function') {
       if (data.recordingActive) {
@@ -63,7 +143,7 @@ async function initSocket(roomId, userData) {
     }
 
     // Apply admin state for late joiners (chat/emoji disabled, etc.)
-    // Deferred slightly so RecordingModule.init() has run and isHost() is accurate.
+    // Deferred slightly so RecordingModule.init() has run.
     if (data.adminState) {
       const a = data.adminState;
       const hasAnyAdminState = a.chatDisabled || a.emojiDisabled || a.forceMute || a.forceCamera;
@@ -89,6 +169,15 @@ async function initSocket(roomId, userData) {
 
   socket.on('room-error', (data) => {
     console.error('[SocketHandler] Room error:', data);
+
+    // Stale/expired token: drop it and reload so room.js fetches a fresh one
+    if (data.code === 'unauthorized') {
+      window.setSessionToken?.(roomId, null);
+      currentRoomId = null;
+      window.location.reload();
+      return;
+    }
+
     alert(`Error: ${data.message}`);
     // Redirect back to landing page if room doesn't exist
     window.location.href = '../';
@@ -117,8 +206,23 @@ async function initSocket(roomId, userData) {
     }
   });
 
-  socket.on('disconnect', () => {
-    console.log('[SocketHandler] Disconnected from server');
+  // Others keep a dropped user listed (dimmed) while the server holds their seat
+  socket.on('user-reconnecting', (data) => {
+    console.log('[SocketHandler] User reconnecting:', data);
+    window.UsersModule?.setReconnecting?.(data.userId, true);
+  });
+
+  socket.on('user-reconnected', (data) => {
+    console.log('[SocketHandler] User reconnected:', data);
+    window.UsersModule?.setReconnecting?.(data.userId, false);
+  });
+
+  socket.on('disconnect', (reason) => {
+    console.log('[SocketHandler] Disconnected from server:', reason);
+    // Socket.io reconnects on its own; our seat is held until it does
+    if (currentRoomId && reason !== 'io client disconnect' && reason !== 'io server disconnect') {
+      _showAdminBanner('Connection lost — reconnecting…');
+    }
   });
 
   /**
@@ -143,15 +247,52 @@ async function initSocket(roomId, userData) {
       });
     }
 
-    // Re-consume to get the new stream
-    console.log(`[SocketHandler] Re-consuming to get new ${streamType} stream from ${streamUserId}...`);
-    if (window.SFUConsumeModule && typeof window.SFUConsumeModule.requestConsumeCurrentStreams === 'function') {
-      try {
-        await window.SFUConsumeModule.requestConsumeCurrentStreams(currentRoomId, userId);
-        console.log(`[SocketHandler] Successfully consumed ${streamType} stream from ${streamUserId}`);
-      } catch (error) {
-        console.error('[SocketHandler] Failed to consume new stream:', error);
-      }
+    // The track itself arrives through a 'consumer-offer' renegotiation of our existing peer
+  });
+
+  // Trickle ICE from the SFU for our own publisher / consumer peer
+  socket.on('ice-candidate', (data) => {
+    if (!data || !data.candidate) return;
+    if (data.type === 'consumer') {
+      window.SFUConsumeModule?.addIceCandidate?.(data.candidate);
+    } else if (data.type === 'publisher') {
+      window.SFUBroadcastModule?.addIceCandidate?.(data.candidate);
+    }
+  });
+
+  // Speaking rings and active speaker, measured by the SFU
+  socket.on('audio-levels', (data) => {
+    window.UsersModule?.setAudioLevels?.(data.levels);
+  });
+
+  socket.on('active-speaker', (data) => {
+    window.UsersModule?.setActiveSpeaker?.(data.userId);
+  });
+
+  // Connection grades from the SFU's view of everyone's stats
+  socket.on('connection-quality', (data) => {
+    window.UsersModule?.setConnectionQuality?.(data.userId, data.quality);
+  });
+
+  // Our uplink is struggling (or recovered) — cap or uncap our outgoing video
+  socket.on('publisher-limits', (data) => {
+    window.SFUBroadcastModule?.setVideoLimits?.(data.limits);
+  });
+
+  // Our downlink is too weak for cameras — the SFU keeps audio and screen shares only
+  socket.on('consumer-video-paused', (data) => {
+    _showAdminBanner(data.paused
+      ? 'Your connection is weak — participant video paused to keep audio going'
+      : 'Connection recovered — participant video resumed');
+  });
+
+  // The SFU added/removed tracks on our consumer peer — answer its new offer
+  socket.on('consumer-offer', async (data) => {
+    console.log('[SocketHandler] Consumer renegotiation offer:', data.streamMetadata);
+    try {
+      await window.SFUConsumeModule?.handleConsumerOffer?.(data);
+    } catch (error) {
+      console.error('[SocketHandler] Failed to answer consumer offer:', error);
     }
   });
 
@@ -274,6 +415,148 @@ async function initSocket(roomId, userData) {
     _applyDisableEmoji(data.enabled);
   });
 
+  socket.on('admin-max-users', (data) => {
+    console.log('[SocketHandler] Admin max-users:', data);
+    roomMaxUsers = data.maxUsers;
+    const maxUserInput = document.getElementById('settings-max-user');
+    if (maxUserInput) maxUserInput.value = data.maxUsers;
+  });
+
+  // ── Targeted admin events (received only by the affected participant) ─────
+
+  socket.on('admin-mute-user', (data) => {
+    console.log('[SocketHandler] Muted by host:', data);
+    _applyUserMute();
+  });
+
+  // Ban list (only ever sent to the host)
+  socket.on('banned-users', (data) => {
+    console.log('[SocketHandler] Banned users:', data);
+    window.UsersModule?.renderBannedUsers?.(data.bannedUsers);
+  });
+
+  socket.on('kicked', (data) => {
+    console.log('[SocketHandler] Kicked from room:', data);
+    _applyKicked(data.reason);
+  });
+
+  // ── Waiting room ──────────────────────────────────────────────────────────
+
+  socket.on('lobby-waiting', (data) => {
+    console.log('[SocketHandler] Waiting in lobby:', data);
+    const lobbyRoomName = document.getElementById('lobby-room-name');
+    if (lobbyRoomName && data.roomName) lobbyRoomName.textContent = data.roomName;
+    _setLobbyScreen(true);
+  });
+
+  socket.on('lobby-denied', (data) => {
+    console.log('[SocketHandler] Denied entry:', data);
+    _applyKicked(data.reason || 'The host did not let you into the meeting');
+  });
+
+  // Waiting list (only ever sent to the host)
+  socket.on('lobby-update', (data) => {
+    console.log('[SocketHandler] Lobby update:', data);
+    const waiting = data.waitingUsers || [];
+    window.UsersModule?.renderWaitingUsers?.(waiting);
+    if (data.message) {
+      _showAdminBanner(data.message);
+    } else if (waiting.length > 0) {
+      _showAdminBanner(waiting.length === 1
+        ? `${waiting[0].name} is waiting to join`
+        : `${waiting.length} people are waiting to join`);
+    }
+  });
+
+  // ── Roles ─────────────────────────────────────────────────────────────────
+
+  socket.on('user-role-updated', (data) => {
+    console.log('[SocketHandler] Role updated:', data);
+    window.UsersModule?.setUserRole?.(data.userId, data.role);
+    if (data.userId === userId) {
+      _applyMyRole(data.role);
+    }
+  });
+
+  socket.on('host-changed', (data) => {
+    console.log('[SocketHandler] Host changed:', data);
+    roomHostId = data.hostId;
+    window.UsersModule?.setUserRole?.(data.hostId, 'host');
+    if (data.hostId === userId) {
+      _applyMyRole('host');
+    } else {
+      const newHost = window.UsersModule?.getUsersList?.().find(u => u.userId === data.hostId);
+      _showAdminBanner(`${newHost?.name || 'A co-host'} is now the host`);
+    }
+  });
+
+  // The host put someone in everyone's main view (or took them out)
+  socket.on('spotlight-changed', (data) => {
+    console.log('[SocketHandler] Spotlight changed:', data);
+    window.UsersModule?.setSpotlight?.(data.spotlight || null);
+
+    if (data.spotlight) {
+      const spotlit = window.UsersModule?.getUsersList?.().find(u => u.userId === data.spotlight.userId);
+      const isMe = data.spotlight.userId === userId;
+      const what = data.spotlight.streamType === 'screen' ? 'screen' : 'camera';
+      _showAdminBanner(isMe
+        ? `The host put your ${what} in the spotlight`
+        : `${spotlit?.name || 'Someone'}'s ${what} is in the spotlight — unpin it to look elsewhere`);
+    } else {
+      _showAdminBanner('The spotlight has ended');
+    }
+  });
+
+  // ── Stage mode: who may share camera / screen ─────────────────────────────
+
+  socket.on('publish-policy', (data) => {
+    console.log('[SocketHandler] Publish policy:', data);
+    const couldPublish = canPublishVideo();
+    const policyChanged = data.policy !== publishState.policy;
+    publishState = { policy: data.policy, approvedUsers: data.approvedUsers || [], revokedUsers: data.revokedUsers || [] };
+    _setPublishPolicySelect();
+    window.UsersModule?.refreshUserItems?.();
+
+    if (couldPublish && !canPublishVideo()) {
+      _stopVideoSharing();
+      _showAdminBanner('The host has limited who can share video');
+    } else if (policyChanged && !isRoomManager() && data.policy === 'everyone') {
+      _showAdminBanner('Everyone can share video again');
+    }
+  });
+
+  // Our own request was answered, or the host took our approval back
+  socket.on('publish-permission', (data) => {
+    console.log('[SocketHandler] Publish permission:', data);
+    if (data.allowed) {
+      _showAdminBanner('You can now share your camera and screen');
+    } else if (data.reason === 'revoked') {
+      _stopVideoSharing();
+      _showAdminBanner('The host stopped your video sharing');
+    } else {
+      _showAdminBanner('The host declined your request to share video');
+    }
+  });
+
+  // Pending requests to share video (only ever sent to host / co-hosts)
+  socket.on('publish-requests', (data) => {
+    console.log('[SocketHandler] Share requests:', data);
+    const requests = data.requests || [];
+    window.UsersModule?.renderPublishRequests?.(requests);
+    if (requests.length > 0) {
+      _showAdminBanner(requests.length === 1
+        ? `${requests[0].name} is asking to share video`
+        : `${requests.length} people are asking to share video`);
+    }
+  });
+
+  socket.on('admin-lobby', (data) => {
+    console.log('[SocketHandler] Admin lobby:', data);
+    roomLobbyEnabled = !!data.enabled;
+    const lobbyToggle = document.getElementById('settings-lobby');
+    if (lobbyToggle) lobbyToggle.checked = roomLobbyEnabled;
+  });
+
   /**
    * Initialize chat module
    */
@@ -317,6 +600,57 @@ function _applyForceMute(enabled) {
   }
 }
 
+/** Per-user mute: turn off our mic once; we are free to unmute again afterwards */
+function _applyUserMute() {
+  if (window.ButtonsModule?.getMicState?.()) {
+    window.MediaModule?.toggleMicrophone(false);
+    window.ButtonsModule?.setMicState?.(false);
+    const micBtn = document.getElementById('mic-btn');
+    const micIcon = micBtn?.querySelector('img');
+    if (micBtn) micBtn.classList.add('off');
+    if (micIcon) micIcon.src = '../assets/icons/mic-off.svg';
+    window.ButtonsModule?.emitMediaUpdate?.();
+  }
+  _showAdminBanner('The host has muted you');
+}
+
+/** Kicked: release media, tell the user why, and return to the landing page */
+/** React to our own role changing (promotion, demotion, host hand-over) */
+function _applyMyRole(role) {
+  const wasManager = isRoomManager();
+  myRole = role;
+
+  window.RecordingModule?.refreshAccess?.();
+  window.UsersModule?.refreshUserItems?.();
+
+  if (isRoomManager() && !wasManager) {
+    socket?.emit('list-banned-users', { roomId: currentRoomId, userId });
+  } else if (!isRoomManager()) {
+    window.UsersModule?.renderBannedUsers?.([]);
+    window.UsersModule?.renderWaitingUsers?.([]);
+    window.UsersModule?.renderPublishRequests?.([]);
+    // The server has already stopped what a demoted co-host may no longer share
+    if (wasManager && !canPublishVideo()) _stopVideoSharing();
+  }
+
+  const labels = { host: 'You are now the host', 'co-host': 'You are now a co-host', presenter: 'You are now a presenter' };
+  _showAdminBanner(labels[role] || 'You are now a participant');
+}
+
+/** Show/hide the "waiting for the host" overlay */
+function _setLobbyScreen(visible) {
+  const lobbyScreen = document.getElementById('lobby-screen');
+  if (lobbyScreen) lobbyScreen.classList.toggle('show', visible);
+}
+
+function _applyKicked(reason) {
+  // Clear room state first so the pagehide handler does not emit leave-room again
+  currentRoomId = null;
+  window.MediaModule?.stopAllMedia?.();
+  alert(reason || 'You have been removed from the meeting');
+  window.location.href = '../index.html';
+}
+
 /** Force-close camera: turn off camera for all participants */
 function _applyForceCamera(enabled) {
   if (enabled) {
@@ -345,11 +679,32 @@ function _applyForceCamera(enabled) {
   }
 }
 
+/** Turn off our camera and screen share (publish permission lost) */
+function _stopVideoSharing() {
+  if (window.ButtonsModule?.getCameraState?.()) {
+    window.MediaModule?.stopCamera?.();
+    window.ButtonsModule?.setCameraState?.(false);
+    const cameraBtn = document.getElementById('camera-btn');
+    const cameraIcon = cameraBtn?.querySelector('img');
+    if (cameraBtn) cameraBtn.classList.add('off');
+    if (cameraIcon) cameraIcon.src = '../assets/icons/camera-off.svg';
+    window.ButtonsModule?.emitMediaUpdate?.();
+  }
+  if (window.MediaModule?.isScreenSharing?.()) {
+    window.MediaModule.stopScreenShare();
+  }
+}
+
+/** Show the room's publish policy in the admin settings */
+function _setPublishPolicySelect() {
+  const policySelect = document.getElementById('settings-publish-policy');
+  if (policySelect) policySelect.value = publishState.policy;
+}
+
 /** Disable/re-enable chat input for all participants */
 function _applyDisableChat(enabled) {
-  // The host can always chat — only restrict non-host users
-  const isHost = typeof window.RecordingModule?.isHost === 'function' && window.RecordingModule.isHost();
-  if (isHost) return;
+  // Host and co-hosts can always chat — only restrict everyone else
+  if (isRoomManager()) return;
 
   const chatInput = document.getElementById('chat-input');
   const chatSendBtn = document.getElementById('chat-send-btn');
@@ -388,9 +743,8 @@ function _applyDisableChat(enabled) {
 
 /** Hide/show the emoji reaction button for all participants */
 function _applyDisableEmoji(enabled) {
-  // The host can always use emoji — only restrict non-host users
-  const isHost = typeof window.RecordingModule?.isHost === 'function' && window.RecordingModule.isHost();
-  if (isHost) return;
+  // Host and co-hosts can always use emoji — only restrict everyone else
+  if (isRoomManager()) return;
 
   const reactionBtn = document.getElementById('reaction-btn');
   if (reactionBtn) reactionBtn.style.display = enabled ? 'none' : '';
@@ -492,5 +846,13 @@ window.SocketHandler = {
   getSocket,
   getUserId,
   getCurrentRoomId,
+  getRoomMaxUsers,
+  getRoomLobbyEnabled,
+  getRoomHostId,
+  getMyRole,
+  isRoomManager,
+  getPublishState,
+  canPublishVideo,
+  requestPublish,
   disconnectOnLeave
 };
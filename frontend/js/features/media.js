@@ -1,33 +1,3 @@
-const serverUrl = `streaming.nathadon.com`;
-const serverPort = 5000;
-const serverProtocol = 'https';
-
-const DEFAULT_ICE_SERVERS = [
-  // STUN - free Google servers are fine to keep
-  { urls: 'stun:stun.l.google.com:19302' },
-  { urls: 'stun:stun1.l.google.com:19302' },
-  {
-    urls: 'turn:138.252.93.34:3478',
-    username: 'mhon-cloud',
-    credential: 'Ofax0oEz7it9BDX7'
-  },
-  {
-    urls: 'turn:138.252.93.34:3478?transport=tcp',
-    username: 'mhon-cloud',
-    credential: 'Ofax0oEz7it9BDX7'
-  },
-  {
-    urls: 'turns:streaming.nathadon.com:5349',
-    username: 'mhon-cloud',
-    credential: 'Ofax0oEz7it9BDX7'
-  },
-  {
-    urls: 'turns:streaming.nathadon.com:5349?transport=tcp',
-    username: 'mhon-cloud',
-    credential: 'Ofax0oEz7it9BDX7'
-  }
-];
-
 /**
  * Media Module
  * Handles local media stream (camera/microphone) management
@@ -374,9 +344,12 @@ async function requestStopScreenShare(targetUserId) {
   }
 
   try {
-    await fetch(`${serverProtocol}://${serverUrl}:${serverPort}/request-stop-screenshare`, {
+    await fetch(`${getSfuURL()}/request-stop-screenshare`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${window.getSessionToken?.(roomId) || ''}`
+      },
       body: JSON.stringify({ roomId, targetUserId, requesterId })
     });
     console.log(`[Media] Requested ${targetUserId} to stop screen share`);
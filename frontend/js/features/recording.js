@@ -20,8 +20,7 @@ const RecordingModule = (() => {
     let _timerSeconds = 0;
 
     function getAPIBase() {
-        if (typeof getAPIURL === 'function') return getAPIURL();
-        return `${serverProtocol}://${serverUrl}:8443/api`;
+        return getAPIURL();
     }
 
     // init — call once after joining a room
@@ -30,17 +29,25 @@ const RecordingModule = (() => {
         _userId = userId;
         _hostId = hostId;
 
-        // Show recording button only for host
+        refreshAccess();
+
+        console.log('[Recording] Initialized, host:', isHost());
+    }
+
+    // refreshAccess — show the recording button only to those allowed to record.
+    // Called again whenever our role changes.
+    function refreshAccess() {
         const btn = document.getElementById('recording-btn');
         if (btn) {
             btn.style.display = isHost() ? '' : 'none';
         }
-
-        console.log('[Recording] Initialized, host:', isHost());
     }
 
-    // isHost
+    // isHost — true for the host and co-hosts (the roles allowed to record).
+    // Falls back to the room's hostId until the server has told us our role.
     function isHost() {
+        const role = window.SocketHandler?.getMyRole?.();
+        if (role) return role === 'host' || role === 'co-host';
         return !!_hostId && _userId === _hostId;
     }
 
@@ -54,8 +61,12 @@ const RecordingModule = (() => {
         try {
             const res = await fetch(`${getAPIBase()}/recording/start`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ roomId: _roomId, requesterId: _userId })
+                headers: {
+                    'Content-Type': 'application/json',
+                    // The server identifies the host from the session token
+                    'Authorization': `Bearer ${window.getSessionToken?.(_roomId) || ''}`
+                },
+                body: JSON.stringify({ roomId: _roomId })
             });
 
             const data = await res.json();
@@ -86,8 +97,12 @@ const RecordingModule = (() => {
         try {
             const res = await fetch(`${getAPIBase()}/recording/stop`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ roomId: _roomId, requesterId: _userId })
+                headers: {
+                    'Content-Type': 'application/json',
+                    // The server identifies the host from the session token
+                    'Authorization': `Bearer ${window.getSessionToken?.(_roomId) || ''}`
+                },
+                body: JSON.stringify({ roomId: _roomId })
             });
 
             const data = await res.json();
@@ -228,6 +243,7 @@ const RecordingModule = (() => {
     return {
         init,
         isHost,
+        refreshAccess,
         startRecording,
         stopRecording,
         onRecordingStarted,
@@ -1,13 +1,20 @@
 /**
  * SFU Broadcast Module (client)
- * Manages separate peer connections for different stream types:
+ * Publishes all of the user's media over one peer connection (POST /publish),
+ * one set of transceivers per stream type:
  * - main: audio only
  * - camera: camera video only
  * - screen: screen share video only
+ * Turning a stream type on or off renegotiates the same peer, so the user
+ * has a single ICE/DTLS handshake (and TURN allocation) however much they share.
  */
 
-// Store peers for each stream type
-const broadcasterPeers = {
+// The publisher peer and the id the server knows it by
+let publisherPeer = null;
+let publisherPeerId = null;
+
+// Transceivers carrying each stream type: streamType -> [{ transceiver, layer }]
+const publishedTransceivers = {
   main: null,    // audio
   camera: null,  // camera video
   screen: null   // screen share video
@@ -20,10 +27,39 @@ const streamKeys = {
   screen: null
 };
 
+// Offers go out one at a time — each one describes the whole peer
+let negotiationQueue = Promise.resolve();
+
+// Trickle ICE: our candidates wait until the SFU has answered the peer's first
+// offer (it has nowhere to put them before), the SFU's until we have its answer
+let publisherAnswered = false;
+let outgoingCandidates = [];
+let incomingCandidates = [];
+
+// Extra simulcast layers sent next to the full-quality track when
+// "Optimize video streaming" is on. Each layer gets its own transceiver
+// (the SFU cannot receive RID simulcast); names match server/sfu/simulcast.js
+const SIMULCAST_LAYERS = [
+  { layer: 'mid', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { layer: 'low', scaleResolutionDownBy: 4, maxBitrate: 150000 }
+];
+const SIMULCAST_STREAM_TYPES = ['camera', 'screen'];
+
+// Connection stats go to the server this often (see server/sfu/connection-quality.js)
+const STATS_INTERVAL_MS = 5000;
+let statsTimer = null;
+
+// Video cap the server asked for while our uplink is weak: { maxBitrate, scaleResolutionDownBy } or null
+let videoLimits = null;
+
 async function postJson(url, body) {
+  // The SFU only lets the session's own user publish, stop or mute their streams
   const res = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${window.getSessionToken?.(body.roomId) || ''}`
+    },
     body: JSON.stringify(body)
   });
 
@@ -35,65 +71,281 @@ async function postJson(url, body) {
   return await res.json();
 }
 
+function enqueueNegotiation(task) {
+  const run = negotiationQueue.then(task);
+  negotiationQueue = run.catch(() => {});
+  return run;
+}
+
+function hasPublishedTracks() {
+  return Object.values(publishedTransceivers).some(entries => entries !== null);
+}
+
+function closePublisherPeer() {
+  if (publisherPeer) {
+    try {
+      publisherPeer.close();
+    } catch (_) {}
+  }
+  clearInterval(statsTimer);
+  statsTimer = null;
+  publisherPeer = null;
+  publisherPeerId = null;
+  publisherAnswered = false;
+  outgoingCandidates = [];
+  incomingCandidates = [];
+  Object.keys(publishedTransceivers).forEach(type => {
+    publishedTransceivers[type] = null;
+    streamKeys[type] = null;
+  });
+}
+
+function sendIceCandidate(roomId, candidate) {
+  window.SocketHandler?.getSocket?.()?.emit('ice-candidate', { roomId, candidate, type: 'publisher' });
+}
+
 /**
- * Generic broadcast function for a specific stream type
- * @param {MediaStream} stream - The stream to broadcast
- * @param {string} roomId - The room to broadcast to
- * @param {string} userId - The user's ID
- * @param {string} streamType - 'main', 'camera', or 'screen'
- * @param {string} endpoint - The server endpoint
- * @returns {RTCPeerConnection} The peer connection
+ * An ICE candidate from the SFU for our publisher peer
  */
-async function broadcastStreamType(stream, roomId, userId, streamType, endpoint) {
-  if (!stream) {
-    throw new Error(`[SFUBroadcastModule] stream is required for ${streamType}`);
-  }
-  if (!roomId || !userId) {
-    throw new Error('[SFUBroadcastModule] roomId and userId are required');
+function addIceCandidate(candidate) {
+  if (!publisherPeer || !candidate) return;
+  if (!publisherPeer.remoteDescription) {
+    incomingCandidates.push(candidate);
+    return;
   }
+  publisherPeer.addIceCandidate(new RTCIceCandidate(candidate)).catch(err =>
+    console.warn('[SFUBroadcastModule] Failed to add ICE candidate:', err)
+  );
+}
 
-  // Close existing peer for this stream type if any
-  if (broadcasterPeers[streamType]) {
+/**
+ * Our first offer was answered: release the candidates held on both sides
+ */
+function flushIceCandidates(roomId) {
+  if (publisherAnswered) return;
+  publisherAnswered = true;
+
+  outgoingCandidates.forEach(candidate => sendIceCandidate(roomId, candidate));
+  outgoingCandidates = [];
+
+  const incoming = incomingCandidates;
+  incomingCandidates = [];
+  incoming.forEach(addIceCandidate);
+}
+
+/**
+ * Summarise the publisher peer's uplink for the server: packet loss and round
+ * trip reported back by the SFU, and the browser's send bandwidth estimate
+ */
+async function reportPublisherStats(roomId) {
+  const peer = publisherPeer;
+  if (!peer || !publisherAnswered) return;
+
+  const report = await peer.getStats();
+  let packetLoss = null;
+  let rtt = null;
+  let bandwidth = null;
+  report.forEach(stat => {
+    if (stat.type === 'remote-inbound-rtp') {
+      if (Number.isFinite(stat.fractionLost)) packetLoss = Math.max(packetLoss || 0, stat.fractionLost);
+      if (Number.isFinite(stat.roundTripTime)) rtt = Math.max(rtt || 0, stat.roundTripTime);
+    } else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+      if (Number.isFinite(stat.currentRoundTripTime)) rtt = Math.max(rtt || 0, stat.currentRoundTripTime);
+      if (Number.isFinite(stat.availableOutgoingBitrate)) bandwidth = stat.availableOutgoingBitrate;
+    }
+  });
+
+  window.SocketHandler?.getSocket?.()?.emit('connection-stats', {
+    roomId,
+    stats: { peer: 'publisher', packetLoss, rtt, bandwidth }
+  });
+}
+
+/**
+ * Apply the server's video cap to our video senders. Simulcast layers keep
+ * their own, lower limits when those are already below the cap.
+ */
+async function applyVideoLimits() {
+  const entries = [];
+  SIMULCAST_STREAM_TYPES.forEach(streamType => {
+    (publishedTransceivers[streamType] || []).forEach(entry => entries.push(entry));
+  });
+
+  await Promise.all(entries.map(async ({ transceiver, layer }) => {
+    const sender = transceiver.sender;
+    if (!sender.track || sender.track.kind !== 'video') return;
+
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return;
+
+    const own = SIMULCAST_LAYERS.find(candidate => candidate.layer === layer) || {};
+    const maxBitrate = videoLimits
+      ? Math.min(videoLimits.maxBitrate, own.maxBitrate || Infinity)
+      : own.maxBitrate;
+    const scaleResolutionDownBy = Math.max(
+      videoLimits ? videoLimits.scaleResolutionDownBy : 1,
+      own.scaleResolutionDownBy || 1
+    );
+
+    params.encodings.forEach(encoding => {
+      if (maxBitrate) encoding.maxBitrate = maxBitrate;
+      else delete encoding.maxBitrate;
+      encoding.scaleResolutionDownBy = scaleResolutionDownBy;
+    });
     try {
-      broadcasterPeers[streamType].close();
-    } catch (_) {}
-  }
+      await sender.setParameters(params);
+    } catch (err) {
+      console.warn('[SFUBroadcastModule] Failed to apply video limits:', err);
+    }
+  }));
+}
+
+/**
+ * The server's cap for our outgoing video (null lifts it)
+ */
+async function setVideoLimits(limits) {
+  videoLimits = limits || null;
+  console.log('[SFUBroadcastModule] Video limits:', videoLimits || 'none');
+  return enqueueNegotiation(() => applyVideoLimits());
+}
 
-  const peer = new RTCPeerConnection({ iceServers: DEFAULT_ICE_SERVERS });
-  broadcasterPeers[streamType] = peer;
+/**
+ * Take a stream type's tracks off the publisher peer (renegotiate afterwards).
+ * The transceivers are stopped rather than just emptied, so the next offer
+ * frees their m-lines for reuse and toggling a stream does not grow the SDP.
+ */
+function detachStreamType(streamType) {
+  const entries = publishedTransceivers[streamType];
+  if (!entries) return;
 
-  // Add tracks to the peer connection (sendonly)
-  stream.getTracks().forEach(track => {
-    peer.addTrack(track, stream);
+  entries.forEach(({ transceiver }) => {
+    try {
+      if (typeof transceiver.stop === 'function') transceiver.stop();
+      else publisherPeer.removeTrack(transceiver.sender);
+    } catch (_) {}
   });
+  publishedTransceivers[streamType] = null;
+  streamKeys[streamType] = null;
+}
 
-  // Create offer
+/**
+ * Offer the publisher peer's current tracks to the SFU and apply its answer
+ */
+async function negotiatePublisher(roomId, userId) {
+  const peer = publisherPeer;
   const offer = await peer.createOffer();
   await peer.setLocalDescription(offer);
 
-  const payload = {
+  // mids are assigned by setLocalDescription
+  const tracks = [];
+  Object.keys(publishedTransceivers).forEach(streamType => {
+    (publishedTransceivers[streamType] || []).forEach(({ transceiver, layer }) => {
+      tracks.push(layer ? { mid: transceiver.mid, streamType, layer } : { mid: transceiver.mid, streamType });
+    });
+  });
+
+  const url = `${getSfuURL()}/publish`;
+  const answerPayload = await postJson(url, {
     sdp: peer.localDescription,
     roomId,
-    userId
-  };
-
-  // POST to the specific endpoint
-  const url = `${serverProtocol}://${serverUrl}:${serverPort}${endpoint}`;
-  const answerPayload = await postJson(url, payload);
+    userId,
+    peerId: publisherPeerId,
+    tracks
+  });
 
   if (!answerPayload || !answerPayload.sdp) {
-    throw new Error(`[SFUBroadcastModule] Invalid ${endpoint} response`);
+    throw new Error('[SFUBroadcastModule] Invalid /publish response');
   }
+  // The peer was replaced while we waited
+  if (peer !== publisherPeer) return;
 
-  // Store the stream key for ICE candidate handling
-  if (answerPayload.streamKey) {
-    streamKeys[streamType] = answerPayload.streamKey;
-  }
+  // Store the stream keys for ICE candidate handling
+  Object.keys(answerPayload.streamKeys || {}).forEach(type => {
+    if (publishedTransceivers[type]) streamKeys[type] = answerPayload.streamKeys[type];
+  });
 
   await peer.setRemoteDescription(new RTCSessionDescription(answerPayload.sdp));
-  console.log(`[SFUBroadcastModule] ${streamType} broadcast SDP exchange completed`);
+  flushIceCandidates(roomId);
+}
+
+/**
+ * Generic broadcast function for a specific stream type
+ * Adds the stream's tracks to the publisher peer (opening it if needed),
+ * replacing whatever was published for that type before.
+ * @param {MediaStream} stream - The stream to broadcast
+ * @param {string} roomId - The room to broadcast to
+ * @param {string} userId - The user's ID
+ * @param {string} streamType - 'main', 'camera', or 'screen'
+ * @returns {RTCPeerConnection} The publisher peer connection
+ */
+async function broadcastStreamType(stream, roomId, userId, streamType) {
+  if (!stream) {
+    throw new Error(`[SFUBroadcastModule] stream is required for ${streamType}`);
+  }
+  if (!roomId || !userId) {
+    throw new Error('[SFUBroadcastModule] roomId and userId are required');
+  }
 
-  return peer;
+  return enqueueNegotiation(async () => {
+    if (!publisherPeer || ['failed', 'closed'].includes(publisherPeer.connectionState)) {
+      closePublisherPeer();
+      publisherPeer = new RTCPeerConnection({ iceServers: await getIceServers(roomId) });
+      publisherPeerId = `${userId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+      const newPeer = publisherPeer;
+      newPeer.onicecandidate = (event) => {
+        if (!event.candidate || newPeer !== publisherPeer) return;
+        if (publisherAnswered) sendIceCandidate(roomId, event.candidate);
+        else outgoingCandidates.push(event.candidate);
+      };
+
+      statsTimer = setInterval(() => {
+        reportPublisherStats(roomId).catch(err =>
+          console.warn('[SFUBroadcastModule] Failed to collect stats:', err)
+        );
+      }, STATS_INTERVAL_MS);
+    }
+    const peer = publisherPeer;
+
+    // Replace any tracks already published for this stream type
+    detachStreamType(streamType);
+
+    const entries = [];
+    stream.getTracks().forEach(track => {
+      const transceiver = peer.addTransceiver(track, { direction: 'sendonly', streams: [stream] });
+      entries.push({ transceiver, layer: null });
+    });
+
+    // Lower-quality copies of the video for viewers with small tiles or slow links
+    const useSimulcast = SIMULCAST_STREAM_TYPES.includes(streamType) &&
+      window.AppSettings?.get('optimizeVideoStreaming');
+    if (useSimulcast) {
+      stream.getVideoTracks().forEach(track => {
+        SIMULCAST_LAYERS.forEach(({ layer, scaleResolutionDownBy, maxBitrate }) => {
+          const transceiver = peer.addTransceiver(track, {
+            direction: 'sendonly',
+            sendEncodings: [{ scaleResolutionDownBy, maxBitrate }]
+          });
+          entries.push({ transceiver, layer });
+        });
+      });
+    }
+    publishedTransceivers[streamType] = entries;
+
+    try {
+      await negotiatePublisher(roomId, userId);
+    } catch (err) {
+      detachStreamType(streamType);
+      if (!hasPublishedTracks()) closePublisherPeer();
+      throw err;
+    }
+    console.log(`[SFUBroadcastModule] ${streamType} published`);
+
+    // New video senders start uncapped
+    if (videoLimits) await applyVideoLimits();
+
+    return peer;
+  });
 }
 
 /**
@@ -103,7 +355,7 @@ async function broadcastStreamType(stream, roomId, userId, streamType, endpoint)
  * @param {string} userId - The user's ID
  */
 async function broadcastAudio(audioStream, roomId, userId) {
-  return broadcastStreamType(audioStream, roomId, userId, 'main', '/broadcast-audio');
+  return broadcastStreamType(audioStream, roomId, userId, 'main');
 }
 
 /**
@@ -113,7 +365,7 @@ async function broadcastAudio(audioStream, roomId, userId) {
  * @param {string} userId - The user's ID
  */
 async function broadcastCamera(cameraStream, roomId, userId) {
-  return broadcastStreamType(cameraStream, roomId, userId, 'camera', '/broadcast-camera');
+  return broadcastStreamType(cameraStream, roomId, userId, 'camera');
 }
 
 /**
@@ -123,28 +375,36 @@ async function broadcastCamera(cameraStream, roomId, userId) {
  * @param {string} userId - The user's ID
  */
 async function broadcastScreen(screenStream, roomId, userId) {
-  return broadcastStreamType(screenStream, roomId, userId, 'screen', '/broadcast-screen');
+  return broadcastStreamType(screenStream, roomId, userId, 'screen');
 }
 
 /**
  * Stop a specific stream type
+ * The publisher peer is renegotiated without it, or closed if nothing is left.
  * @param {string} streamType - 'main', 'camera', or 'screen'
  */
 async function stopStreamType(streamType) {
-  const peer = broadcasterPeers[streamType];
-  if (peer) {
-    try {
-      peer.close();
-    } catch (_) {}
-    broadcasterPeers[streamType] = null;
-    streamKeys[streamType] = null;
-    
-    // Notify server to cleanup
+  return enqueueNegotiation(async () => {
+    if (!publishedTransceivers[streamType]) return;
+
     const roomId = window.SocketHandler?.getCurrentRoomId();
     const userId = window.SocketHandler?.getUserId();
+
+    detachStreamType(streamType);
+    if (!hasPublishedTracks()) {
+      closePublisherPeer();
+    } else if (roomId && userId) {
+      try {
+        await negotiatePublisher(roomId, userId);
+      } catch (err) {
+        console.warn(`[SFUBroadcastModule] Failed to renegotiate after stopping ${streamType}:`, err);
+      }
+    }
+
+    // Notify server to cleanup
     if (roomId && userId) {
       try {
-        await postJson(`${serverProtocol}://${serverUrl}:${serverPort}/stop-stream`, {
+        await postJson(`${getSfuURL()}/stop-stream`, {
           roomId,
           userId,
           streamType
@@ -153,9 +413,9 @@ async function stopStreamType(streamType) {
         console.warn(`[SFUBroadcastModule] Failed to notify server of ${streamType} stop:`, err);
       }
     }
-    
+
     console.log(`[SFUBroadcastModule] ${streamType} broadcast stopped`);
-  }
+  });
 }
 
 /**
@@ -196,7 +456,7 @@ async function stopAllBroadcasts() {
  * For backward compatibility
  */
 async function broadcastStream(localStream, roomId, userId) {
-  return broadcastStreamType(localStream, roomId, userId, 'main', '/broadcast');
+  return broadcastStreamType(localStream, roomId, userId, 'main');
 }
 
 /**
@@ -207,10 +467,10 @@ async function stopBroadcast() {
 }
 
 /**
- * Get peer for a specific stream type
+ * Get the peer carrying a specific stream type (the shared publisher peer)
  */
 function getPeer(streamType) {
-  return broadcasterPeers[streamType];
+  return publishedTransceivers[streamType] ? publisherPeer : null;
 }
 
 /**
@@ -224,44 +484,42 @@ function getStreamKey(streamType) {
  * Legacy function - get main broadcaster peer
  */
 function getBroadcasterPeer() {
-  return broadcasterPeers.main;
+  return getPeer('main');
 }
 
 /**
  * Check if a specific stream type is broadcasting
  */
 function isStreamTypeBroadcasting(streamType) {
-  return broadcasterPeers[streamType] !== null;
+  return publishedTransceivers[streamType] !== null;
 }
 
 /**
  * Check if any stream is broadcasting
  */
 function isBroadcasting() {
-  return broadcasterPeers.main !== null || 
-         broadcasterPeers.camera !== null || 
-         broadcasterPeers.screen !== null;
+  return hasPublishedTracks();
 }
 
 /**
  * Check if audio is broadcasting
  */
 function isAudioBroadcasting() {
-  return broadcasterPeers.main !== null;
+  return publishedTransceivers.main !== null;
 }
 
 /**
  * Check if camera is broadcasting
  */
 function isCameraBroadcasting() {
-  return broadcasterPeers.camera !== null;
+  return publishedTransceivers.camera !== null;
 }
 
 /**
  * Check if screen is broadcasting
  */
 function isScreenBroadcasting() {
-  return broadcasterPeers.screen !== null;
+  return publishedTransceivers.screen !== null;
 }
 
 /**
@@ -274,11 +532,7 @@ async function notifyMuteStatus(kind, muted) {
   if (!roomId || !userId) return;
   
   try {
-    await fetch(`${serverProtocol}://${serverUrl}:${serverPort}/mute-status`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ roomId, userId, kind, muted })
-    });
+    await postJson(`${getSfuURL()}/mute-status`, { roomId, userId, kind, muted });
     console.log(`[SFUBroadcastModule] Notified ${kind} ${muted ? 'muted' : 'unmuted'}`);
   } catch (err) {
     console.warn('[SFUBroadcastModule] Failed to notify mute status:', err);
@@ -300,6 +554,8 @@ window.SFUBroadcastModule = {
   isCameraBroadcasting,
   isScreenBroadcasting,
   isStreamTypeBroadcasting,
+  addIceCandidate,
+  setVideoLimits,
   
   // Legacy functions for backward compatibility
   broadcastStream,
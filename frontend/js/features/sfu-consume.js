@@ -2,6 +2,10 @@
  * SFU Consume Module (client)
  * Creates a "recvonly" RTCPeerConnection and POSTs an SDP offer to the SFU /consumer endpoint
  * to consume streams from other users in the room.
+ *
+ * The peer is long-lived: when streams start or stop, the SFU adds/removes
+ * tracks on it and sends a new offer ('consumer-offer'), which we answer via
+ * /consumer-answer — existing video keeps playing throughout.
  * 
  * Stream Types:
  * - main: audio only → played through audio element
@@ -12,6 +16,26 @@
 // Store consumer peer for cleanup
 let consumerPeer = null;
 
+// The SFU keys our consumer peer by our socket id, so each tab keeps its own
+let consumerId = null;
+
+// Trickle ICE: our candidates wait until the SFU has answered (it creates the
+// peer on /consumer), the SFU's until we have its answer
+let consumerAnswered = false;
+let outgoingCandidates = [];
+let incomingCandidates = [];
+
+// Connection stats go to the server this often (see server/sfu/connection-quality.js)
+const STATS_INTERVAL_MS = 5000;
+let statsTimer = null;
+
+// Packet counters from the previous stats sample, to compute loss per interval
+let lastPacketCounts = null;
+
+// What we ask the SFU to forward: { audio, video, screen }, each a userId[] or 'all'
+// (null until UsersModule reports what is on screen — the SFU then sends everything)
+let currentSubscription = null;
+
 // Map streamId -> metadata { oderId (the broadcaster's userId), streamType }
 const streamMetadataMap = new Map();
 
@@ -20,9 +44,13 @@ const activeScreenShares = [];
 let currentScreenShareIndex = 0;
 
 async function postJson(url, body) {
+  // The SFU only serves a consumer to the session's own user
   const res = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${window.getSessionToken?.(body.roomId) || ''}`
+    },
     body: JSON.stringify(body)
   });
 
@@ -65,18 +93,32 @@ async function requestConsumeCurrentStreams(roomId, userId) {
     throw new Error('[SFUConsumeModule] roomId and userId are required');
   }
 
+  const iceServers = await getIceServers(roomId);
+
   // Close existing consumer peer if any
   if (consumerPeer) {
     try { consumerPeer.close(); } catch (_) { }
   }
+  clearInterval(statsTimer);
+  lastPacketCounts = null;
 
   // Clear stream metadata (will be repopulated from server answer).
   // Do NOT wipe activeScreenShares here — we reconcile it after we get the
   // server answer so existing entries survive mid-session re-consumes.
   clearStreamMetadata();
 
-  const peer = new RTCPeerConnection({ iceServers: DEFAULT_ICE_SERVERS });
+  const peer = new RTCPeerConnection({ iceServers });
   consumerPeer = peer;
+  consumerId = window.SocketHandler?.getSocket?.()?.id || null;
+  consumerAnswered = false;
+  outgoingCandidates = [];
+  incomingCandidates = [];
+
+  peer.onicecandidate = (event) => {
+    if (!event.candidate || peer !== consumerPeer) return;
+    if (consumerAnswered) sendIceCandidate(roomId, event.candidate);
+    else outgoingCandidates.push(event.candidate);
+  };
 
   // Handle incoming tracks from broadcasters
   peer.ontrack = (event) => {
@@ -124,7 +166,7 @@ async function requestConsumeCurrentStreams(roomId, userId) {
     // Try to get the real user count from the server; fall back to the local list.
     let userCount = 2; // safe minimum
     try {
-      const infoUrl = `${serverProtocol}://${serverUrl}:${serverPort}/room-streams/${roomId}`;
+      const infoUrl = `${getSfuURL()}/room-streams/${roomId}`;
       const info = await fetch(infoUrl).then(r => r.ok ? r.json() : null).catch(() => null);
       if (info?.userCount) {
         userCount = info.userCount;
@@ -152,13 +194,20 @@ async function requestConsumeCurrentStreams(roomId, userId) {
   const offer = await peer.createOffer();
   await peer.setLocalDescription(offer);
 
+  // Start with only what is on screen when we know it
+  if (!currentSubscription) {
+    currentSubscription = window.UsersModule?.getMediaSubscription?.() || null;
+  }
+
   const payload = {
     sdp: peer.localDescription,
     roomId,
-    userId
+    userId,
+    consumerId,
+    subscription: currentSubscription
   };
 
-  const url = `${serverProtocol}://${serverUrl}:${serverPort}/consumer`;
+  const url = `${getSfuURL()}/consumer`;
   const answerPayload = await postJson(url, payload);
 
   if (!answerPayload || !answerPayload.sdp) {
@@ -166,40 +215,174 @@ async function requestConsumeCurrentStreams(roomId, userId) {
   }
 
   // Store stream metadata from server response
-  if (answerPayload.streamMetadata && Array.isArray(answerPayload.streamMetadata)) {
-    answerPayload.streamMetadata.forEach(meta => {
-      setStreamMetadata(meta.streamId, {
-        oderId: meta.oderId,
-        streamType: meta.streamType
-      });
-    });
+  applyStreamMetadata(answerPayload.streamMetadata);
 
-    const myUserId = localStorage.getItem('userId') || 'local-user';
-    const expectedScreenUserIds = new Set(
-      answerPayload.streamMetadata
-        .filter(m => m.streamType === 'screen')
-        .map(m => m.oderId)
-    );
-    // Don't prune our own local share if we have one active
-    if (window.MediaModule?.isScreenSharing?.()) {
-      expectedScreenUserIds.add(myUserId);
+  await peer.setRemoteDescription(new RTCSessionDescription(answerPayload.sdp));
+  console.log('[SFUConsumeModule] Consumer SDP exchange completed');
+
+  if (peer === consumerPeer) {
+    statsTimer = setInterval(() => {
+      reportConsumerStats(roomId).catch(err =>
+        console.warn('[SFUConsumeModule] Failed to collect stats:', err)
+      );
+    }, STATS_INTERVAL_MS);
+
+    consumerAnswered = true;
+    outgoingCandidates.forEach(candidate => sendIceCandidate(roomId, candidate));
+    outgoingCandidates = [];
+    const incoming = incomingCandidates;
+    incomingCandidates = [];
+    incoming.forEach(addIceCandidate);
+  }
+
+  return peer;
+}
+
+/**
+ * Summarise the consumer peer's downlink for the server: packet loss since the
+ * last sample, round trip and the browser's receive bandwidth estimate
+ */
+async function reportConsumerStats(roomId) {
+  const peer = consumerPeer;
+  if (!peer || peer.connectionState === 'closed') return;
+
+  const report = await peer.getStats();
+  let packetsLost = 0;
+  let packetsReceived = 0;
+  let rtt = null;
+  let bandwidth = null;
+  report.forEach(stat => {
+    if (stat.type === 'inbound-rtp') {
+      packetsLost += stat.packetsLost || 0;
+      packetsReceived += stat.packetsReceived || 0;
+    } else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+      if (Number.isFinite(stat.currentRoundTripTime)) rtt = stat.currentRoundTripTime;
+      if (Number.isFinite(stat.availableIncomingBitrate)) bandwidth = stat.availableIncomingBitrate;
     }
+  });
 
-    for (let i = activeScreenShares.length - 1; i >= 0; i--) {
-      // Only prune if it's not in the expected set AND it's not our local share
-      if (!expectedScreenUserIds.has(activeScreenShares[i].oderId)) {
-        const removed = activeScreenShares.splice(i, 1)[0];
-        window.UsersModule?.setScreenShareOn?.(removed.oderId, false);
-        console.log(`[SFUConsumeModule] Pruned stale screen share for ${removed.oderId}`);
-      }
+  let packetLoss = null;
+  if (lastPacketCounts) {
+    const lost = Math.max(0, packetsLost - lastPacketCounts.packetsLost);
+    const received = Math.max(0, packetsReceived - lastPacketCounts.packetsReceived);
+    if (lost + received > 0) packetLoss = lost / (lost + received);
+  }
+  lastPacketCounts = { packetsLost, packetsReceived };
+
+  window.SocketHandler?.getSocket?.()?.emit('connection-stats', {
+    roomId,
+    stats: { peer: 'consumer', packetLoss, rtt, bandwidth }
+  });
+}
+
+function sendIceCandidate(roomId, candidate) {
+  window.SocketHandler?.getSocket?.()?.emit('ice-candidate', { roomId, candidate, type: 'consumer' });
+}
+
+/**
+ * An ICE candidate from the SFU for our consumer peer
+ */
+function addIceCandidate(candidate) {
+  if (!consumerPeer || !candidate) return;
+  if (!consumerPeer.remoteDescription) {
+    incomingCandidates.push(candidate);
+    return;
+  }
+  consumerPeer.addIceCandidate(new RTCIceCandidate(candidate)).catch(err =>
+    console.warn('[SFUConsumeModule] Failed to add ICE candidate:', err)
+  );
+}
+
+/**
+ * Store the SFU's stream metadata and drop screen shares that are no longer in it
+ */
+function applyStreamMetadata(streamMetadata) {
+  if (!Array.isArray(streamMetadata)) return;
+
+  streamMetadata.forEach(meta => {
+    setStreamMetadata(meta.streamId, {
+      oderId: meta.oderId,
+      streamType: meta.streamType
+    });
+  });
+
+  const myUserId = localStorage.getItem('userId') || 'local-user';
+  const expectedScreenUserIds = new Set(
+    streamMetadata
+      .filter(m => m.streamType === 'screen')
+      .map(m => m.oderId)
+  );
+  // Don't prune our own local share if we have one active
+  if (window.MediaModule?.isScreenSharing?.()) {
+    expectedScreenUserIds.add(myUserId);
+  }
+
+  for (let i = activeScreenShares.length - 1; i >= 0; i--) {
+    // Only prune if it's not in the expected set AND it's not our local share
+    if (!expectedScreenUserIds.has(activeScreenShares[i].oderId)) {
+      const removed = activeScreenShares.splice(i, 1)[0];
+      window.UsersModule?.setScreenShareOn?.(removed.oderId, false);
+      console.log(`[SFUConsumeModule] Pruned stale screen share for ${removed.oderId}`);
     }
-    currentScreenShareIndex = Math.max(0, Math.min(currentScreenShareIndex, activeScreenShares.length - 1));
   }
+  currentScreenShareIndex = Math.max(0, Math.min(currentScreenShareIndex, activeScreenShares.length - 1));
+}
 
-  await peer.setRemoteDescription(new RTCSessionDescription(answerPayload.sdp));
-  console.log('[SFUConsumeModule] Consumer SDP exchange completed');
+/**
+ * Answer a server-initiated renegotiation of our consumer peer
+ * (streams were added to or removed from the room).
+ */
+async function handleConsumerOffer(data) {
+  const { roomId, sdp, streamMetadata, consumerId: offerConsumerId } = data || {};
+  const peer = consumerPeer;
+  const userId = window.SocketHandler?.getUserId?.();
+
+  // No consumer yet (or it is being rebuilt) — the next /consumer picks up everything
+  if (!peer || !sdp || peer.signalingState === 'closed') return;
+
+  // The offer can overtake the /consumer response — finish that exchange first
+  if (peer.signalingState === 'have-local-offer') {
+    await new Promise(resolve => {
+      const onChange = () => {
+        if (peer.signalingState === 'have-local-offer') return;
+        peer.removeEventListener('signalingstatechange', onChange);
+        resolve();
+      };
+      peer.addEventListener('signalingstatechange', onChange);
+    });
+    if (peer !== consumerPeer || peer.signalingState === 'closed') return;
+  }
 
-  return peer;
+  // Metadata first, so ontrack can route the new tracks
+  applyStreamMetadata(streamMetadata);
+
+  await peer.setRemoteDescription(new RTCSessionDescription(sdp));
+  const answer = await peer.createAnswer();
+  await peer.setLocalDescription(answer);
+
+  // The offer may be for a peer we have replaced in the meantime
+  if (peer !== consumerPeer) return;
+
+  const url = `${getSfuURL()}/consumer-answer`;
+  await postJson(url, { sdp: peer.localDescription, roomId, userId, consumerId: offerConsumerId });
+  console.log('[SFUConsumeModule] Consumer renegotiation completed');
+}
+
+/**
+ * Tell the SFU which streams to forward to us (see UsersModule.getMediaSubscription).
+ * The SFU renegotiates our consumer peer to add/remove the affected tracks.
+ */
+async function updateSubscription(subscription) {
+  currentSubscription = subscription;
+
+  const roomId = window.SocketHandler?.getCurrentRoomId?.();
+  const userId = window.SocketHandler?.getUserId?.();
+  // Not consuming yet — sent with the first /consumer request instead
+  if (!consumerPeer || !consumerId || !roomId || !userId) return;
+
+  const url = `${getSfuURL()}/subscribe`;
+  await postJson(url, { roomId, userId, consumerId, subscription });
+  console.log('[SFUConsumeModule] Updated subscription:', subscription);
 }
 
 /**
@@ -257,7 +440,7 @@ function handleTrackFallback(track, stream) {
   if (track.kind === 'audio') {
     playRemoteAudio(stream, null);
   } else if (track.kind === 'video') {
-    console.warn('[SFUConsumeModule] Dropping unknown video track (no metadata). It will be re-consumed when a new-stream event fires.');
+    console.warn('[SFUConsumeModule] Dropping unknown video track (no metadata).');
   }
 }
 
@@ -302,8 +485,9 @@ function displayRemoteScreenShare(stream, oderId) {
     activeScreenShares[existing].stream = stream;
   } else {
     activeScreenShares.push({ oderId, stream });
-    // Auto-jump to the newly arrived share
-    currentScreenShareIndex = activeScreenShares.length - 1;
+    // Auto-jump to the newly arrived share, unless the host spotlights another one
+    currentScreenShareIndex = getSpotlightScreenIndex();
+    if (currentScreenShareIndex === -1) currentScreenShareIndex = activeScreenShares.length - 1;
   }
 
   renderScreenShare();
@@ -324,7 +508,8 @@ function registerLocalScreenShare(stream) {
   } else {
     activeScreenShares.push({ oderId: myUserId, stream });
     // Don't auto-jump here, usually media.js just started it
-    currentScreenShareIndex = activeScreenShares.length - 1;
+    currentScreenShareIndex = getSpotlightScreenIndex();
+    if (currentScreenShareIndex === -1) currentScreenShareIndex = activeScreenShares.length - 1;
   }
   
   renderScreenShare();
@@ -462,6 +647,27 @@ function jumpToScreenShare(oderId) {
   }
 }
 
+/**
+ * Index of the screen share the host spotlighted, or -1 if there is none
+ * (no spotlight, a camera spotlight, unpinned locally, or not sharing yet)
+ */
+function getSpotlightScreenIndex() {
+  const spotlight = window.UsersModule?.getSpotlight?.();
+  if (!spotlight || spotlight.streamType !== 'screen') return -1;
+  return activeScreenShares.findIndex(s => s.oderId === spotlight.userId);
+}
+
+/**
+ * Show the host's spotlighted screen share in the main view
+ */
+function focusSpotlight() {
+  const idx = getSpotlightScreenIndex();
+  if (idx !== -1 && idx !== currentScreenShareIndex) {
+    currentScreenShareIndex = idx;
+    renderScreenShare();
+  }
+}
+
 /**
  * Update the static #screen-share-nav strip (lives in .room-wrapper between
  * video-container and bottom-controls). Only visible when any share is active.
@@ -498,6 +704,9 @@ function displayRemoteCameraInSidebar(stream, oderId) {
     return;
   }
 
+  // Audio-only mode keeps avatars (a track may still arrive while the SFU catches up)
+  if (window.AppSettings?.get('audioOnlyMode')) return;
+
   // Find the user-item element for this user
   const userItem = document.querySelector(`.user-item[data-user-id="${oderId}"]`);
   if (!userItem) {
@@ -625,6 +834,9 @@ function removeRemoteScreenShare(oderId) {
   if (currentScreenShareIndex >= activeScreenShares.length) {
     currentScreenShareIndex = Math.max(0, activeScreenShares.length - 1);
   }
+  // Stay on the spotlighted share if another one went away
+  const spotlightIndex = getSpotlightScreenIndex();
+  if (spotlightIndex !== -1) currentScreenShareIndex = spotlightIndex;
 
   console.log(`[SFUConsumeModule] Removed screen share for ${oderId} (remaining: ${activeScreenShares.length})`);
   renderScreenShare();
@@ -749,6 +961,9 @@ function getConsumerPeer() {
 window.SFUConsumeModule = {
   // Main functions
   requestConsumeCurrentStreams,
+  handleConsumerOffer,
+  updateSubscription,
+  addIceCandidate,
   getConsumerPeer,
 
   // Stream metadata
@@ -771,6 +986,7 @@ window.SFUConsumeModule = {
   unregisterLocalScreenShare,
   navigateScreenShare,
   jumpToScreenShare,
+  focusSpotlight,
 
   // Audio
   playRemoteAudio,
@@ -4,8 +4,38 @@
  */
 
 // Per-user state for this client (priority is local/client-side)
-const userStateById = new Map(); // userId -> { userId, name, profileImage, priority, pinned, screenShareOn, videoOn, audioOn, handsUp }
+const userStateById = new Map(); // userId -> { userId, name, profileImage, priority, pinned, screenShareOn, videoOn, audioOn, handsUp, role, reconnecting, connectionQuality }
 let selectedUserId = null; // user selected in people frame (overrides "top priority" for main video)
+let activeSpeakerId = null; // loudest participant according to the SFU
+let publishRequests = []; // pending requests to share video (host / co-hosts), kept so people who leave can be dropped
+let spotlight = null; // { userId, streamType } the host put in everyone's main view
+let spotlightDismissed = false; // we unpinned the spotlight, so local priority applies again
+
+// Audio level (0..1, from the SFU) at which a tile shows the speaking ring
+const SPEAKING_LEVEL = 0.4;
+
+// Labels for the role badge next to a name (participants get none)
+const ROLE_LABELS = { host: 'Host', 'co-host': 'Co-host', presenter: 'Presenter' };
+
+// Labels for the connection badge, by grade from the SFU (good connections get none)
+const CONNECTION_LABELS = { poor: 'Weak connection', bad: 'Poor connection' };
+
+// Sidebar tiles currently on screen — together with pinned and main-screen
+// users they decide whose cameras the SFU forwards to us
+const visibleUserIds = new Set();
+let tileObserver = null;
+let subscriptionTimer = null;
+let lastSubscriptionKey = null;
+
+// Coalesce scroll / reorder bursts into one subscription update
+const SUBSCRIPTION_DEBOUNCE_MS = 300;
+
+// Roles the host can assign from the sidebar
+const ASSIGNABLE_ROLES = [
+  { value: 'co-host', label: 'Co-host' },
+  { value: 'presenter', label: 'Presenter' },
+  { value: 'participant', label: 'Participant' }
+];
 
 function getLocalUserId() {
   return localStorage.getItem('userId') || null;
@@ -34,7 +64,8 @@ function ensureLocalUserInState() {
     screenShareOn: false,
     videoOn: false,
     audioOn: false,
-    handsUp: false
+    handsUp: false,
+    role: window.SocketHandler?.getMyRole?.() || 'participant'
   });
 }
 
@@ -54,8 +85,124 @@ function getTopPriorityUserId() {
   return sorted.length ? sorted[0].userId : null;
 }
 
+/**
+ * The host's spotlight, unless we unpinned it or its user is not here
+ */
+function getActiveSpotlight() {
+  if (!spotlight || spotlightDismissed || !userStateById.has(spotlight.userId)) return null;
+  return spotlight;
+}
+
+/**
+ * User shown on the main screen: the host's spotlight, then the selected user,
+ * then a pinned user or screen share, then whoever is speaking, then the top of the list
+ */
 function getPrimaryVideoUserId() {
-  return selectedUserId || getTopPriorityUserId() || getLocalUserId();
+  const activeSpotlight = getActiveSpotlight();
+  if (activeSpotlight) return activeSpotlight.userId;
+  if (selectedUserId) return selectedUserId;
+
+  const top = getUsersSorted()[0];
+  if (top && (top.pinned || top.screenShareOn)) return top.userId;
+
+  if (activeSpeakerId && activeSpeakerId !== getLocalUserId() && userStateById.has(activeSpeakerId)) {
+    return activeSpeakerId;
+  }
+  return getTopPriorityUserId() || getLocalUserId();
+}
+
+/**
+ * Watches sidebar tiles scrolling in and out of view (null if unsupported)
+ */
+function getTileObserver() {
+  if (tileObserver || typeof IntersectionObserver === 'undefined') return tileObserver;
+
+  tileObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      // Replaced or removed tile — its successor reports for the user
+      if (!entry.target.isConnected) {
+        tileObserver.unobserve(entry.target);
+        return;
+      }
+      const uid = entry.target.dataset.userId;
+      if (entry.isIntersecting) visibleUserIds.add(uid);
+      else visibleUserIds.delete(uid);
+    });
+    scheduleSubscriptionUpdate();
+  }, { rootMargin: '100px' });
+
+  return tileObserver;
+}
+
+/**
+ * Height in device pixels each subscribed camera is shown at, so the SFU can
+ * send a matching simulcast layer. The main screen is used for the primary user.
+ */
+function getTileHeights(userIds) {
+  const primaryUserId = getPrimaryVideoUserId();
+  const mainVideo = document.getElementById('main-video');
+  const tiles = {};
+
+  userIds.forEach(uid => {
+    const element = uid === primaryUserId && mainVideo
+      ? mainVideo
+      : document.getElementById(`user-${uid}`);
+    if (!element) return;
+    tiles[uid] = Math.round(element.getBoundingClientRect().height * (window.devicePixelRatio || 1));
+  });
+
+  return tiles;
+}
+
+/**
+ * Streams we want from the SFU: cameras of visible, pinned and main-screen
+ * users; all audio; all screen shares (the screen navigator lists every share,
+ * and there are rarely more than one or two). Null means "everything", used
+ * when we cannot tell what is on screen. With "Optimize video streaming" on,
+ * tile sizes are included so small tiles get a lower layer.
+ * In audio-only mode we ask for audio only; the SFU adds the newest screen
+ * share at a low frame rate.
+ */
+function getMediaSubscription() {
+  if (window.AppSettings?.get('audioOnlyMode')) {
+    return { audio: 'all', video: [], screen: 'all', audioOnly: true };
+  }
+  if (!getTileObserver()) return null;
+
+  const video = new Set(visibleUserIds);
+  userStateById.forEach(u => {
+    if (u.pinned) video.add(u.userId);
+  });
+  const primaryUserId = getPrimaryVideoUserId();
+  if (primaryUserId) video.add(primaryUserId);
+  video.delete(getLocalUserId());
+
+  const subscription = { audio: 'all', video: Array.from(video).sort(), screen: 'all' };
+  if (window.AppSettings?.get('optimizeVideoStreaming')) {
+    subscription.tiles = getTileHeights(subscription.video);
+  }
+  return subscription;
+}
+
+/**
+ * Send the SFU our subscription once things settle, if it changed
+ */
+function scheduleSubscriptionUpdate() {
+  clearTimeout(subscriptionTimer);
+  subscriptionTimer = setTimeout(() => {
+    const subscription = getMediaSubscription();
+    if (!subscription) return;
+
+    const key = JSON.stringify(subscription);
+    if (key === lastSubscriptionKey) return;
+    lastSubscriptionKey = key;
+
+    window.SFUConsumeModule?.updateSubscription?.(subscription)?.catch?.(err => {
+      // Retry on the next change
+      lastSubscriptionKey = null;
+      console.error('[Users] Failed to update subscription:', err);
+    });
+  }, SUBSCRIPTION_DEBOUNCE_MS);
 }
 
 function getPriority(userId) {
@@ -129,6 +276,22 @@ function createUserItemElement(user) {
   const nameText = document.createTextNode(user.name || 'Anonymous');
   name.appendChild(nameText);
 
+  const isSpotlit = getActiveSpotlight()?.userId === user.userId;
+  if (isSpotlit) {
+    const spotlightBadge = document.createElement('span');
+    spotlightBadge.className = 'spotlight-badge';
+    spotlightBadge.textContent = 'Spotlight';
+    name.appendChild(spotlightBadge);
+    userItem.classList.add('spotlit');
+  }
+
+  if (ROLE_LABELS[user.role]) {
+    const roleBadge = document.createElement('span');
+    roleBadge.className = `role-badge role-${user.role}`;
+    roleBadge.textContent = ROLE_LABELS[user.role];
+    name.appendChild(roleBadge);
+  }
+
   // Add audio/video icons (shown only when false initially)
   if (!user.audioOn) {
     const audioIcon = document.createElement('img');
@@ -162,6 +325,16 @@ function createUserItemElement(user) {
     userItem.classList.add('has-screenshare');
   }
 
+  if (CONNECTION_LABELS[user.connectionQuality]) {
+    name.appendChild(createConnectionBadge(user.connectionQuality));
+  }
+
+  // Connection dropped — the seat is held while they reconnect
+  if (user.reconnecting) {
+    userItem.classList.add('reconnecting');
+    userItem.title = 'Reconnecting…';
+  }
+
   // Create action buttons container
   const actions = document.createElement('div');
   actions.className = 'user-actions';
@@ -181,7 +354,7 @@ function createUserItemElement(user) {
   pinBtn.className = 'user-action-btn pin-btn';
   pinBtn.title = 'Pin User';
   pinBtn.innerHTML = `<img src="../assets/icons/pin.svg" alt="Pin">`;
-  if (user.pinned) pinBtn.classList.add('pinned');
+  if (user.pinned || isSpotlit) pinBtn.classList.add('pinned');
   pinBtn.onclick = (e) => {
     e.stopPropagation();
     handlePinUser(user.userId, pinBtn);
@@ -197,6 +370,16 @@ function createUserItemElement(user) {
     handleKickUser(user.userId);
   };
 
+  // Ban button (kick + block from rejoining)
+  const banBtn = document.createElement('button');
+  banBtn.className = 'user-action-btn ban-btn';
+  banBtn.title = 'Ban User';
+  banBtn.innerHTML = `<img src="../assets/icons/ban.svg" alt="Ban">`;
+  banBtn.onclick = (e) => {
+    e.stopPropagation();
+    handleBanUser(user.userId);
+  };
+
   if (user.screenShareOn) {
     const viewBtn = document.createElement('button');
     viewBtn.className = 'user-action-btn view-screen-btn';
@@ -218,6 +401,63 @@ function createUserItemElement(user) {
   actions.appendChild(muteBtn);
   actions.appendChild(pinBtn);
   actions.appendChild(kickBtn);
+  actions.appendChild(banBtn);
+
+  // Spotlight — host / co-hosts put this user in everyone's main view
+  // (their screen share if they have one, otherwise their camera)
+  if (window.SocketHandler?.isRoomManager?.()) {
+    const isSpotlightTarget = spotlight?.userId === user.userId;
+    const spotlightBtn = document.createElement('button');
+    spotlightBtn.className = 'user-action-btn spotlight-btn';
+    spotlightBtn.title = isSpotlightTarget ? 'Remove Spotlight' : 'Spotlight for Everyone';
+    spotlightBtn.innerHTML = `<img src="../assets/icons/person.svg" alt="Spotlight">`;
+    if (isSpotlightTarget) spotlightBtn.classList.add('spotlighted');
+    spotlightBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleSpotlightUser(isSpotlightTarget ? null : user.userId, user.screenShareOn ? 'screen' : 'camera');
+    };
+    actions.appendChild(spotlightBtn);
+  }
+
+  // Revoke sharing — host / co-hosts stop someone's camera and screen; they
+  // cannot share again under any policy until the host approves them
+  const isLocalManager = !!window.SocketHandler?.isRoomManager?.();
+  const isTargetManager = user.role === 'host' || user.role === 'co-host';
+  const publishState = window.SocketHandler?.getPublishState?.();
+  const isRevoked = !!publishState?.revokedUsers?.includes(user.userId);
+  const canRevoke = !isRevoked && (publishState?.policy === 'everyone' || publishState?.approvedUsers?.includes(user.userId));
+  if (isLocalManager && !isLocalUser && !isTargetManager && canRevoke) {
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'user-action-btn revoke-share-btn';
+    revokeBtn.title = 'Stop Sharing';
+    revokeBtn.innerHTML = `<img src="../assets/icons/screen-off.svg" alt="Stop Sharing">`;
+    revokeBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleRevokePublish(user.userId);
+    };
+    actions.appendChild(revokeBtn);
+  }
+
+  // Role picker — only the host can promote/demote, and never themselves
+  const isLocalHost = window.SocketHandler?.getMyRole?.() === 'host';
+  if (isLocalHost && !isLocalUser && user.role !== 'host') {
+    const roleSelect = document.createElement('select');
+    roleSelect.className = 'role-select';
+    roleSelect.title = 'Change role';
+    ASSIGNABLE_ROLES.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      roleSelect.appendChild(option);
+    });
+    roleSelect.value = user.role || 'participant';
+    roleSelect.onclick = (e) => e.stopPropagation();
+    roleSelect.onchange = (e) => {
+      e.stopPropagation();
+      handleSetRole(user.userId, roleSelect.value);
+    };
+    actions.appendChild(roleSelect);
+  }
 
   // Click selects this user for the main screen
   userItem.onclick = () => {
@@ -237,6 +477,8 @@ function createUserItemElement(user) {
   userItem.appendChild(name);
   userItem.appendChild(actions);
 
+  getTileObserver()?.observe(userItem);
+
   return userItem;
 }
 
@@ -296,6 +538,9 @@ function renderUsersList() {
   if (selectedUserId) {
     setUserItemActive(selectedUserId, true);
   }
+
+  // Order, pins or the main-screen user may have changed what we should receive
+  scheduleSubscriptionUpdate();
 }
 
 function reorderVideoItems() {
@@ -361,6 +606,11 @@ function displayUsers(users) {
       if (user.videoOn !== undefined) existing.videoOn = !!user.videoOn;
       if (user.screenOn !== undefined) existing.screenShareOn = !!user.screenOn;
       if (user.handsUp !== undefined) existing.handsUp = !!user.handsUp;
+      if (user.reconnecting !== undefined) setReconnecting(user.userId, user.reconnecting);
+      if (user.role && user.role !== existing.role) {
+        existing.role = user.role;
+        rebuildUserItem(user.userId);
+      }
 
       // Update icons if they exist in DOM
       updateAudioIcon(user.userId, existing.audioOn);
@@ -377,7 +627,9 @@ function displayUsers(users) {
         screenShareOn: user.screenOn !== undefined ? !!user.screenOn : false,
         videoOn: user.videoOn !== undefined ? !!user.videoOn : false,
         audioOn: user.audioOn !== undefined ? !!user.audioOn : false,
-        handsUp: user.handsUp !== undefined ? !!user.handsUp : false
+        handsUp: user.handsUp !== undefined ? !!user.handsUp : false,
+        role: user.role || 'participant',
+        reconnecting: !!user.reconnecting
       });
     }
   });
@@ -446,6 +698,10 @@ function addUserToList(user) {
   if (existing) {
     existing.name = user.name || existing.name;
     existing.profileImage = user.profileImage || existing.profileImage;
+    if (user.role && user.role !== existing.role) {
+      existing.role = user.role;
+      rebuildUserItem(user.userId);
+    }
   } else {
     userStateById.set(user.userId, {
       userId: user.userId,
@@ -456,7 +712,8 @@ function addUserToList(user) {
       screenShareOn: false,
       videoOn: false,
       audioOn: false,
-      handsUp: false
+      handsUp: false,
+      role: user.role || 'participant'
     });
   }
 
@@ -468,38 +725,357 @@ function addUserToList(user) {
 function handleMuteUser(userId) {
   console.log('[Users] Mute user:', userId);
   const socket = window.SocketHandler?.getSocket();
-  if (socket) {
-    socket.emit('mute-user', { targetUserId: userId });
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    // Server verifies host status before muting the target
+    socket.emit('mute-user', { roomId, userId: requesterId, targetUserId: userId });
   }
 }
 
 function handlePinUser(userId, btnElement) {
   console.log('[Users] Pin user:', userId);
+
+  // Unpinning the spotlight stops following it on this screen only
+  if (getActiveSpotlight()?.userId === userId) {
+    spotlightDismissed = true;
+    const state = userStateById.get(userId);
+    if (state) state.pinned = false;
+    rebuildUserItem(userId);
+    recalculatePriority(userId);
+    return;
+  }
+
   const isPinned = btnElement.classList.toggle('pinned');
   setPinned(userId, isPinned);
 }
 
+function handleSpotlightUser(userId, streamType) {
+  console.log('[Users] Spotlight user:', userId, streamType);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    // Everyone (us included) follows the server's 'spotlight-changed'
+    socket.emit('set-spotlight', { roomId, userId: requesterId, targetUserId: userId, streamType });
+  }
+}
+
+/**
+ * Follow the host's spotlight (null clears it). A new spotlight is followed
+ * even if we unpinned the previous one.
+ */
+function setSpotlight(next) {
+  const previousUserId = spotlight?.userId;
+  spotlight = next && next.userId ? { userId: next.userId, streamType: next.streamType || 'camera' } : null;
+  spotlightDismissed = false;
+
+  [previousUserId, spotlight?.userId].forEach(uid => {
+    if (!uid || !userStateById.has(uid)) return;
+    rebuildUserItem(uid);
+    recalculatePriority(uid);
+  });
+
+  window.SFUConsumeModule?.focusSpotlight?.();
+}
+
+function getSpotlight() {
+  return getActiveSpotlight();
+}
+
 function handleKickUser(userId) {
   if (confirm('Are you sure you want to kick this user?')) {
     console.log('[Users] Kick user:', userId);
     const socket = window.SocketHandler?.getSocket();
-    if (socket) {
-      socket.emit('kick-user', { targetUserId: userId });
+    const roomId = window.SocketHandler?.getCurrentRoomId();
+    const requesterId = window.SocketHandler?.getUserId();
+    if (socket && roomId && requesterId) {
+      // Server verifies host status before removing the target
+      socket.emit('kick-user', { roomId, userId: requesterId, targetUserId: userId });
     }
   }
 }
 
+function handleBanUser(userId) {
+  if (confirm('Ban this user? They will be removed and will not be able to rejoin this room.')) {
+    console.log('[Users] Ban user:', userId);
+    const socket = window.SocketHandler?.getSocket();
+    const roomId = window.SocketHandler?.getCurrentRoomId();
+    const requesterId = window.SocketHandler?.getUserId();
+    if (socket && roomId && requesterId) {
+      // Also ban the user's address so a fresh userId from the same device is blocked
+      socket.emit('ban-user', { roomId, userId: requesterId, targetUserId: userId, banIp: true });
+    }
+  }
+}
+
+function handleUnbanUser(userId) {
+  console.log('[Users] Unban user:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('unban-user', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+/**
+ * Render the host's ban list below the people list (hidden when empty)
+ */
+function handleSetRole(userId, role) {
+  console.log('[Users] Set role:', userId, role);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    // The sidebar updates when the server broadcasts 'user-role-updated'
+    socket.emit('set-user-role', { roomId, userId: requesterId, targetUserId: userId, role });
+  }
+}
+
+/**
+ * Re-create a user's sidebar item in place (role/badge changes are not patched)
+ */
+function rebuildUserItem(userId) {
+  const state = userStateById.get(userId);
+  const userItem = document.getElementById(`user-${userId}`);
+  if (!state || !userItem) return;
+
+  const replacement = createUserItemElement(state);
+  replacement.classList.toggle('active', userItem.classList.contains('active'));
+  userItem.replaceWith(replacement);
+}
+
+/**
+ * Rebuild every sidebar item — used when our own role changes, since that
+ * decides whether role pickers are shown
+ */
+function refreshUserItems() {
+  userStateById.forEach((_, userId) => rebuildUserItem(userId));
+}
+
+function setUserRole(userId, role) {
+  // Only one host at a time
+  if (role === 'host') {
+    userStateById.forEach((state, id) => {
+      if (id !== userId && state.role === 'host') {
+        state.role = 'participant';
+        rebuildUserItem(id);
+      }
+    });
+  }
+
+  const state = userStateById.get(userId);
+  if (!state) return;
+  state.role = role;
+  rebuildUserItem(userId);
+}
+
+function handleAdmitUser(userId) {
+  console.log('[Users] Admit user:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('lobby-admit', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+function handleDenyUser(userId) {
+  console.log('[Users] Deny user:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('lobby-deny', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+function handleAdmitAll() {
+  console.log('[Users] Admit all waiting users');
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('lobby-admit-all', { roomId, userId: requesterId });
+  }
+}
+
+function renderWaitingUsers(waitingUsers) {
+  const waitingList = document.getElementById('waiting-list');
+  const itemsEl = document.getElementById('waiting-list-items');
+  if (!waitingList || !itemsEl) return;
+
+  const list = Array.isArray(waitingUsers) ? waitingUsers : [];
+  itemsEl.innerHTML = '';
+
+  list.forEach(waiting => {
+    const row = document.createElement('div');
+    row.className = 'waiting-item';
+
+    const name = document.createElement('span');
+    name.className = 'waiting-name';
+    name.textContent = waiting.name || 'Anonymous';
+
+    const admitBtn = document.createElement('button');
+    admitBtn.className = 'admit-btn';
+    admitBtn.textContent = 'Admit';
+    admitBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleAdmitUser(waiting.userId);
+    };
+
+    const denyBtn = document.createElement('button');
+    denyBtn.className = 'deny-btn';
+    denyBtn.textContent = 'Deny';
+    denyBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleDenyUser(waiting.userId);
+    };
+
+    row.appendChild(name);
+    row.appendChild(admitBtn);
+    row.appendChild(denyBtn);
+    itemsEl.appendChild(row);
+  });
+
+  const admitAllBtn = document.getElementById('admit-all-btn');
+  if (admitAllBtn) admitAllBtn.onclick = handleAdmitAll;
+
+  waitingList.classList.toggle('show', list.length > 0);
+}
+
+function handleApprovePublish(userId) {
+  console.log('[Users] Approve sharing:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('publish-approve', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+function handleDenyPublish(userId) {
+  console.log('[Users] Deny sharing:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    socket.emit('publish-deny', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+function handleRevokePublish(userId) {
+  console.log('[Users] Revoke sharing:', userId);
+  const socket = window.SocketHandler?.getSocket();
+  const roomId = window.SocketHandler?.getCurrentRoomId();
+  const requesterId = window.SocketHandler?.getUserId();
+  if (socket && roomId && requesterId) {
+    // The server stops their camera / screen streams and tells them why
+    socket.emit('publish-revoke', { roomId, userId: requesterId, targetUserId: userId });
+  }
+}
+
+function renderPublishRequests(requests) {
+  const requestsList = document.getElementById('share-requests');
+  const itemsEl = document.getElementById('share-requests-items');
+  publishRequests = Array.isArray(requests) ? requests : [];
+  if (!requestsList || !itemsEl) return;
+
+  itemsEl.innerHTML = '';
+
+  publishRequests.forEach(request => {
+    const row = document.createElement('div');
+    row.className = 'waiting-item';
+
+    const name = document.createElement('span');
+    name.className = 'waiting-name';
+    name.textContent = request.name || 'Anonymous';
+
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'admit-btn';
+    approveBtn.textContent = 'Approve';
+    approveBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleApprovePublish(request.userId);
+    };
+
+    const denyBtn = document.createElement('button');
+    denyBtn.className = 'deny-btn';
+    denyBtn.textContent = 'Deny';
+    denyBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleDenyPublish(request.userId);
+    };
+
+    row.appendChild(name);
+    row.appendChild(approveBtn);
+    row.appendChild(denyBtn);
+    itemsEl.appendChild(row);
+  });
+
+  requestsList.classList.toggle('show', publishRequests.length > 0);
+}
+
+function renderBannedUsers(bannedUsers) {
+  const bannedList = document.getElementById('banned-list');
+  const itemsEl = document.getElementById('banned-list-items');
+  if (!bannedList || !itemsEl) return;
+
+  const list = Array.isArray(bannedUsers) ? bannedUsers : [];
+  itemsEl.innerHTML = '';
+
+  list.forEach(banned => {
+    const row = document.createElement('div');
+    row.className = 'banned-item';
+
+    const name = document.createElement('span');
+    name.className = 'banned-name';
+    name.textContent = banned.name || 'Anonymous';
+    name.title = banned.ipBanned ? 'Banned by user and address' : 'Banned by user';
+
+    const unbanBtn = document.createElement('button');
+    unbanBtn.className = 'unban-btn';
+    unbanBtn.textContent = 'Unban';
+    unbanBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleUnbanUser(banned.userId);
+    };
+
+    row.appendChild(name);
+    row.appendChild(unbanBtn);
+    itemsEl.appendChild(row);
+  });
+
+  bannedList.classList.toggle('show', list.length > 0);
+}
+
 function removeUserFromList(userId) {
   userStateById.delete(userId);
+  visibleUserIds.delete(userId);
+
+  // The server drops the spotlight of someone who left
+  if (spotlight?.userId === userId) {
+    spotlight = null;
+    spotlightDismissed = false;
+  }
+
+  if (publishRequests.some(request => request.userId === userId)) {
+    renderPublishRequests(publishRequests.filter(request => request.userId !== userId));
+  }
 
   const userItem = document.getElementById(`user-${userId}`);
   if (userItem) {
+    tileObserver?.unobserve(userItem);
     userItem.remove();
   }
 
   if (selectedUserId === userId) {
     selectedUserId = null;
   }
+  if (activeSpeakerId === userId) {
+    activeSpeakerId = null;
+  }
 
   reorderUserItemsAndVideos();
 }
@@ -515,6 +1091,9 @@ function updateUserCount(count) {
   }
 }
 
+// Tile sizes change with the window, and with them the layers we want
+window.addEventListener('resize', scheduleSubscriptionUpdate);
+
 // Close active user items when clicking outside
 document.addEventListener('click', (e) => {
   if (!e.target.closest('.user-item')) {
@@ -530,6 +1109,7 @@ document.addEventListener('click', (e) => {
  * Priority weights - higher value = higher priority in the list
  */
 const PRIORITY_WEIGHTS = {
+  spotlight: 100000,
   pinned: 10000,
   handsUp: 1000,
   screenShareOn: 100,
@@ -545,6 +1125,7 @@ function recalculatePriority(userId) {
   if (!u) return;
 
   u.priority =
+    (getActiveSpotlight()?.userId === userId ? PRIORITY_WEIGHTS.spotlight : 0) +
     (u.pinned ? PRIORITY_WEIGHTS.pinned : 0) +
     (u.handsUp ? PRIORITY_WEIGHTS.handsUp : 0) +
     (u.screenShareOn ? PRIORITY_WEIGHTS.screenShareOn : 0) +
@@ -743,6 +1324,88 @@ function updateHandIcon(userId, handsUp) {
   }
 }
 
+/**
+ * Mark a participant whose connection dropped (their seat is being held)
+ */
+function setReconnecting(userId, on) {
+  const u = userStateById.get(userId);
+  if (!u) return;
+  u.reconnecting = !!on;
+
+  const userItem = document.getElementById(`user-${userId}`);
+  if (!userItem) return;
+  userItem.classList.toggle('reconnecting', !!on);
+  userItem.title = on ? 'Reconnecting…' : '';
+}
+
+/**
+ * Active speaker changed (null when nobody holds the floor)
+ */
+function setActiveSpeaker(userId) {
+  if (activeSpeakerId === (userId || null)) return;
+  activeSpeakerId = userId || null;
+  reorderUserItemsAndVideos();
+}
+
+/**
+ * Speaking rings on user tiles from the SFU's { userId: level } report
+ */
+function setAudioLevels(levels) {
+  const map = levels || {};
+  userStateById.forEach((u, userId) => {
+    const userItem = document.getElementById(`user-${userId}`);
+    if (!userItem) return;
+
+    const level = Number(map[userId]) || 0;
+    userItem.classList.toggle('speaking', level >= SPEAKING_LEVEL);
+    userItem.style.setProperty('--audio-level', String(level));
+  });
+}
+
+function createConnectionBadge(quality) {
+  const badge = document.createElement('span');
+  badge.className = `connection-badge connection-${quality}`;
+  badge.textContent = CONNECTION_LABELS[quality];
+  badge.title = 'Their audio or video may stutter';
+  return badge;
+}
+
+/**
+ * Show or clear a user's connection badge ('good' | 'poor' | 'bad', from the SFU)
+ */
+function setConnectionQuality(userId, quality) {
+  const u = userStateById.get(userId);
+  if (!u) return;
+  u.connectionQuality = quality;
+
+  const userItem = document.getElementById(`user-${userId}`);
+  const userName = userItem && userItem.querySelector('.user-name');
+  if (!userName) return;
+
+  userName.querySelector('.connection-badge')?.remove();
+  if (CONNECTION_LABELS[quality]) {
+    userName.appendChild(createConnectionBadge(quality));
+  }
+}
+
+/**
+ * Switch audio-only mode on or off inside the room: drop remote camera tiles
+ * back to avatars and tell the SFU what to send now
+ */
+function setAudioOnlyMode(on) {
+  document.body.classList.toggle('audio-only-mode', !!on);
+
+  if (on) {
+    const localUserId = getLocalUserId();
+    userStateById.forEach((u, userId) => {
+      if (userId !== localUserId) window.SFUConsumeModule?.removeRemoteCameraFromSidebar?.(userId);
+    });
+  }
+
+  lastSubscriptionKey = null;
+  scheduleSubscriptionUpdate();
+}
+
 function reorderUserItemsAndVideos() {
   renderUsersList();
   reorderVideoItems();
@@ -757,12 +1420,35 @@ window.UsersModule = {
   getUsersList: () => getUsersSorted(),
   handleMuteUser,
   handlePinUser,
+  handleSpotlightUser,
+  setSpotlight,
+  getSpotlight,
   handleKickUser,
+  handleBanUser,
+  handleUnbanUser,
+  renderBannedUsers,
+  handleSetRole,
+  setUserRole,
+  refreshUserItems,
+  handleAdmitUser,
+  handleDenyUser,
+  handleAdmitAll,
+  renderWaitingUsers,
+  handleApprovePublish,
+  handleDenyPublish,
+  handleRevokePublish,
+  renderPublishRequests,
   setPinned,
   setScreenShareOn,
   setVideoOn,
   setAudioOn,
   setHandsUp,
+  setReconnecting,
+  setActiveSpeaker,
+  setAudioLevels,
+  setConnectionQuality,
+  setAudioOnlyMode,
+  getMediaSubscription,
   reorderUserItemsAndVideos
 };
 
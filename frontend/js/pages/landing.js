@@ -8,10 +8,26 @@ function showJoinMeeting() {
   document.getElementById('join-view').classList.add('show');
 }
 
+function showScheduleMeeting() {
+  document.getElementById('main-view').style.display = 'none';
+  document.getElementById('start-view').classList.remove('show');
+  document.getElementById('schedule-view').classList.add('show');
+
+  // Default to the next full hour
+  const startInput = document.getElementById('schedule-start');
+  if (!startInput.value) {
+    const next = new Date();
+    next.setHours(next.getHours() + 1, 0, 0, 0);
+    startInput.value = toDateTimeLocalValue(next);
+  }
+  document.getElementById('schedule-meeting-name').value = document.getElementById('meeting-name').value;
+}
+
 function showMain() {
   document.getElementById('main-view').style.display = 'block';
   document.getElementById('start-view').classList.remove('show');
   document.getElementById('join-view').classList.remove('show');
+  document.getElementById('schedule-view').classList.remove('show');
 }
 
 // Use central config for server URL
@@ -27,17 +43,30 @@ function ensureUserId() {
   return userId;
 }
 
+/**
+ * Headers for creating a room: our host token, if we have hosted before,
+ * makes the server reuse our host identity
+ */
+function hostRequestHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  const hostToken = window.getHostToken();
+  if (hostToken) headers['Authorization'] = `Bearer ${hostToken}`;
+  return headers;
+}
+
+/**
+ * The server picks the host's userId — take it (and the host token proving
+ * it) as ours, so isHost() works in the room
+ */
+function adoptHostIdentity(data) {
+  window.setHostToken(data.hostToken);
+  localStorage.setItem('userId', data.room.hostId);
+}
+
 async function startMeeting() {
   // Ensure server URL is determined
   await determineServerURL();
 
-  // Ensure we have a stable userId before creating the room so that
-  // the server can use it as hostId — allowing isHost() to work correctly.
-  const userId = ensureUserId();
-
-  // Auto-save profile before entering a room (silent / best-effort)
-  await saveUserProfile({ silent: true, requireName: false });
-
   const meetingName = document.getElementById('meeting-name').value || 'Quick Meeting';
   const roomId = generateRoomId();
 
@@ -46,24 +75,32 @@ async function startMeeting() {
   const password = s.passwordEnabled && s.roomPassword ? s.roomPassword : null;
   const disableChat  = !!s.disableChat;
   const disableEmoji = !!s.disableEmoji;
+  const maxUsers = Number(s.maxUser) || undefined;
+  const lobbyEnabled = !!s.lobbyEnabled;
 
   try {
     const response = await fetch(`${getAPIURL()}/rooms/create`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: hostRequestHeaders(),
       body: JSON.stringify({
         roomId,
         meetingName,
-        hostId: userId,
         password,           // null if no password was configured
         disableChat,
-        disableEmoji
+        disableEmoji,
+        maxUsers,           // server clamps and enforces the limit
+        lobbyEnabled        // hold joiners in the waiting room until admitted
       })
     });
 
     const data = await response.json();
 
     if (response.ok && data.success) {
+      window.setSessionToken(roomId, data.token);
+      adoptHostIdentity(data);
+
+      // Auto-save profile under our host userId before entering (silent / best-effort)
+      await saveUserProfile({ silent: true, requireName: false });
       window.location.href = `room.html?room=${roomId}&name=${encodeURIComponent(meetingName)}`;
     } else {
       alert(`Error creating room: ${data.error || 'Unknown error'}`);
@@ -89,7 +126,11 @@ async function joinMeeting(passwordOverride) {
   }
 
   try {
-    const body = { roomId: roomCode };
+    // userId lets the server turn away users the host has banned; a token we
+    // already hold for this room proves the userId is ours when rejoining
+    const body = { roomId: roomCode, userId: ensureUserId() };
+    const existingToken = window.getSessionToken(roomCode);
+    if (existingToken) body.token = existingToken;
     if (passwordOverride) body.password = passwordOverride;
 
     const response = await fetch(`${getAPIURL()}/rooms/join`, {
@@ -101,7 +142,18 @@ async function joinMeeting(passwordOverride) {
     const data = await response.json();
 
     if (response.ok && data.success) {
+      window.setSessionToken(roomCode, data.token);
       window.location.href = `room.html?room=${roomCode}&name=${encodeURIComponent(data.room.name)}`;
+    } else if (response.status === 403 && data.identityTaken) {
+      alert(`Your user ID is already in use in room "${roomCode}".`);
+    } else if (response.status === 403 && data.banned) {
+      alert(`You have been banned from room "${roomCode}".`);
+    } else if (response.status === 403 && data.roomFull) {
+      alert(`Room "${roomCode}" is full (max ${data.maxUsers} participants).`);
+    } else if (response.status === 403 && data.notStarted) {
+      alert(`Meeting "${roomCode}" has not started yet. You can join from ${formatMeetingTime(data.opensAt)}.`);
+    } else if (response.status === 403 && data.ended) {
+      alert(`Meeting "${roomCode}" has ended.`);
     } else if (response.status === 401 && data.requiresPassword) {
       // Room requires a password — prompt the user
       const entered = window.prompt(`Room "${roomCode}" is password-protected. Enter the password:`);
@@ -117,6 +169,166 @@ async function joinMeeting(passwordOverride) {
   }
 }
 
+// ============================================
+// Scheduled Meetings
+// ============================================
+
+let upcomingMeetings = []; // Last list fetched from /rooms/scheduled
+
+/**
+ * Format a Date as the value of a datetime-local input (local time)
+ */
+function toDateTimeLocalValue(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatMeetingTime(isoStr) {
+  const d = new Date(isoStr);
+  return d.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }) +
+    ' ' + d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+// Escape HTML to prevent XSS (meeting names are user input)
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+async function scheduleMeeting() {
+  await determineServerURL();
+
+  const startValue = document.getElementById('schedule-start').value;
+  if (!startValue) {
+    alert('Please pick a start time');
+    return;
+  }
+
+  const meetingName = document.getElementById('schedule-meeting-name').value || 'Scheduled Meeting';
+  const durationMinutes = Number(document.getElementById('schedule-duration').value) || 60;
+  const weekly = document.getElementById('schedule-weekly').checked;
+
+  // Same room settings as an instant meeting
+  const s = window.AppSettings?.getAll() || {};
+
+  try {
+    const response = await fetch(`${getAPIURL()}/rooms/schedule`, {
+      method: 'POST',
+      headers: hostRequestHeaders(),
+      body: JSON.stringify({
+        meetingName,
+        startTime: new Date(startValue).toISOString(),
+        durationMinutes,
+        recurrence: weekly ? 'weekly' : null,
+        password: s.passwordEnabled && s.roomPassword ? s.roomPassword : null,
+        disableChat: !!s.disableChat,
+        disableEmoji: !!s.disableEmoji,
+        maxUsers: Number(s.maxUser) || undefined,
+        lobbyEnabled: !!s.lobbyEnabled
+      })
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      window.setSessionToken(data.room.id, data.token);
+      adoptHostIdentity(data);
+      await saveUserProfile({ silent: true, requireName: false });
+      window.prompt(`Meeting scheduled (room ${data.room.id}). Share this link:`, data.joinLink);
+      showMain();
+      loadUpcomingMeetings();
+    } else {
+      alert(`Error scheduling meeting: ${data.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    console.error('Error scheduling meeting:', error);
+    alert('Failed to schedule meeting. Please check if the server is running.');
+  }
+}
+
+/**
+ * Fetch and show the meetings this user has scheduled
+ */
+async function loadUpcomingMeetings() {
+  // Only hosts who have scheduled something hold a host token
+  const hostToken = window.getHostToken();
+  if (!hostToken) return;
+
+  await determineServerURL();
+
+  try {
+    const res = await fetch(`${getAPIURL()}/rooms/scheduled`, {
+      headers: { 'Authorization': `Bearer ${hostToken}` }
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
+
+    upcomingMeetings = data.meetings;
+    renderUpcomingMeetings();
+  } catch (err) {
+    console.error('Error fetching upcoming meetings:', err);
+  }
+}
+
+function renderUpcomingMeetings() {
+  const container = document.getElementById('upcoming-meetings');
+  const listEl = document.getElementById('upcoming-meetings-list');
+  if (!container || !listEl) return;
+
+  container.classList.toggle('show', upcomingMeetings.length > 0);
+
+  listEl.innerHTML = upcomingMeetings.map(meeting => `
+    <div class="upcoming-meeting">
+      <div class="upcoming-meeting-name" title="${escapeHtml(meeting.name)}">${escapeHtml(meeting.name)}</div>
+      <div class="upcoming-meeting-time">
+        ${formatMeetingTime(meeting.startTime)} · ${meeting.durationMinutes} min${meeting.recurrence === 'weekly' ? ' · Weekly' : ''} · ${meeting.id}
+      </div>
+      <div class="upcoming-meeting-actions">
+        ${meeting.joinableNow ? `<button onclick="openScheduledMeeting('${meeting.id}')">Start</button>` : ''}
+        <button onclick="copyMeetingLink('${meeting.id}')">Copy Link</button>
+        <button onclick="cancelScheduledMeeting('${meeting.id}')">Cancel</button>
+      </div>
+    </div>`).join('');
+}
+
+function openScheduledMeeting(roomId) {
+  const meeting = upcomingMeetings.find(m => m.id === roomId);
+  if (!meeting) return;
+  window.location.href = `room.html?room=${roomId}&name=${encodeURIComponent(meeting.name)}`;
+}
+
+function copyMeetingLink(roomId) {
+  const meeting = upcomingMeetings.find(m => m.id === roomId);
+  if (!meeting) return;
+  navigator.clipboard.writeText(meeting.joinLink)
+    .then(() => alert('Meeting link copied to clipboard'))
+    .catch(() => window.prompt('Copy this meeting link:', meeting.joinLink));
+}
+
+async function cancelScheduledMeeting(roomId) {
+  if (!confirm(`Cancel scheduled meeting ${roomId}?`)) return;
+
+  try {
+    const res = await fetch(`${getAPIURL()}/rooms/scheduled/${roomId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${window.getSessionToken(roomId)}` }
+    });
+    const data = await res.json();
+
+    if (res.ok && data.success) {
+      window.setSessionToken(roomId, null);
+      loadUpcomingMeetings();
+    } else {
+      alert(`Could not cancel meeting: ${data.error || 'Unknown error'}`);
+    }
+  } catch (err) {
+    console.error('Error cancelling meeting:', err);
+    alert('Failed to cancel meeting. Please check if the server is running.');
+  }
+}
+
 function formatFileSize(bytes) {
   if (bytes < 1024) return bytes + ' B';
   if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
@@ -366,6 +578,7 @@ document.addEventListener('DOMContentLoaded', function () {
   loadUserProfile();
   loadSettingsIntoUI();
   attachSettingsListeners();
+  loadUpcomingMeetings();
 });
 
 /**
@@ -376,6 +589,7 @@ function loadSettingsIntoUI() {
 
   // Voice & Video
   setToggle('settings-noise-cancelling', s.noiseCancelling);
+  setToggle('settings-audio-only', s.audioOnlyMode);
 
   // Room
   setToggle('settings-auto-recording', s.autoRecording);
@@ -393,6 +607,8 @@ function loadSettingsIntoUI() {
     }
   }
 
+  setToggle('settings-lobby', s.lobbyEnabled);
+
   const maxUserInput = document.getElementById('settings-max-user');
   if (maxUserInput) maxUserInput.value = s.maxUser;
 
@@ -439,6 +655,7 @@ function attachSettingsListeners() {
 
   // Voice & Video
   bindToggle('settings-noise-cancelling', 'noiseCancelling');
+  bindToggle('settings-audio-only', 'audioOnlyMode');
 
   // Room
   bindToggle('settings-auto-recording', 'autoRecording');
@@ -460,6 +677,7 @@ function attachSettingsListeners() {
     }
   });
   bindInput('room-password-input', 'roomPassword');
+  bindToggle('settings-lobby', 'lobbyEnabled');
   bindInput('settings-max-user', 'maxUser');
 
   // Admin
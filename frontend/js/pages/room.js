@@ -102,8 +102,12 @@ async function initRoom() {
     localStorage.setItem('userId', userId);
   }
 
+  // Opening a shared link skips the landing page, so get a session token here
+  const token = await ensureSessionToken(roomId, userId);
+  if (!token) return;
+
   // Initialize socket connection
-  await window.SocketHandler.initSocket(roomId, { userId });
+  await window.SocketHandler.initSocket(roomId, { userId, token });
 
   // Initialize all button handlers
   window.ButtonsModule.initButtons();
@@ -121,6 +125,45 @@ async function initRoom() {
   }
 }
 
+/**
+ * Return the stored session token for this room, or request one from
+ * /rooms/join (prompting for the password if needed). Redirects to the
+ * landing page and returns null when the user cannot join.
+ */
+async function ensureSessionToken(roomId, userId, password) {
+  const existingToken = window.getSessionToken(roomId);
+  if (existingToken && !password) return existingToken;
+
+  const body = { roomId, userId };
+  if (password) body.password = password;
+
+  const response = await fetch(`${getAPIURL()}/rooms/join`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (response.ok && data.success) {
+    window.setSessionToken(roomId, data.token);
+    return data.token;
+  }
+
+  if (response.status === 401 && data.requiresPassword) {
+    const entered = window.prompt(`Room "${roomId}" is password-protected. Enter the password:`);
+    if (entered !== null) {
+      return ensureSessionToken(roomId, userId, entered.trim());
+    }
+  } else if (response.status === 403 && data.notStarted) {
+    alert(`This meeting has not started yet. You can join from ${new Date(data.opensAt).toLocaleString()}.`);
+  } else {
+    alert(data.error || `Could not join room "${roomId}".`);
+  }
+
+  window.location.href = '../index.html';
+  return null;
+}
+
 /**
  * Apply persistent settings that should take effect as soon as the room loads.
  * Only side-effects that are safe to apply immediately are done here;
@@ -135,6 +178,9 @@ function applyStartupSettings() {
   if (!window.AppSettings) return;
   const s = window.AppSettings.getAll();
 
+  // Audio-only mode: avatars instead of camera tiles (the SFU is told via our subscription)
+  document.body.classList.toggle('audio-only-mode', !!s.audioOnlyMode);
+
   // Auto-recording — host only, wait a moment for socket & recording module to be ready
   if (s.autoRecording && window.RecordingModule?.isHost?.()) {
     setTimeout(() => {
@@ -0,0 +1,161 @@
+/**
+ * Cluster Module
+ * Message bus between the Node processes serving the app, so signalling and
+ * room state work no matter which process a request or socket lands on.
+ *
+ * CLUSTER_ADAPTER=local (default) — single process, nothing to talk to
+ * CLUSTER_ADAPTER=ipc             — workers forked by cluster/primary.js,
+ *                                   relayed through the primary over IPC
+ *
+ * On top of the driver this module offers:
+ *  - publish/subscribe on named channels (every other node)
+ *  - sendTo a single node
+ *  - request/handle for calls that need an answer from a specific node
+ *  - a Socket.io adapter so io.to(room).emit reaches sockets on every node
+ */
+
+const nodeCluster = require('cluster');
+const createLocalDriver = require('./local');
+const createIpcDriver = require('./ipc');
+const createIoAdapterClass = require('./io-adapter');
+const log = require('../modules/logger').createLogger('Cluster');
+
+const CLUSTER_ADAPTER = (process.env.CLUSTER_ADAPTER || 'local').toLowerCase();
+
+// Requests to another node fail after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+function createDriver() {
+  switch (CLUSTER_ADAPTER) {
+    case 'local':
+      return createLocalDriver();
+    case 'ipc':
+      if (nodeCluster.isWorker) return createIpcDriver();
+      log.warn('CLUSTER_ADAPTER=ipc needs a worker started by cluster/primary.js — running single-process');
+      return createLocalDriver();
+    default:
+      log.warn(`Unknown CLUSTER_ADAPTER "${CLUSTER_ADAPTER}" — falling back to local`);
+      return createLocalDriver();
+  }
+}
+
+const driver = createDriver();
+const subscribers = new Map();     // channel -> [handler]
+const requestHandlers = new Map(); // method -> handler
+const pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+let requestSeq = 0;
+
+if (driver.clustered) {
+  log.info(`Running as ${driver.nodeId} (${driver.name} adapter)`, { nodeId: driver.nodeId });
+}
+
+driver.onReceive(envelope => {
+  const handlers = subscribers.get(envelope.channel) || [];
+  handlers.forEach(handler => {
+    try {
+      handler(envelope.message, envelope.from);
+    } catch (err) {
+      log.error('Error handling message', { channel: envelope.channel, from: envelope.from, err });
+    }
+  });
+});
+
+/**
+ * Whether other processes share this app's state
+ */
+function isClustered() {
+  return driver.clustered;
+}
+
+/**
+ * Send a message to every other node
+ */
+function publish(channel, message) {
+  driver.send({ channel, to: null, from: driver.nodeId, message });
+}
+
+/**
+ * Send a message to one node
+ */
+function sendTo(nodeId, channel, message) {
+  driver.send({ channel, to: nodeId, from: driver.nodeId, message });
+}
+
+/**
+ * Listen for messages from other nodes on a channel
+ * @param {Function} handler - (message, fromNodeId) => void
+ */
+function subscribe(channel, handler) {
+  if (!subscribers.has(channel)) subscribers.set(channel, []);
+  subscribers.get(channel).push(handler);
+}
+
+/**
+ * Register the handler other nodes reach through request(nodeId, method, ...)
+ * @param {Function} handler - (payload) => result | Promise<result>
+ */
+function handle(method, handler) {
+  requestHandlers.set(method, handler);
+}
+
+/**
+ * Call a handler on a specific node (this one included) and wait for its result
+ * @returns {Promise<*>}
+ */
+function request(nodeId, method, payload) {
+  if (nodeId === driver.nodeId) {
+    const handler = requestHandlers.get(method);
+    if (!handler) return Promise.reject(new Error(`No handler for "${method}"`));
+    return Promise.resolve().then(() => handler(payload));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = `${driver.nodeId}:${++requestSeq}`;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`Request "${method}" to ${nodeId} timed out`));
+    }, REQUEST_TIMEOUT_MS);
+    pendingRequests.set(id, { resolve, reject, timer });
+    sendTo(nodeId, '__request', { id, method, payload });
+  });
+}
+
+subscribe('__request', ({ id, method, payload }, from) => {
+  const handler = requestHandlers.get(method);
+  Promise.resolve()
+    .then(() => {
+      if (!handler) throw new Error(`No handler for "${method}" on ${driver.nodeId}`);
+      return handler(payload);
+    })
+    .then(result => sendTo(from, '__response', { id, result }))
+    .catch(err => sendTo(from, '__response', { id, error: err.message }));
+});
+
+subscribe('__response', ({ id, result, error }) => {
+  const pending = pendingRequests.get(id);
+  if (!pending) return;
+  pendingRequests.delete(id);
+  clearTimeout(pending.timer);
+  if (error) pending.reject(new Error(error));
+  else pending.resolve(result);
+});
+
+/**
+ * Socket.io adapter class for new Server({ adapter }), or undefined to keep
+ * the default in-memory adapter when running single-process
+ */
+function createIoAdapter() {
+  return driver.clustered ? createIoAdapterClass({ publish, subscribe }) : undefined;
+}
+
+module.exports = {
+  nodeId: driver.nodeId,
+  workerIndex: driver.workerIndex,
+  isClustered,
+  publish,
+  sendTo,
+  subscribe,
+  handle,
+  request,
+  createIoAdapter
+};
@@ -0,0 +1,35 @@
+/**
+ * Socket.io adapter over the cluster bus
+ * socket.io-adapter's ClusterAdapterWithHeartbeat implements broadcasts,
+ * fetchSockets, disconnectSockets, serverSideEmit, ... across servers; it only
+ * needs a way to publish messages and responses, which the bus provides.
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+function createIoAdapterClass(bus) {
+  return class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+
+      bus.subscribe('io', ({ message }) => {
+        if (message.nsp === nsp.name) this.onMessage(message);
+      });
+      bus.subscribe('io-response', ({ requesterUid, response }) => {
+        if (requesterUid === this.uid) this.onResponse(response);
+      });
+    }
+
+    doPublish(message) {
+      bus.publish('io', { message });
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      bus.publish('io-response', { requesterUid, response });
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createIoAdapterClass;
@@ -0,0 +1,36 @@
+/**
+ * IPC cluster driver (worker side)
+ * Messages go to the primary process over the cluster IPC channel and the
+ * primary relays them to the other workers (see cluster/primary.js).
+ */
+
+// Marks our envelopes apart from Node's own cluster messages
+const IPC_TAG = 'ascended:cluster';
+
+function createIpcDriver() {
+  const workerIndex = parseInt(process.env.CLUSTER_WORKER_INDEX, 10) || 0;
+  const receivers = [];
+
+  process.on('message', msg => {
+    if (msg && msg[IPC_TAG]) {
+      receivers.forEach(receive => receive(msg[IPC_TAG]));
+    }
+  });
+
+  return {
+    name: 'ipc',
+    clustered: true,
+    nodeId: `node-${workerIndex}`,
+    workerIndex,
+    send(envelope) {
+      process.send({ [IPC_TAG]: envelope });
+    },
+    onReceive(receive) {
+      receivers.push(receive);
+    }
+  };
+}
+
+createIpcDriver.IPC_TAG = IPC_TAG;
+
+module.exports = createIpcDriver;
@@ -0,0 +1,16 @@
+/**
+ * Local cluster driver — a single process, so there is nobody to message
+ */
+
+function createLocalDriver() {
+  return {
+    name: 'local',
+    clustered: false,
+    nodeId: 'node-0',
+    workerIndex: 0,
+    send() {},
+    onReceive() {}
+  };
+}
+
+module.exports = createLocalDriver;
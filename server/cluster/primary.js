@@ -0,0 +1,148 @@
+/**
+ * Cluster Primary
+ * Starts several copies of main.js (CLUSTER_WORKERS, default: one per CPU)
+ * sharing the HTTP/Socket.io port, and relays the cluster bus between them.
+ *
+ * The primary also owns persistence: it mirrors every storage change into the
+ * configured STORAGE_DRIVER and hands new workers a snapshot to start from.
+ *
+ * Run with: npm run start:cluster
+ */
+
+const nodeCluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { IPC_TAG } = require('./ipc');
+const { CHANNEL: STORAGE_CHANNEL, applyPatch } = require('../storage/replicated');
+const storage = require('../storage');
+const log = require('../modules/logger').createLogger('Cluster');
+
+const WORKER_COUNT = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
+
+// Wait before replacing a worker that died, so a crash loop does not spin
+const RESPAWN_DELAY_MS = 1000;
+
+const workers = new Map();    // nodeId -> Worker (online only)
+const liveMirror = new Map(); // collection name -> Map, for collections that are not persisted
+let restoreDone = false;
+
+/**
+ * The primary's copy of a collection: persisted through the storage driver,
+ * or held in memory for live-only collections
+ */
+function getMirror(name, persist) {
+  if (persist) return storage.collection(name);
+  if (!liveMirror.has(name)) liveMirror.set(name, new Map());
+  return liveMirror.get(name);
+}
+
+function applyStorageChange({ collection, persist, op, key, value }) {
+  const mirror = getMirror(collection, persist);
+  if (op === 'set') {
+    mirror.set(key, value);
+  } else if (op === 'patch') {
+    // value holds field-level changes to the stored object (see storage/replicated.js)
+    const stored = mirror.get(key);
+    if (!stored) return;
+    applyPatch(stored, value);
+    mirror.set(key, stored);
+  } else if (op === 'delete') {
+    mirror.delete(key);
+  } else if (op === 'clear') {
+    mirror.clear();
+  }
+}
+
+function buildSnapshot() {
+  const collections = {};
+  storage.collectionNames().forEach(name => {
+    collections[name] = Array.from(storage.collection(name));
+  });
+  liveMirror.forEach((mirror, name) => {
+    collections[name] = Array.from(mirror);
+  });
+  return collections;
+}
+
+function sendEnvelope(worker, envelope) {
+  if (worker.isConnected()) worker.send({ [IPC_TAG]: envelope });
+}
+
+/**
+ * Forward a worker's envelope to its target, or to every other worker
+ */
+function relay(envelope) {
+  if (envelope.channel === STORAGE_CHANNEL) applyStorageChange(envelope.message);
+
+  if (envelope.to) {
+    const target = workers.get(envelope.to);
+    if (target) sendEnvelope(target, envelope);
+    return;
+  }
+  workers.forEach((worker, nodeId) => {
+    if (nodeId !== envelope.from) sendEnvelope(worker, envelope);
+  });
+}
+
+function forkWorker(index) {
+  const nodeId = `node-${index}`;
+  const worker = nodeCluster.fork({ CLUSTER_ADAPTER: 'ipc', CLUSTER_WORKER_INDEX: String(index) });
+
+  worker.on('message', msg => {
+    if (msg && msg[IPC_TAG]) relay(msg[IPC_TAG]);
+  });
+
+  worker.on('online', () => {
+    // The first worker up after a (re)start cleans up state left over from before
+    sendEnvelope(worker, {
+      channel: STORAGE_CHANNEL,
+      from: 'primary',
+      message: { op: 'snapshot', collections: buildSnapshot(), restore: !restoreDone }
+    });
+    restoreDone = true;
+    workers.set(nodeId, worker);
+    log.info('Worker online', { nodeId, pid: worker.process.pid });
+  });
+
+  worker.on('exit', (code, signal) => {
+    workers.delete(nodeId);
+    log.warn(`Worker exited — restarting in ${RESPAWN_DELAY_MS}ms`, { nodeId, exit: signal || code });
+
+    // Let the survivors drop whatever the dead node was serving
+    relay({ channel: 'node-down', to: null, from: 'primary', message: { nodeId } });
+    setTimeout(() => forkWorker(index), RESPAWN_DELAY_MS);
+  });
+}
+
+function startPrimary() {
+  // Every worker has to sign and verify session tokens with the same secret
+  if (!process.env.SESSION_SECRET) {
+    const meta = storage.collection('meta');
+    if (!meta.has('sessionSecret')) {
+      meta.set('sessionSecret', crypto.randomBytes(32).toString('hex'));
+    }
+    process.env.SESSION_SECRET = meta.get('sessionSecret');
+  }
+
+  // 'advanced' serialization keeps Sets, Maps and Dates intact over IPC
+  nodeCluster.setupPrimary({
+    exec: path.join(__dirname, '../main.js'),
+    serialization: 'advanced'
+  });
+
+  log.info(`Primary starting ${WORKER_COUNT} worker(s)`, { pid: process.pid });
+  for (let i = 0; i < WORKER_COUNT; i++) forkWorker(i);
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    // Workers are stopping too — don't respawn them
+    workers.forEach(worker => worker.removeAllListeners('exit'));
+    process.exit(0);
+  }));
+}
+
+if (require.main === module) {
+  startPrimary();
+}
+
+module.exports = { startPrimary };
@@ -0,0 +1,88 @@
+/**
+ * Server Configuration
+ * Each setting comes from its environment variable, then from an optional JSON
+ * file (CONFIG_FILE, default server/config.json), then the defaults below.
+ *
+ * PORT          — port for the web app, API, Socket.io and the SFU (under /sfu)
+ * SSL_CERT_PATH — TLS certificate chain
+ * SSL_KEY_PATH  — TLS private key; HTTPS is used only when both files exist
+ * STUN_URLS     — STUN servers handed to clients (comma-separated in env)
+ * TURN_URLS     — TURN servers (comma-separated in env)
+ * TURN_SECRET   — coturn static-auth-secret; TURN is left out without it
+ * TURN_CREDENTIAL_TTL — lifetime of minted TURN credentials, in seconds
+ * METRICS_TOKEN — bearer token for /metrics and /api/admin/stats; both are off without it
+ * LOG_LEVEL     — debug, info, warn or error
+ * LOG_FORMAT    — json (one object per line) or pretty
+ * LOG_REDACT    — log fields replaced with "[redacted]" (comma-separated in env)
+ * TRUSTED_PROXIES — reverse proxy addresses whose X-Forwarded-For is believed (comma-separated in env)
+ *
+ * Example config.json:
+ *   { "port": 8443, "sslCertPath": "/etc/ssl/fullchain.pem", "sslKeyPath": "/etc/ssl/privkey.pem",
+ *     "turnUrls": ["turn:turn.example.com:3478"], "turnSecret": "..." }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+const DEFAULTS = {
+  port: 8443,
+  sslCertPath: '/etc/letsencrypt/live/streaming.nathadon.com/fullchain.pem',
+  sslKeyPath: '/etc/letsencrypt/live/streaming.nathadon.com/privkey.pem',
+  stunUrls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'],
+  turnUrls: [
+    'turn:138.252.93.34:3478',
+    'turn:138.252.93.34:3478?transport=tcp',
+    'turns:streaming.nathadon.com:5349',
+    'turns:streaming.nathadon.com:5349?transport=tcp'
+  ],
+  turnSecret: null,
+  turnCredentialTtl: 12 * 60 * 60,
+  metricsToken: null,
+  logLevel: 'info',
+  logFormat: 'json',
+  logRedact: ['chatMessage', 'password', 'token', 'credential', 'secret', 'authorization'],
+  trustedProxies: []
+};
+
+function loadConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    // The logger is configured from this file, so this one goes straight to stderr
+    console.error(`[Config] Failed to read ${CONFIG_FILE}:`, error.message);
+    return {};
+  }
+}
+
+const fileConfig = loadConfigFile();
+
+function setting(envName, key) {
+  if (process.env[envName]) return process.env[envName];
+  if (fileConfig[key] !== undefined) return fileConfig[key];
+  return DEFAULTS[key];
+}
+
+// Lists are comma-separated in the environment, arrays in config.json
+function listSetting(envName, key) {
+  const value = setting(envName, key);
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+module.exports = {
+  port: parseInt(setting('PORT', 'port'), 10) || DEFAULTS.port,
+  sslCertPath: setting('SSL_CERT_PATH', 'sslCertPath'),
+  sslKeyPath: setting('SSL_KEY_PATH', 'sslKeyPath'),
+  stunUrls: listSetting('STUN_URLS', 'stunUrls'),
+  turnUrls: listSetting('TURN_URLS', 'turnUrls'),
+  turnSecret: setting('TURN_SECRET', 'turnSecret'),
+  turnCredentialTtl: parseInt(setting('TURN_CREDENTIAL_TTL', 'turnCredentialTtl'), 10) || DEFAULTS.turnCredentialTtl,
+  metricsToken: setting('METRICS_TOKEN', 'metricsToken'),
+  logLevel: String(setting('LOG_LEVEL', 'logLevel')).toLowerCase(),
+  logFormat: String(setting('LOG_FORMAT', 'logFormat')).toLowerCase(),
+  logRedact: listSetting('LOG_REDACT', 'logRedact'),
+  trustedProxies: listSetting('TRUSTED_PROXIES', 'trustedProxies')
+};
@@ -9,20 +9,28 @@ const fs = require('fs');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
-const PORT = process.env.PORT || 8443;
+const config = require('./config');
+const PORT = config.port;
 
 // Import modules
 const apiRoutes = require('./routes/api');
 const recordingRoutes = require('./routes/recording');
+const metricsRoutes = require('./routes/metrics');
 const { initSocketEvents } = require('./socket/socket-events');
-const { setIo: setSfuIo } = require('./sfu/sfu');
+const { router: sfuRouter, setIo: setSfuIo } = require('./sfu/sfu');
 const { setIo: setRecordingIo } = recordingRoutes;
+const cluster = require('./cluster');
+const storage = require('./storage');
+const log = require('./modules/logger').createLogger('Server');
+
+// Serves recording calls for rooms whose media lives on this node
+require('./recorder');
 
 const app = express();
 
-// SSL Certificate paths
-const SSL_CERT_PATH = '/etc/letsencrypt/live/streaming.nathadon.com/fullchain.pem';
-const SSL_KEY_PATH = '/etc/letsencrypt/live/streaming.nathadon.com/privkey.pem';
+// SSL Certificate paths (see config.js)
+const SSL_CERT_PATH = config.sslCertPath;
+const SSL_KEY_PATH = config.sslKeyPath;
 
 // Check if certificate files exist
 let sslOptions = null;
@@ -32,15 +40,12 @@ try {
       cert: fs.readFileSync(SSL_CERT_PATH),
       key: fs.readFileSync(SSL_KEY_PATH)
     };
-    console.log('SSL certificates loaded successfully');
+    log.info('SSL certificates loaded');
   } else {
-    console.warn('SSL certificates not found. Server will run without HTTPS.');
-    console.warn(`Looking for cert: ${SSL_CERT_PATH}`);
-    console.warn(`Looking for key: ${SSL_KEY_PATH}`);
+    log.warn('SSL certificates not found. Server will run without HTTPS.', { cert: SSL_CERT_PATH, key: SSL_KEY_PATH });
   }
 } catch (error) {
-  console.error('Error loading SSL certificates:', error.message);
-  console.warn('Server will run without HTTPS.');
+  log.error('Error loading SSL certificates. Server will run without HTTPS.', { err: error });
 }
 
 // Create HTTPS server if certificates are available, otherwise fallback to HTTP
@@ -50,7 +55,7 @@ if (sslOptions) {
 } else {
   const http = require('http');
   server = http.createServer(app);
-  console.warn('Running in HTTP mode. For production, ensure SSL certificates are configured.');
+  log.warn('Running in HTTP mode. For production, ensure SSL certificates are configured.');
 }
 
 // Initialize Socket.io
@@ -58,7 +63,9 @@ const io = new Server(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
-  }
+  },
+  // Shares rooms and broadcasts with the other workers when clustered
+  adapter: cluster.createIoAdapter()
 });
 
 // Middleware
@@ -77,6 +84,12 @@ app.get('/', (req, res) => {
 app.use('/api', apiRoutes);
 app.use('/api/recording', recordingRoutes);
 
+// Mount SFU (WebRTC signalling) routes
+app.use('/sfu', sfuRouter);
+
+// Prometheus /metrics and /api/admin/stats
+app.use(metricsRoutes);
+
 // Initialize Socket.io event handlers
 initSocketEvents(io);
 
@@ -92,15 +105,17 @@ async function startServer() {
     // Start HTTP/HTTPS server
     server.listen(PORT, () => {
       const protocol = sslOptions ? 'https' : 'http';
-      console.log(`Server running on ${protocol}://localhost:${PORT}`);
-      if (sslOptions) {
-        console.log(`HTTPS server accessible at: https://streaming.nathadon.com:${PORT}`);
-      }
+      log.info(`Server running on ${protocol}://localhost:${PORT}`);
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { err: error });
     process.exit(1);
   }
 }
 
-startServer();
+// Clustered workers wait for the primary's storage snapshot before serving
+storage.whenLoaded().then(startServer);
+
+// Exit through process.exit on Ctrl+C / service stop so the storage driver
+// gets its 'exit' hook and flushes any pending writes
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
@@ -0,0 +1,181 @@
+/**
+ * Session Token Module
+ * Issues and verifies HMAC-signed session tokens that bind a userId to a room.
+ * Tokens are handed out by /api/rooms/create and /api/rooms/join; the socket
+ * and recording layers derive identity from them instead of trusting the client.
+ * Host tokens prove a host identity across rooms (e.g. to list scheduled meetings).
+ * Room passwords are stored as salted scrypt hashes, never in plain text.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const storage = require('../storage');
+const log = require('./logger').createLogger('Auth');
+
+// Tokens outlive any realistic meeting
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Host tokens are kept by the browser between meetings
+const HOST_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_BYTES = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_SECRET = resolveSessionSecret();
+
+/**
+ * SESSION_SECRET from the environment, else a generated one. With a persistent
+ * storage driver the generated secret is stored so tokens survive restarts
+ * along with the rooms they were issued for.
+ */
+function resolveSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+  const meta = storage.collection('meta');
+  if (!meta.has('sessionSecret')) {
+    meta.set('sessionSecret', crypto.randomBytes(32).toString('hex'));
+  }
+  if (!storage.isPersistent()) {
+    log.warn('SESSION_SECRET not set — using a random secret (session tokens reset on restart)');
+  }
+  return meta.get('sessionSecret');
+}
+
+/**
+ * HMAC-SHA256 of the encoded payload, base64url encoded
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Sign a payload into a token
+ * @returns {string} "<payload>.<signature>"
+ */
+function encodeToken(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * The payload of a correctly signed, unexpired token, or null
+ */
+function decodeToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp < Date.now()) return null;
+  return payload;
+}
+
+/**
+ * Issue a session token for a user in a room
+ * @param {number} [ttlMs] - Lifetime, for tokens that must outlast a normal meeting
+ * @returns {string} "<payload>.<signature>"
+ */
+function issueSessionToken(roomId, userId, ttlMs = TOKEN_TTL_MS) {
+  return encodeToken({
+    roomId,
+    userId,
+    exp: Date.now() + ttlMs
+  });
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @param {string} [roomId] - If given, the token must have been issued for this room
+ * @returns {Object|null} { roomId, userId } or null if invalid/expired
+ */
+function verifySessionToken(token, roomId) {
+  const payload = decodeToken(token);
+  if (!payload || !payload.roomId || !payload.userId) return null;
+  if (roomId && payload.roomId !== roomId) return null;
+
+  return { roomId: payload.roomId, userId: payload.userId };
+}
+
+/**
+ * Issue a host token: not bound to a room, it proves the caller is the host
+ * the token was issued for
+ * @returns {string} "<payload>.<signature>"
+ */
+function issueHostToken(hostId, ttlMs = HOST_TOKEN_TTL_MS) {
+  return encodeToken({
+    scope: 'host',
+    hostId,
+    exp: Date.now() + ttlMs
+  });
+}
+
+/**
+ * Verify a host token
+ * @returns {string|null} The hostId, or null if invalid/expired
+ */
+function verifyHostToken(token) {
+  const payload = decodeToken(token);
+  if (!payload || payload.scope !== 'host' || !payload.hostId) return null;
+  return payload.hostId;
+}
+
+/**
+ * Read a bearer token from an Express request (Authorization header)
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Hash a room password for storage
+ * @returns {Promise<string>} "scrypt:<salt hex>:<hash hex>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_BYTES);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword (constant-time compare)
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+  const [scheme, saltHex, hashHex] = storedHash.split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  TOKEN_TTL_MS,
+  issueSessionToken,
+  verifySessionToken,
+  issueHostToken,
+  verifyHostToken,
+  getRequestToken,
+  hashPassword,
+  verifyPassword
+};
@@ -1,14 +1,30 @@
 /**
  * Chat Module
  * Handles all chat-related logic for rooms
- * Stores messages in-memory using a queue structure
+ * Each message is its own storage entry, so sending one only writes (and, in
+ * a cluster, replicates) that message; a small per-room index keeps the order
  */
 
-// In-memory storage: roomId -> Array of messages (queue)
-const roomMessages = new Map();
+const storage = require('../storage');
+const log = require('./logger').createLogger('Chat');
+
+// "<roomId>:<messageId>" -> message
+const messages = storage.collection('chat');
+
+// roomId -> { messageKeys: Set } in the order they were sent
+const roomIndex = storage.collection('chatIndex');
 
 // Maximum number of messages to keep per room
-const MAX_MESSAGES_PER_ROOM = 100000;
+const MAX_MESSAGES_PER_ROOM = 1000;
+
+function messageKey(roomId, messageId) {
+  return `${roomId}:${messageId}`;
+}
+
+function getMessageKeys(roomId) {
+  const index = roomIndex.get(roomId);
+  return index ? index.messageKeys : new Set();
+}
 
 /**
  * Add a message to a room's chat queue
@@ -21,13 +37,6 @@ function addMessage(roomId, messageData) {
     throw new Error('Room ID and message data are required');
   }
 
-  // Initialize message queue for room if it doesn't exist
-  if (!roomMessages.has(roomId)) {
-    roomMessages.set(roomId, []);
-  }
-
-  const messageQueue = roomMessages.get(roomId);
-  
   // Create message object with unique ID
   const message = {
     messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -39,14 +48,20 @@ function addMessage(roomId, messageData) {
     createdAt: new Date()
   };
 
-  // Add to queue (FIFO structure)
-  messageQueue.push(message);
+  const index = roomIndex.get(roomId) || { messageKeys: new Set() };
+  const key = messageKey(roomId, message.messageId);
+  messages.set(key, message);
+  index.messageKeys.add(key);
 
-  // Limit queue size to prevent memory issues (keep last 1000 messages per room)
-  if (messageQueue.length > MAX_MESSAGES_PER_ROOM) {
-    messageQueue.shift(); // Remove oldest message
+  // Limit history to prevent memory issues (keep the last MAX_MESSAGES_PER_ROOM)
+  while (index.messageKeys.size > MAX_MESSAGES_PER_ROOM) {
+    const oldest = index.messageKeys.values().next().value;
+    index.messageKeys.delete(oldest);
+    messages.delete(oldest);
   }
 
+  roomIndex.set(roomId, index);
+
   return message;
 }
 
@@ -60,7 +75,10 @@ function getRoomMessages(roomId) {
     return [];
   }
 
-  return roomMessages.get(roomId) || [];
+  // Keys added on other cluster nodes may interleave, so order by send time
+  return Array.from(getMessageKeys(roomId), key => messages.get(key))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt - b.createdAt);
 }
 
 /**
@@ -86,8 +104,9 @@ function getRoomMessagesWithLimit(roomId, limit) {
  */
 function clearRoomMessages(roomId) {
   if (roomId) {
-    roomMessages.delete(roomId);
-    console.log(`Chat messages cleared for room: ${roomId}`);
+    getMessageKeys(roomId).forEach(key => messages.delete(key));
+    roomIndex.delete(roomId);
+    log.info('Chat messages cleared', { roomId });
   }
 }
 
@@ -97,8 +116,7 @@ function clearRoomMessages(roomId) {
  * @returns {number} Number of messages in the room
  */
 function getMessageCount(roomId) {
-  const messages = roomMessages.get(roomId);
-  return messages ? messages.length : 0;
+  return getMessageKeys(roomId).size;
 }
 
 /**
@@ -107,8 +125,7 @@ function getMessageCount(roomId) {
  * @returns {boolean} True if room has messages
  */
 function hasMessages(roomId) {
-  const messages = roomMessages.get(roomId);
-  return messages && messages.length > 0;
+  return getMessageKeys(roomId).size > 0;
 }
 
 module.exports = {
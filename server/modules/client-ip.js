@@ -0,0 +1,55 @@
+/**
+ * Client IP Module
+ * The address IP bans are keyed by. X-Forwarded-For is only honoured when the
+ * connection comes from a proxy listed in TRUSTED_PROXIES; otherwise any client
+ * could name an address of its choosing (dodging its own ban, or getting
+ * someone else banned).
+ */
+
+const config = require('../config');
+
+/**
+ * "::ffff:1.2.3.4" (IPv4 on a dual-stack socket) -> "1.2.3.4"
+ */
+function normalizeIp(ip) {
+  const trimmed = String(ip || '').trim();
+  return trimmed.startsWith('::ffff:') ? trimmed.slice(7) : trimmed;
+}
+
+function isTrustedProxy(ip) {
+  return config.trustedProxies.includes(normalizeIp(ip));
+}
+
+/**
+ * The client's address: the peer itself, or — when the peer is a trusted
+ * proxy — the right-most X-Forwarded-For hop that is not one of our proxies
+ */
+function resolveClientIp(remoteAddress, forwardedFor) {
+  const remote = normalizeIp(remoteAddress);
+  if (!forwardedFor || !isTrustedProxy(remote)) return remote || null;
+
+  const hops = String(forwardedFor).split(',').map(normalizeIp).filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!isTrustedProxy(hops[i])) return hops[i];
+  }
+  return hops[0] || remote || null;
+}
+
+/**
+ * Client IP of an Express request
+ */
+function getRequestIp(req) {
+  return resolveClientIp(req.socket.remoteAddress, req.headers['x-forwarded-for']);
+}
+
+/**
+ * Client IP of a Socket.io socket
+ */
+function getSocketIp(socket) {
+  return resolveClientIp(socket.handshake.address, socket.handshake.headers['x-forwarded-for']);
+}
+
+module.exports = {
+  getRequestIp,
+  getSocketIp
+};
@@ -0,0 +1,48 @@
+/**
+ * ICE Servers Module
+ * Builds the ICE server list for WebRTC peers from config.js. TURN access uses
+ * coturn's REST API scheme (use-auth-secret): the username is
+ * "<expiry unix time>:<userId>" and the password is the base64 HMAC-SHA1 of
+ * that username with the shared static-auth-secret, so credentials expire on
+ * their own and no TURN password is ever shipped to clients.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const log = require('./logger').createLogger('ICE');
+
+if (!config.turnSecret) {
+  log.warn('TURN_SECRET not set — only STUN servers will be handed out');
+}
+
+/**
+ * Mint time-limited TURN credentials for a user
+ * @returns {Object} { username, credential, expiresAt } (expiresAt in ms)
+ */
+function mintTurnCredentials(userId, ttlSeconds = config.turnCredentialTtl) {
+  const expiry = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac('sha1', config.turnSecret).update(username).digest('base64');
+  return { username, credential, expiresAt: expiry * 1000 };
+}
+
+/**
+ * ICE servers for a peer belonging to userId ('sfu' / 'recorder' for the server's own peers)
+ * @returns {Object} { iceServers, expiresAt } — expiresAt is null when no TURN credentials were minted
+ */
+function getIceServers(userId) {
+  const iceServers = config.stunUrls.map(urls => ({ urls }));
+
+  if (!config.turnSecret || config.turnUrls.length === 0) {
+    return { iceServers, expiresAt: null };
+  }
+
+  const { username, credential, expiresAt } = mintTurnCredentials(userId);
+  iceServers.push({ urls: config.turnUrls, username, credential });
+  return { iceServers, expiresAt };
+}
+
+module.exports = {
+  mintTurnCredentials,
+  getIceServers
+};
@@ -0,0 +1,132 @@
+/**
+ * Logger
+ * Levelled, structured logging for the server. Each entry is written as one
+ * JSON object per line ({ time, level, module, msg, roomId, userId, ... }) or,
+ * with LOG_FORMAT=pretty, as a readable line.
+ *
+ * Fields named in LOG_REDACT (chat text and credentials by default) are
+ * replaced with "[redacted]" before an entry is written or kept anywhere.
+ *
+ * Entries carrying a roomId are also kept in a per-room ring buffer, so the
+ * host can download a room's recent log when reporting a problem
+ * (see room-logs.js).
+ *
+ * Usage:
+ *   const log = require('./logger').createLogger('Rooms');
+ *   log.info('Room created', { roomId, userId });
+ *   log.error('Recording failed', { roomId, err });
+ */
+
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[config.logLevel] || LEVELS.info;
+const pretty = config.logFormat === 'pretty';
+const redactedFields = new Set(config.logRedact.map(field => field.toLowerCase()));
+
+// Entries kept per room, and rooms kept at once (the least recently logged is dropped)
+const ROOM_LOG_SIZE = 500;
+const MAX_ROOM_LOGS = 200;
+
+// Nested objects in fields are written down to this depth
+const MAX_FIELD_DEPTH = 4;
+
+// roomId -> [entry] (oldest first)
+const roomLogs = new Map();
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Copy of a field value that is safe to write: redacted, errors expanded,
+ * collections turned into arrays/objects
+ */
+function cleanValue(value, depth) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_FIELD_DEPTH) return '[object]';
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Set) value = Array.from(value);
+  if (value instanceof Map) value = Object.fromEntries(value);
+  if (Array.isArray(value)) return value.map(item => cleanValue(item, depth + 1));
+
+  const clean = {};
+  Object.keys(value).forEach(key => {
+    if (value[key] === undefined) return;
+    clean[key] = redactedFields.has(key.toLowerCase()) ? '[redacted]' : cleanValue(value[key], depth + 1);
+  });
+  return clean;
+}
+
+function remember(entry) {
+  const roomId = entry.roomId;
+  let entries = roomLogs.get(roomId);
+  if (entries) {
+    // Re-insert so the Map stays ordered by last activity
+    roomLogs.delete(roomId);
+  } else {
+    entries = [];
+    if (roomLogs.size >= MAX_ROOM_LOGS) roomLogs.delete(roomLogs.keys().next().value);
+  }
+  roomLogs.set(roomId, entries);
+
+  entries.push(entry);
+  if (entries.length > ROOM_LOG_SIZE) entries.shift();
+}
+
+function formatPretty(entry) {
+  const { time, level, module: moduleName, msg, ...fields } = entry;
+  const details = Object.keys(fields)
+    .map(key => `${key}=${typeof fields[key] === 'object' ? JSON.stringify(fields[key]) : fields[key]}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${moduleName}] ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function write(level, moduleName, baseFields, msg, fields) {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module: moduleName,
+    msg: String(msg),
+    ...cleanValue({ ...baseFields, ...fields }, 0)
+  };
+
+  if (entry.roomId) remember(entry);
+  if (LEVELS[level] < minLevel) return;
+
+  const line = pretty ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Logger for one module; baseFields (e.g. { roomId }) are added to every entry
+ */
+function createLogger(moduleName, baseFields = {}) {
+  const logger = {
+    child: (fields) => createLogger(moduleName, { ...baseFields, ...fields })
+  };
+  Object.keys(LEVELS).forEach(level => {
+    logger[level] = (msg, fields) => write(level, moduleName, baseFields, msg, fields);
+  });
+  return logger;
+}
+
+/**
+ * Entries this process kept for a room, oldest first
+ */
+function getRoomLog(roomId) {
+  return (roomLogs.get(roomId) || []).slice();
+}
+
+function clearRoomLog(roomId) {
+  roomLogs.delete(roomId);
+}
+
+module.exports = {
+  createLogger,
+  getRoomLog,
+  clearRoomLog
+};
@@ -0,0 +1,173 @@
+/**
+ * Metrics Module
+ * Gathers room, media and recording state from every node for the admin
+ * stats endpoint (JSON) and the Prometheus scrape endpoint (text format).
+ * Media state lives on the node serving each room, so every node is asked
+ * for its own part over the cluster bus.
+ */
+
+const cluster = require('../cluster');
+const affinity = require('../sfu/affinity');
+const roomsModule = require('./rooms');
+const sfu = require('../sfu/sfu');
+const recorder = require('../recorder');
+
+const METRIC_PREFIX = 'ascended';
+
+/**
+ * This node's part: SFU rooms and recordings
+ * @param {string} reader - Who is asking (see collectStats)
+ */
+async function collectNodeStats(reader) {
+  return {
+    nodeId: cluster.nodeId,
+    rooms: await sfu.getStats(reader),
+    swept: sfu.getSweepStats(),
+    recorder: recorder.getMetrics()
+  };
+}
+
+function addCounts(target, source) {
+  Object.keys(source).forEach(key => {
+    target[key] = (target[key] || 0) + source[key];
+  });
+}
+
+/**
+ * Stats for the whole deployment
+ * @param {string} reader - Name of the endpoint asking ('prometheus', 'admin');
+ *   bitrates are measured since that reader's previous call
+ * @returns {Promise<Object>} { generatedAt, totals, rooms, nodes }
+ */
+async function collectStats(reader) {
+  const nodes = await Promise.all(affinity.listNodes().map(nodeId =>
+    affinity.callOnNode(nodeId, 'metrics', 'collectNodeStats', reader)
+      .then(stats => ({ ...stats, up: true }))
+      .catch(err => ({ nodeId, up: false, error: err.message, rooms: {}, swept: {}, recorder: { sessions: [], ffmpegProcesses: 0 } }))
+  ));
+
+  const totals = {
+    rooms: 0,
+    participants: 0,
+    streams: 0,
+    publishers: 0,
+    broadcasters: 0,
+    consumers: 0,
+    iceStates: {},
+    bitrateIn: 0,
+    bitrateOut: 0,
+    recordings: 0,
+    ffmpegProcesses: 0
+  };
+
+  const rooms = [];
+  roomsModule.rooms.forEach((room, roomId) => {
+    if (!room.isActive) return;
+    const nodeId = affinity.getRoomNode(roomId);
+    const node = nodes.find(candidate => candidate.nodeId === nodeId);
+    const media = (node && node.rooms[roomId]) || null;
+
+    rooms.push({
+      roomId,
+      name: room.name,
+      participants: room.participants.size,
+      nodeId,
+      recording: !!(node && node.recorder.sessions.some(session => session.roomId === roomId)),
+      media
+    });
+    totals.rooms++;
+    totals.participants += room.participants.size;
+  });
+
+  nodes.forEach(node => {
+    Object.values(node.rooms).forEach(media => {
+      totals.streams += media.streams;
+      totals.publishers += media.publishers;
+      totals.broadcasters += media.broadcasters;
+      totals.consumers += media.consumers;
+      totals.bitrateIn += media.bitrateIn;
+      totals.bitrateOut += media.bitrateOut;
+      addCounts(totals.iceStates, media.iceStates);
+    });
+    totals.recordings += node.recorder.sessions.length;
+    totals.ffmpegProcesses += node.recorder.ffmpegProcesses;
+  });
+
+  return { generatedAt: new Date().toISOString(), totals, rooms, nodes };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render collectStats() output in the Prometheus text exposition format
+ */
+function toPrometheus(stats) {
+  const lines = [];
+  const metric = (name, help, samples, type = 'gauge') => {
+    lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`);
+    lines.push(`# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+    samples.forEach(({ labels, value }) => {
+      const labelText = Object.keys(labels || {})
+        .map(key => `${key}="${escapeLabel(labels[key])}"`)
+        .join(',');
+      lines.push(`${METRIC_PREFIX}_${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  };
+
+  // Per-room media samples across every node
+  const mediaSamples = (pick) => {
+    const samples = [];
+    stats.nodes.forEach(node => {
+      Object.keys(node.rooms).forEach(roomId => {
+        pick(node.rooms[roomId]).forEach(([labels, value]) => {
+          samples.push({ labels: { node: node.nodeId, room: roomId, ...labels }, value });
+        });
+      });
+    });
+    return samples;
+  };
+
+  metric('rooms', 'Active rooms', [{ value: stats.totals.rooms }]);
+  metric('participants', 'Participants in active rooms', [{ value: stats.totals.participants }]);
+  metric('room_participants', 'Participants per room',
+    stats.rooms.map(room => ({ labels: { room: room.roomId }, value: room.participants })));
+
+  metric('sfu_streams', 'Streams the SFU holds per room', mediaSamples(media => [[{}, media.streams]]));
+  metric('sfu_peers', 'SFU peer connections per room by kind', mediaSamples(media => [
+    [{ kind: 'publisher' }, media.publishers],
+    [{ kind: 'broadcaster' }, media.broadcasters],
+    [{ kind: 'consumer' }, media.consumers]
+  ]));
+  metric('sfu_ice_connections', 'SFU peer connections per room by ICE state', mediaSamples(media =>
+    Object.keys(media.iceStates).map(state => [{ state }, media.iceStates[state]])
+  ));
+  metric('sfu_bitrate_bps', 'Media bitrate per room, in from publishers and out to consumers', mediaSamples(media => [
+    [{ direction: 'in' }, media.bitrateIn],
+    [{ direction: 'out' }, media.bitrateOut]
+  ]));
+
+  metric('sfu_swept_total', 'Orphaned SFU entries the sweeper cleaned since the node started, by kind',
+    stats.nodes.flatMap(node => Object.keys(node.swept).map(kind => ({
+      labels: { node: node.nodeId, kind },
+      value: node.swept[kind]
+    }))), 'counter');
+
+  metric('node_up', 'Whether the node answered the stats request',
+    stats.nodes.map(node => ({ labels: { node: node.nodeId }, value: node.up ? 1 : 0 })));
+  metric('recordings_active', 'Recording sessions per node',
+    stats.nodes.map(node => ({ labels: { node: node.nodeId }, value: node.recorder.sessions.length })));
+  metric('ffmpeg_processes', 'Running FFmpeg processes per node',
+    stats.nodes.map(node => ({ labels: { node: node.nodeId }, value: node.recorder.ffmpegProcesses })));
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Other nodes ask this one for its part of the stats
+affinity.registerService('metrics', { collectNodeStats });
+
+module.exports = {
+  collectStats,
+  toPrometheus
+};
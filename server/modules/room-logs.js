@@ -0,0 +1,39 @@
+/**
+ * Room Logs
+ * A room's log entries are kept by every node that handled its signalling or
+ * media (see logger.js). This module gathers them for the host's download and
+ * drops them on every node when the room is destroyed.
+ */
+
+const affinity = require('../sfu/affinity');
+const logger = require('./logger');
+
+/**
+ * A room's recent log entries from every node, oldest first
+ */
+async function collectRoomLog(roomId) {
+  const parts = await Promise.all(affinity.listNodes().map(nodeId =>
+    affinity.callOnNode(nodeId, 'logs', 'getRoomLog', roomId).catch(() => [])
+  ));
+  return parts.flat().sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Forget a room's log entries on every node
+ */
+function clearRoomLog(roomId) {
+  affinity.listNodes().forEach(nodeId => {
+    affinity.callOnNode(nodeId, 'logs', 'clearRoomLog', roomId).catch(() => {});
+  });
+}
+
+// Other nodes read and clear this node's entries
+affinity.registerService('logs', {
+  getRoomLog: logger.getRoomLog,
+  clearRoomLog: logger.clearRoomLog
+});
+
+module.exports = {
+  collectRoomLog,
+  clearRoomLog
+};
@@ -4,33 +4,225 @@
  */
 
 const chatModule = require('./chat');
-const sfuModule = require('../sfu/sfu');
-const recorder = require('../recorder');
-const rooms = new Map();
-const users = new Map(); // Store user profiles: userId -> { name, profileImage }
-const userMediaState = new Map(); // Store media state: userId -> { audioOn, videoOn, screenOn }
+const roomLogs = require('./room-logs');
+const log = require('./logger').createLogger('Rooms');
+const affinity = require('../sfu/affinity');
+const storage = require('../storage');
+const rooms = storage.collection('rooms');
+const users = storage.collection('users'); // Store user profiles: userId -> { name, profileImage }
+const userMediaState = storage.collection('mediaState', { persist: false }); // userId -> { audioOn, videoOn, screenOn } (never persisted)
+
+// How long an empty room lingers before it is destroyed
+const EMPTY_ROOM_TTL_MS = 60000;
+
+// Rooms restored after a restart get longer for their participants to reconnect
+const RESTORED_ROOM_GRACE_MS = 5 * 60 * 1000;
+
+// Room capacity bounds (mirrors the "Max User" input on the client)
+const DEFAULT_MAX_USERS = 50;
+const MIN_MAX_USERS = 2;
+const MAX_MAX_USERS = 50;
+
+// Scheduled meetings open this long before their start time
+const SCHEDULE_EARLY_JOIN_MS = 10 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How often ended scheduled rooms nobody joined are pruned
+const SCHEDULE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Room roles. The host is always room.hostId; the others live in room.roles.
+const ROLES = {
+  HOST: 'host',
+  CO_HOST: 'co-host',
+  PRESENTER: 'presenter',
+  PARTICIPANT: 'participant'
+};
+
+// Roles the host can hand out from the people sidebar
+const ASSIGNABLE_ROLES = [ROLES.CO_HOST, ROLES.PRESENTER, ROLES.PARTICIPANT];
+
+// Which roles may perform each admin action
+const MODERATORS = [ROLES.HOST, ROLES.CO_HOST];
+const ROLE_PERMISSIONS = {
+  'force-mute': MODERATORS,
+  'force-camera': MODERATORS,
+  'disable-chat': MODERATORS,
+  'disable-emoji': MODERATORS,
+  'set-max-users': MODERATORS,
+  'manage-lobby': MODERATORS,
+  'mute-user': MODERATORS,
+  'kick-user': MODERATORS,
+  'ban-user': MODERATORS,
+  'record': MODERATORS,
+  'download-logs': MODERATORS,
+  'manage-publishing': MODERATORS,
+  'spotlight': MODERATORS,
+  'assign-roles': [ROLES.HOST]
+};
+
+// Who may publish camera / screen video (stage mode). Microphones are left to force-mute.
+const PUBLISH_POLICIES = {
+  EVERYONE: 'everyone',
+  APPROVED: 'approved', // moderators plus the participants they approved
+  HOST: 'host'          // moderators only
+};
+const POLICY_STREAM_TYPES = ['camera', 'screen'];
+
+// Streams the host can put in everyone's main view
+const SPOTLIGHT_STREAM_TYPES = ['camera', 'screen'];
+
+/**
+ * Clamp a requested capacity into the allowed range
+ */
+function normalizeMaxUsers(maxUsers) {
+  const n = parseInt(maxUsers, 10);
+  if (!Number.isFinite(n)) return DEFAULT_MAX_USERS;
+  return Math.max(MIN_MAX_USERS, Math.min(MAX_MAX_USERS, n));
+}
+
+/**
+ * Write a room back to storage after changing it in place
+ */
+function saveRoom(room) {
+  rooms.set(room.id, room);
+}
+
+/**
+ * Stop the room's recording, if there is one, on the node serving its media
+ */
+function stopRoomRecording(roomId, reason) {
+  const nodeId = affinity.getRoomNode(roomId);
+  if (!nodeId) return;
+
+  affinity.callOnNode(nodeId, 'recorder', 'getStatus', roomId)
+    .then(status => {
+      if (!status.active) return;
+      log.info(`${reason} — stopping active recording`, { roomId });
+      return affinity.callOnNode(nodeId, 'recorder', 'stopRecording', roomId);
+    })
+    .catch(err => log.error('Error stopping recording', { roomId, err }));
+}
+
+/**
+ * Destroy the room later if nobody is in it by then
+ */
+function scheduleEmptyRoomCleanup(roomId, delayMs) {
+  setTimeout(() => {
+    const currentRoom = rooms.get(roomId);
+    if (currentRoom && currentRoom.participants.size === 0) {
+      destroyRoom(roomId);
+    }
+  }, delayMs);
+}
 
 /**
  * Create a new room
+ * @param {Object} [options] - Extra room settings: { maxUsers, lobbyEnabled, schedule }
+ *   schedule = { startTime: Date, durationMinutes, recurrence: null | 'weekly' }.
+ *   A scheduled room starts empty and is only joinable within its window.
  */
-function createRoom(roomId, meetingName, hostId, password, initialAdminState) {
+function createRoom(roomId, meetingName, hostId, passwordHash, initialAdminState, options = {}) {
   const room = {
     id: roomId,
     name: meetingName || 'Untitled Meeting',
     hostId: hostId,
-    password: password || null,   // null = no password required
-    participants: new Set([hostId]),
+    passwordHash: passwordHash || null,   // auth.hashPassword output; null = no password required
+    maxUsers: normalizeMaxUsers(options.maxUsers),
+    participants: options.schedule ? new Set() : new Set([hostId]),
     createdAt: new Date(),
     isActive: true,
     adminState: Object.assign(
       { forceMute: false, forceCamera: false, chatDisabled: false, emojiDisabled: false },
       initialAdminState || {}
-    )
+    ),
+    bannedUsers: new Map(),   // userId -> { userId, name, ip, bannedBy, bannedAt }
+    bannedIps: new Set(),     // IPs banned alongside a userId (optional)
+    lobbyEnabled: !!options.lobbyEnabled,
+    waitingUsers: new Map(),  // userId -> { userId, name, socketId, requestedAt } (lobby)
+    admittedUsers: new Set([hostId]), // users the host let in; they skip the lobby on rejoin
+    sessionUsers: new Set([hostId]),  // userIds a session token was issued for
+    roles: new Map(),                 // userId -> co-host | presenter (everyone else is a participant)
+    reconnecting: new Map(),          // userId -> deadline (ms) for participants whose connection dropped
+    publishPolicy: PUBLISH_POLICIES.EVERYONE,
+    publishApproved: new Set(),       // userIds allowed to publish video under the 'approved' policy
+    publishRevoked: new Set(),        // userIds the host stopped; no video under any policy until approved
+    publishRequests: new Map(),       // userId -> { userId, name, requestedAt } (asked to share)
+    spotlight: null,                  // { userId, streamType, setBy, setAt } shown as everyone's main view
+    schedule: options.schedule || null
   };
-  rooms.set(roomId, room);
+  saveRoom(room);
   return room;
 }
 
+/**
+ * The current or next window of a scheduled room.
+ * Weekly meetings roll forward to the first occurrence that has not ended yet.
+ * @returns {Object|null} { start, end, opensAt } or null if the meeting is over
+ */
+function getScheduleWindow(room, now = Date.now()) {
+  if (!room || !room.schedule) return null;
+
+  const durationMs = room.schedule.durationMinutes * 60000;
+  let start = new Date(room.schedule.startTime).getTime();
+
+  if (now >= start + durationMs) {
+    if (room.schedule.recurrence !== 'weekly') return null;
+    start += (Math.floor((now - start - durationMs) / WEEK_MS) + 1) * WEEK_MS;
+  }
+
+  return {
+    start: new Date(start),
+    end: new Date(start + durationMs),
+    opensAt: new Date(start - SCHEDULE_EARLY_JOIN_MS)
+  };
+}
+
+/**
+ * Check whether a user may enter a room right now. Unscheduled rooms are always
+ * open; users already in a scheduled room may reconnect after it overruns.
+ * @returns {Object} { ok: true } or { ok: false, reason: 'not-started' | 'ended', opensAt }
+ */
+function checkScheduleAccess(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.schedule) return { ok: true };
+  if (userId && room.participants.has(userId)) return { ok: true };
+
+  const window = getScheduleWindow(room);
+  if (!window) return { ok: false, reason: 'ended' };
+  if (Date.now() < window.opensAt.getTime()) {
+    return { ok: false, reason: 'not-started', opensAt: window.opensAt };
+  }
+  return { ok: true };
+}
+
+/**
+ * Public view of a scheduled room's timing (null for unscheduled rooms)
+ */
+function getScheduleInfo(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.schedule) return null;
+
+  const window = getScheduleWindow(room);
+  return {
+    startTime: window ? window.start : null,
+    endTime: window ? window.end : null,
+    opensAt: window ? window.opensAt : null,
+    durationMinutes: room.schedule.durationMinutes,
+    recurrence: room.schedule.recurrence,
+    joinableNow: checkScheduleAccess(roomId).ok
+  };
+}
+
+/**
+ * Upcoming (or in-progress) scheduled meetings hosted by a user, soonest first
+ */
+function getScheduledRoomsForHost(hostId) {
+  return Array.from(rooms.values())
+    .filter(room => room.schedule && room.hostId === hostId && room.isActive && getScheduleWindow(room))
+    .map(room => ({ id: room.id, name: room.name, ...getScheduleInfo(room.id) }))
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
 /**
  * Get a room by ID
  */
@@ -53,11 +245,405 @@ function joinRoom(roomId, userId) {
   const room = rooms.get(roomId);
   if (room && room.isActive) {
     room.participants.add(userId);
+    saveRoom(room);
     return room;
   }
   return null;
 }
 
+/**
+ * Check if a room has no free seat for this user.
+ * Users already in the room (e.g. a second tab or a reconnect) never count as overflow.
+ */
+function isRoomFull(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  if (userId && room.participants.has(userId)) return false;
+  return room.participants.size >= room.maxUsers;
+}
+
+/**
+ * Change a room's capacity; returns the applied value
+ */
+function setMaxUsers(roomId, maxUsers) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  room.maxUsers = normalizeMaxUsers(maxUsers);
+  saveRoom(room);
+  return room.maxUsers;
+}
+
+/**
+ * Check if a user has to wait in the lobby before joining
+ */
+function requiresAdmission(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.lobbyEnabled) return false;
+  return !room.admittedUsers.has(userId) && !room.participants.has(userId);
+}
+
+/**
+ * Put a user's socket in the room's lobby
+ */
+function addWaitingUser(roomId, userId, socketId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+
+  const profile = users.get(userId);
+  const entry = {
+    userId,
+    name: (profile && profile.name) || 'Anonymous',
+    socketId,
+    requestedAt: new Date()
+  };
+  room.waitingUsers.set(userId, entry);
+  saveRoom(room);
+  return entry;
+}
+
+/**
+ * Take a user out of the lobby; returns their entry (or null)
+ */
+function removeWaitingUser(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  const entry = room.waitingUsers.get(userId) || null;
+  if (entry) {
+    room.waitingUsers.delete(userId);
+    saveRoom(room);
+  }
+  return entry;
+}
+
+/**
+ * Mark a user as admitted so they skip the lobby on rejoin
+ */
+function admitUser(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  const entry = removeWaitingUser(roomId, userId);
+  room.admittedUsers.add(userId);
+  saveRoom(room);
+  return entry;
+}
+
+/**
+ * Get the lobby list for a room (oldest first)
+ */
+function getWaitingUsers(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return Array.from(room.waitingUsers.values())
+    .sort((a, b) => a.requestedAt - b.requestedAt)
+    .map(w => ({ userId: w.userId, name: w.name, requestedAt: w.requestedAt }));
+}
+
+/**
+ * Turn the lobby on or off
+ */
+function setLobbyEnabled(roomId, enabled) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  room.lobbyEnabled = !!enabled;
+  saveRoom(room);
+  return room.lobbyEnabled;
+}
+
+/**
+ * Merge changes into the room's admin state (force mute, chat disabled, ...)
+ */
+function setAdminState(roomId, changes) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  room.adminState = { ...(room.adminState || {}), ...changes };
+  saveRoom(room);
+  return room.adminState;
+}
+
+/**
+ * Check if a session token was already issued for this userId in the room
+ */
+function hasSessionUser(roomId, userId) {
+  const room = rooms.get(roomId);
+  return !!room && room.sessionUsers.has(userId);
+}
+
+/**
+ * Remember that a session token was issued for this userId in the room
+ */
+function addSessionUser(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.sessionUsers.add(userId);
+  saveRoom(room);
+}
+
+/**
+ * Get a user's role in a room
+ */
+function getUserRole(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room || !userId) return ROLES.PARTICIPANT;
+  if (room.hostId === userId) return ROLES.HOST;
+  return room.roles.get(userId) || ROLES.PARTICIPANT;
+}
+
+/**
+ * Check whether a user may perform an admin action (see ROLE_PERMISSIONS)
+ */
+function hasPermission(roomId, userId, action) {
+  const room = rooms.get(roomId);
+  if (!room || !room.isActive || !userId) return false;
+  const allowed = ROLE_PERMISSIONS[action];
+  return !!allowed && allowed.includes(getUserRole(roomId, userId));
+}
+
+/**
+ * Participants (host included) allowed to perform an action
+ */
+function getUsersWithPermission(roomId, action) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return Array.from(room.participants).filter(userId => hasPermission(roomId, userId, action));
+}
+
+/**
+ * Assign co-host / presenter / participant. The host role only moves via transferHost.
+ * @returns {string|null} The new role, or null if the change is not allowed
+ */
+function setUserRole(roomId, userId, role) {
+  const room = rooms.get(roomId);
+  if (!room || !ASSIGNABLE_ROLES.includes(role) || room.hostId === userId) return null;
+
+  if (role === ROLES.PARTICIPANT) {
+    room.roles.delete(userId);
+  } else {
+    room.roles.set(userId, role);
+  }
+  saveRoom(room);
+  return role;
+}
+
+/**
+ * Hand the host role to the longest-serving co-host still in the room.
+ * The previous host keeps no role.
+ * @returns {string|null} The new hostId, or null if there is no co-host to promote
+ */
+function transferHost(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+
+  let newHostId = null;
+  for (const [userId, role] of room.roles) {
+    if (role === ROLES.CO_HOST && room.participants.has(userId)) {
+      newHostId = userId;
+      break;
+    }
+  }
+  if (!newHostId) return null;
+
+  room.roles.delete(newHostId);
+  room.hostId = newHostId;
+  room.admittedUsers.add(newHostId);
+  saveRoom(room);
+  return newHostId;
+}
+
+/**
+ * The room's publish state, creating it for rooms stored before stage mode existed
+ */
+function getPublishRoomState(room) {
+  if (!room.publishPolicy) room.publishPolicy = PUBLISH_POLICIES.EVERYONE;
+  if (!room.publishApproved) room.publishApproved = new Set();
+  if (!room.publishRevoked) room.publishRevoked = new Set();
+  if (!room.publishRequests) room.publishRequests = new Map();
+  return room;
+}
+
+/**
+ * Set who may publish video: everyone, approved participants or moderators only
+ * @returns {string|null} The new policy, or null if it is not a known policy
+ */
+function setPublishPolicy(roomId, policy) {
+  const room = rooms.get(roomId);
+  if (!room || !Object.values(PUBLISH_POLICIES).includes(policy)) return null;
+  getPublishRoomState(room).publishPolicy = policy;
+  saveRoom(room);
+  return policy;
+}
+
+/**
+ * Check whether a user may publish a stream type under the room's publish policy
+ */
+function canPublish(roomId, userId, streamType) {
+  const room = rooms.get(roomId);
+  if (!room || !userId) return false;
+  if (!POLICY_STREAM_TYPES.includes(streamType)) return true;
+  if (MODERATORS.includes(getUserRole(roomId, userId))) return true;
+
+  const { publishPolicy, publishApproved, publishRevoked } = getPublishRoomState(room);
+  if (publishRevoked.has(userId)) return false;
+  if (publishPolicy === PUBLISH_POLICIES.EVERYONE) return true;
+  if (publishPolicy === PUBLISH_POLICIES.APPROVED) return publishApproved.has(userId);
+  return false;
+}
+
+/**
+ * Record a participant's request to share video
+ */
+function addPublishRequest(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.participants.has(userId)) return null;
+
+  const profile = users.get(userId);
+  const entry = {
+    userId,
+    name: (profile && profile.name) || 'Anonymous',
+    requestedAt: new Date()
+  };
+  getPublishRoomState(room).publishRequests.set(userId, entry);
+  saveRoom(room);
+  return entry;
+}
+
+/**
+ * Drop a participant's request to share video; returns their entry (or null)
+ */
+function removePublishRequest(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  const { publishRequests } = getPublishRoomState(room);
+  const entry = publishRequests.get(userId) || null;
+  if (entry) {
+    publishRequests.delete(userId);
+    saveRoom(room);
+  }
+  return entry;
+}
+
+/**
+ * Pending requests to share video (oldest first)
+ */
+function getPublishRequests(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return Array.from(getPublishRoomState(room).publishRequests.values())
+    .sort((a, b) => a.requestedAt - b.requestedAt)
+    .map(r => ({ userId: r.userId, name: r.name, requestedAt: r.requestedAt }));
+}
+
+/**
+ * Let a participant publish video under the 'approved' policy (and lift a revocation)
+ */
+function approvePublish(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  removePublishRequest(roomId, userId);
+  const { publishApproved, publishRevoked } = getPublishRoomState(room);
+  publishApproved.add(userId);
+  publishRevoked.delete(userId);
+  saveRoom(room);
+  return true;
+}
+
+/**
+ * Take back a participant's approval to publish video. It sticks under every
+ * policy (even 'everyone') until the host approves them again.
+ */
+function revokePublish(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  removePublishRequest(roomId, userId);
+  const { publishApproved, publishRevoked } = getPublishRoomState(room);
+  publishApproved.delete(userId);
+  publishRevoked.add(userId);
+  saveRoom(room);
+  return true;
+}
+
+/**
+ * The publish policy and approved / revoked participants, as sent to clients
+ */
+function getPublishState(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return { policy: PUBLISH_POLICIES.EVERYONE, approvedUsers: [], revokedUsers: [] };
+  const { publishPolicy, publishApproved, publishRevoked } = getPublishRoomState(room);
+  return {
+    policy: publishPolicy,
+    approvedUsers: Array.from(publishApproved),
+    revokedUsers: Array.from(publishRevoked)
+  };
+}
+
+/**
+ * Put a participant's camera or screen share in everyone's main view
+ * @returns {Object|null} The new spotlight, or null if the target or stream type is not valid
+ */
+function setSpotlight(roomId, userId, streamType, setBy) {
+  const room = rooms.get(roomId);
+  if (!room || !room.participants.has(userId) || !SPOTLIGHT_STREAM_TYPES.includes(streamType)) return null;
+  room.spotlight = { userId, streamType, setBy, setAt: new Date() };
+  saveRoom(room);
+  return room.spotlight;
+}
+
+/**
+ * Take the spotlight down
+ * @returns {boolean} true if there was one
+ */
+function clearSpotlight(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.spotlight) return false;
+  room.spotlight = null;
+  saveRoom(room);
+  return true;
+}
+
+/**
+ * The room's spotlight, as sent to clients ({ userId, streamType } or null)
+ */
+function getSpotlight(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.spotlight) return null;
+  return { userId: room.spotlight.userId, streamType: room.spotlight.streamType };
+}
+
+/**
+ * Hold a participant's seat while their connection is down.
+ * @returns {number|null} the deadline (ms) to come back by, or null if they are not in the room
+ */
+function markReconnecting(roomId, userId, graceMs) {
+  const room = rooms.get(roomId);
+  if (!room || !room.participants.has(userId)) return null;
+
+  if (!room.reconnecting) room.reconnecting = new Map();
+  const deadline = Date.now() + graceMs;
+  room.reconnecting.set(userId, deadline);
+  saveRoom(room);
+  return deadline;
+}
+
+/**
+ * The deadline of a participant's held seat, or null if they are connected
+ */
+function getReconnectDeadline(roomId, userId) {
+  const room = rooms.get(roomId);
+  return (room && room.reconnecting && room.reconnecting.get(userId)) || null;
+}
+
+/**
+ * A participant came back within their grace period.
+ * @returns {boolean} true if their seat was being held
+ */
+function resumeParticipant(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.reconnecting || !room.reconnecting.has(userId)) return false;
+
+  room.reconnecting.delete(userId);
+  saveRoom(room);
+  return room.participants.has(userId);
+}
+
 /**
  * Remove a user from a room
  */
@@ -65,27 +651,22 @@ function leaveRoom(roomId, userId) {
   const room = rooms.get(roomId);
   if (room) {
     room.participants.delete(userId);
-    sfuModule.removeUserStreams(roomId, userId);
+    if (room.reconnecting) room.reconnecting.delete(userId);
+    if (room.publishRequests) room.publishRequests.delete(userId);
+    if (room.spotlight && room.spotlight.userId === userId) room.spotlight = null;
+    affinity.runOnRoomNode(roomId, 'sfu', 'removeUserStreams', roomId, userId);
     if (room.participants.size === 0) {
-      room.isActive = false;
+      // A scheduled room stays open for the rest of its window and later occurrences
+      const keepScheduled = !!getScheduleWindow(room);
+      if (!keepScheduled) room.isActive = false;
       chatModule.clearRoomMessages(roomId);
 
       // Stop any active recording immediately — streams are already gone
-      const recStatus = recorder.getStatus(roomId);
-      if (recStatus.active) {
-        console.log(`[Rooms] Last participant left room "${roomId}" — stopping active recording`);
-        recorder.stopRecording(roomId).catch(err =>
-          console.error(`[Rooms] Error stopping recording on room empty:`, err.message)
-        );
-      }
-
-      setTimeout(() => {
-        const currentRoom = rooms.get(roomId);
-        if (currentRoom && currentRoom.participants.size === 0) {
-          destroyRoom(roomId);
-        }
-      }, 60000);
+      stopRoomRecording(roomId, 'Last participant left');
+
+      if (!keepScheduled) scheduleEmptyRoomCleanup(roomId, EMPTY_ROOM_TTL_MS);
     }
+    saveRoom(room);
   }
 }
 
@@ -94,18 +675,81 @@ function leaveRoom(roomId, userId) {
  */
 function destroyRoom(roomId) {
   // Safety net: stop any still-running recording before wiping the room
-  const recStatus = recorder.getStatus(roomId);
-  if (recStatus.active) {
-    console.log(`[Rooms] destroyRoom: stopping lingering recording for room "${roomId}"`);
-    recorder.stopRecording(roomId).catch(err =>
-      console.error(`[Rooms] destroyRoom: error stopping recording:`, err.message)
-    );
-  }
+  stopRoomRecording(roomId, 'Room destroyed');
   chatModule.clearRoomMessages(roomId);
-  sfuModule.destroyRoomStreams(roomId);
+  roomLogs.clearRoomLog(roomId);
+  affinity.runOnRoomNode(roomId, 'sfu', 'destroyRoomStreams', roomId);
+  affinity.releaseRoom(roomId);
   rooms.delete(roomId);
 }
 
+/**
+ * Ban a user from a room so they cannot rejoin.
+ * When `ip` is given the address is banned too, so a fresh userId from the
+ * same machine is also turned away.
+ */
+function banUser(roomId, userId, { ip, bannedBy } = {}) {
+  const room = rooms.get(roomId);
+  if (!room || !userId) return null;
+
+  const profile = users.get(userId);
+  const entry = {
+    userId,
+    name: (profile && profile.name) || 'Anonymous',
+    ip: ip || null,
+    bannedBy: bannedBy || null,
+    bannedAt: new Date()
+  };
+  room.bannedUsers.set(userId, entry);
+  if (ip) room.bannedIps.add(ip);
+  saveRoom(room);
+  return entry;
+}
+
+/**
+ * Lift a ban (and the IP ban recorded with it, if any)
+ */
+function unbanUser(roomId, userId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+
+  const entry = room.bannedUsers.get(userId);
+  if (!entry) return false;
+
+  room.bannedUsers.delete(userId);
+  if (entry.ip) {
+    // Keep the IP banned if another banned user shares it
+    const stillUsed = Array.from(room.bannedUsers.values()).some(b => b.ip === entry.ip);
+    if (!stillUsed) room.bannedIps.delete(entry.ip);
+  }
+  saveRoom(room);
+  return true;
+}
+
+/**
+ * Check if a user (or their IP) is banned from a room
+ */
+function isBanned(roomId, userId, ip) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  if (userId && room.bannedUsers.has(userId)) return true;
+  return !!ip && room.bannedIps.has(ip);
+}
+
+/**
+ * Get the ban list for a room
+ */
+function getBannedUsers(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  return Array.from(room.bannedUsers.values()).map(b => ({
+    userId: b.userId,
+    name: b.name,
+    ipBanned: !!b.ip,
+    bannedAt: b.bannedAt
+  }));
+}
+
 /**
  * Get all users in a room
  */
@@ -126,7 +770,9 @@ function getRoomUsers(roomId) {
         audioOn: !!media.audioOn,
         videoOn: !!media.videoOn,
         screenOn: !!media.screenOn,
-        handsUp: !!media.handsUp
+        handsUp: !!media.handsUp,
+        role: getUserRole(roomId, userId),
+        reconnecting: !!(room.reconnecting && room.reconnecting.has(userId))
       };
     });
 }
@@ -186,19 +832,103 @@ function clearUserMediaState(userId) {
   userMediaState.delete(userId);
 }
 
+/**
+ * Rooms loaded from persistent storage: nobody is connected yet, so drop the
+ * live-only state and give people time to come back before cleaning up.
+ * In a cluster only the first worker to load does this.
+ */
+function restoreRooms() {
+  let restored = 0;
+  Array.from(rooms.values()).forEach(room => {
+    if (!room.isActive) {
+      rooms.delete(room.id);
+      return;
+    }
+    room.participants = new Set();
+    room.waitingUsers = new Map();
+    room.reconnecting = new Map();
+    room.publishRequests = new Map();
+    saveRoom(room);
+    if (!getScheduleWindow(room)) {
+      scheduleEmptyRoomCleanup(room.id, RESTORED_ROOM_GRACE_MS);
+    }
+    restored++;
+  });
+
+  if (restored > 0) {
+    log.info(`Restored ${restored} room(s) from storage`, { restored });
+  }
+}
+
+/**
+ * Destroy scheduled rooms whose last window has ended and that nobody is in
+ */
+function pruneEndedScheduledRooms() {
+  Array.from(rooms.values()).forEach(room => {
+    if (room.schedule && room.participants.size === 0 && !getScheduleWindow(room)) {
+      log.info('Scheduled meeting has ended — removing it', { roomId: room.id });
+      destroyRoom(room.id);
+    }
+  });
+}
+
+storage.whenLoaded().then(({ restore }) => {
+  if (restore) restoreRooms();
+});
+setInterval(pruneEndedScheduledRooms, SCHEDULE_PRUNE_INTERVAL_MS).unref();
+
 module.exports = {
   rooms,
   users,
   createRoom,
   getRoom,
   roomExists,
+  checkScheduleAccess,
+  getScheduleInfo,
+  getScheduledRoomsForHost,
   joinRoom,
+  isRoomFull,
+  setMaxUsers,
+  requiresAdmission,
+  addWaitingUser,
+  removeWaitingUser,
+  admitUser,
+  getWaitingUsers,
+  setLobbyEnabled,
+  setAdminState,
+  hasSessionUser,
+  addSessionUser,
+  ROLES,
+  getUserRole,
+  hasPermission,
+  getUsersWithPermission,
+  setUserRole,
+  transferHost,
+  PUBLISH_POLICIES,
+  setPublishPolicy,
+  canPublish,
+  addPublishRequest,
+  removePublishRequest,
+  getPublishRequests,
+  approvePublish,
+  revokePublish,
+  getPublishState,
+  setSpotlight,
+  clearSpotlight,
+  getSpotlight,
+  markReconnecting,
+  getReconnectDeadline,
+  resumeParticipant,
   leaveRoom,
   destroyRoom,
   getRoomUsers,
   saveUserProfile,
   getUserProfile,
   isUserInRoom,
+  banUser,
+  unbanUser,
+  isBanned,
+  getBannedUsers,
   setUserMediaState,
   getUserMediaState,
   clearUserMediaState
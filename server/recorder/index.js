@@ -25,6 +25,9 @@ const { RTCVideoSink, RTCAudioSink } = webrtc.nonstandard;
 
 // Import SFU internals
 const sfuModule = require('../sfu/sfu');
+const affinity = require('../sfu/affinity');
+const { getIceServers } = require('../modules/ice-servers');
+const log = require('../modules/logger').createLogger('Recorder');
 
 // Output directory (auto-created if missing)
 const RECORDINGS_DIR = path.join(__dirname, 'recordings');
@@ -35,6 +38,18 @@ if (!fs.existsSync(RECORDINGS_DIR)) {
 // roomId -> RecordingSession
 const activeSessions = new Map();
 
+// FFmpeg processes (encoders and scalers) still running, including ones
+// finishing a stopped recording in the background
+const ffmpegProcesses = new Set();
+
+function spawnFfmpeg(args, options) {
+    const child = spawn('ffmpeg', args, options);
+    ffmpegProcesses.add(child);
+    child.once('exit', () => ffmpegProcesses.delete(child));
+    child.once('error', () => ffmpegProcesses.delete(child));
+    return child;
+}
+
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
@@ -43,15 +58,15 @@ const activeSessions = new Map();
  * Start recording in a given room.
  * @param {string} roomId
  * @param {string} priorityUserId  - video/screen is recorded only from this user
- * @param {object} iceServers
+ * @param {string} meetingName
  * @returns {{ ok: boolean, error?: string }}
  */
-async function startRecording(roomId, priorityUserId, iceServers, meetingName) {
+async function startRecording(roomId, priorityUserId, meetingName) {
     if (activeSessions.has(roomId)) {
         return { ok: false, error: 'Recording already active for this room' };
     }
 
-    const session = new RecordingSession(roomId, priorityUserId, iceServers, meetingName);
+    const session = new RecordingSession(roomId, priorityUserId, meetingName);
     activeSessions.set(roomId, session);
 
     try {
@@ -92,6 +107,26 @@ async function stopRecording(roomId) {
     return { ok: true, filePath };
 }
 
+/**
+ * Dequeue the active session and let FFmpeg finish saving it in the background,
+ * so callers can report the stop straight away.
+ * @returns {{ ok: boolean, fileName?: string, error?: string }}
+ */
+function beginStop(roomId) {
+    const session = dequeueSession(roomId);
+    if (!session) {
+        return { ok: false, error: 'No active recording for this room' };
+    }
+
+    const fileName = path.basename(session.filePath);
+    session.stop().then(() => {
+        log.info('Recording saved (background)', { roomId, fileName });
+    }).catch((err) => {
+        log.error('Error saving recording (background)', { roomId, err });
+    });
+    return { ok: true, fileName };
+}
+
 /**
  * Return status for a room.
  */
@@ -106,6 +141,19 @@ function getStatus(roomId) {
     };
 }
 
+/**
+ * Recording sessions and FFmpeg processes on this node (for metrics).
+ */
+function getMetrics() {
+    return {
+        sessions: Array.from(activeSessions.values()).map(session => ({
+            roomId: session.roomId,
+            startedAt: session.startedAt
+        })),
+        ffmpegProcesses: ffmpegProcesses.size
+    };
+}
+
 // ---------------------------------------------------------------------------
 // RecordingSession class
 // ---------------------------------------------------------------------------
@@ -130,10 +178,11 @@ function mixPCMBuffers(buffers) {
 }
 
 class RecordingSession {
-    constructor(roomId, priorityUserId, iceServers, meetingName) {
+    constructor(roomId, priorityUserId, meetingName) {
         this.roomId = roomId;
         this.priorityUserId = priorityUserId;
-        this.iceServers = iceServers;
+        this.log = log.child({ roomId });
+        this.iceServers = getIceServers('recorder').iceServers;
         this.startedAt = new Date();
 
         // Build filename: meetingName-DD-MM-YYYY.mp4
@@ -280,9 +329,9 @@ class RecordingSession {
         this[scalerWKey] = width;
         this[scalerHKey] = height;
 
-        console.log(`[Recorder] Spawning scaler for ${pipeType}: ${width}x${height} -> ${expectedWidth}x${expectedHeight}`);
+        this.log.debug(`Spawning scaler for ${pipeType}: ${width}x${height} -> ${expectedWidth}x${expectedHeight}`);
 
-        this[scalerKey] = spawn('ffmpeg', [
+        this[scalerKey] = spawnFfmpeg([
             '-loglevel', 'error',
             '-f', 'rawvideo', '-pix_fmt', 'yuv420p', '-s', `${width}x${height}`, '-r', '30', '-i', 'pipe:0',
             '-vf', `scale=${expectedWidth}:${expectedHeight}:force_original_aspect_ratio=decrease,pad=${expectedWidth}:${expectedHeight}:(ow-iw)/2:(oh-ih)/2:black`,
@@ -309,7 +358,7 @@ class RecordingSession {
     // -------------------------------------------------------------------------
     async start() {
         const { roomId, priorityUserId } = this;
-        console.log(`[Recorder] Starting recording for room ${roomId}, priority user ${priorityUserId}`);
+        this.log.info('Starting recording', { priorityUserId });
 
         // Listen for internal SFU events unconditionally
         this._newStreamListener = (data) => {
@@ -336,7 +385,7 @@ class RecordingSession {
             });
         }
 
-        console.log(`[Recorder] Captured existing streams. Listening for new tracks.`);
+        this.log.debug('Captured existing streams. Listening for new tracks.');
         this._trySpawnFFmpeg();
     }
 
@@ -347,13 +396,13 @@ class RecordingSession {
             if (streamType === 'screen') {
                 const track = stream.getVideoTracks()[0];
                 if (track) {
-                    console.log(`[Recorder] Attaching SCREEN sink for priority user ${userId}`);
+                    this.log.info('Attaching SCREEN sink for priority user', { userId });
                     this._attachScreenSink(track);
                 }
             } else if (streamType === 'camera' || streamType === 'media') {
                 const track = stream.getVideoTracks()[0];
                 if (track) {
-                    console.log(`[Recorder] Attaching CAMERA sink for priority user ${userId}`);
+                    this.log.info('Attaching CAMERA sink for priority user', { userId });
                     this._attachCameraSink(track);
                 }
             }
@@ -362,7 +411,7 @@ class RecordingSession {
         if (streamType === 'main' || streamType === 'media') {
             const track = stream.getAudioTracks()[0];
             if (track) {
-                console.log(`[Recorder] Attaching AUDIO sink for user ${userId}`);
+                this.log.info('Attaching AUDIO sink', { userId });
                 this._attachAudioSink(track, userId);
             }
         }
@@ -373,11 +422,11 @@ class RecordingSession {
             if (streamType === 'screen' && this.screenSink) {
                 try { this.screenSink.stop(); } catch (_) { }
                 this.screenSink = null;
-                console.log(`[Recorder] Detached SCREEN sink for priority user ${userId}`);
+                this.log.info('Detached SCREEN sink for priority user', { userId });
             } else if ((streamType === 'camera' || streamType === 'media') && this.cameraSink) {
                 try { this.cameraSink.stop(); } catch (_) { }
                 this.cameraSink = null;
-                console.log(`[Recorder] Detached CAMERA sink for priority user ${userId}`);
+                this.log.info('Detached CAMERA sink for priority user', { userId });
             }
         }
 
@@ -386,7 +435,7 @@ class RecordingSession {
             if (sink) {
                 try { sink.stop(); } catch (_) { }
                 this.audioSinks.delete(userId);
-                console.log(`[Recorder] Detached AUDIO sink for user ${userId}`);
+                this.log.info('Detached AUDIO sink', { userId });
             }
         }
     }
@@ -508,7 +557,7 @@ class RecordingSession {
     _trySpawnFFmpeg() {
         if (this._ffmpegStarted || this._spawnTimer) return;
 
-        console.log(`[Recorder] First track received, scheduling FFmpeg spawn in 1000ms...`);
+        this.log.debug('First track received, scheduling FFmpeg spawn in 1000ms...');
         this._spawnTimer = setTimeout(() => {
             this._spawnFFmpeg();
         }, 1000);
@@ -632,8 +681,12 @@ class RecordingSession {
             '-movflags', '+faststart', '-y', this.filePath
         );
 
-        console.log(`[Recorder] Spawning FFmpeg with ${inputCount} inputs. Screen:${hasScreen}, CameraPip:${includeCameraPip || hasCameraTrack}, Audio:${hasAudio}`);
-        this.ffmpeg = spawn('ffmpeg', args, { stdio });
+        this.log.info(`Spawning FFmpeg with ${inputCount} inputs`, {
+            screen: hasScreen,
+            cameraPip: includeCameraPip || hasCameraTrack,
+            audio: hasAudio
+        });
+        this.ffmpeg = spawnFfmpeg(args, { stdio });
 
         // ── Camera filler ────────────────────────────────────────────────────
         // Sends fallback frames at ~30 fps. If the camera is still on but dropped
@@ -677,11 +730,11 @@ class RecordingSession {
         }
 
         this.ffmpeg.on('close', (code) => {
-            console.log(`[Recorder] FFmpeg exited with code ${code}`);
+            this.log.info('FFmpeg exited', { code });
         });
 
         this.ffmpeg.on('error', (err) => {
-            console.error('[Recorder] FFmpeg error:', err.message);
+            this.log.error('FFmpeg error', { err });
         });
 
         // Drain queued screen frames
@@ -713,7 +766,7 @@ class RecordingSession {
     // stop() — finalize ffmpeg and close peer
     // -------------------------------------------------------------------------
     async stop() {
-        console.log(`[Recorder] Stopping recording for room ${this.roomId}`);
+        this.log.info('Stopping recording');
 
         // Cancel the pending FFmpeg spawn timer if stop() is called before it fires.
         // Without this, FFmpeg would spawn AFTER we've already torn everything down,
@@ -768,7 +821,7 @@ class RecordingSession {
         sfuModule.sfuEvents.off('new-stream', this._newStreamListener);
         sfuModule.sfuEvents.off('stream-stopped', this._streamStoppedListener);
 
-        console.log(`[Recorder] Recording saved: ${this.filePath}`);
+        this.log.info('Recording saved', { file: this.filePath });
         return this.filePath;
     }
 
@@ -792,4 +845,7 @@ class RecordingSession {
 // ---------------------------------------------------------------------------
 // Exports
 // ---------------------------------------------------------------------------
-module.exports = { startRecording, stopRecording, dequeueSession, getStatus, RECORDINGS_DIR };
+module.exports = { startRecording, stopRecording, dequeueSession, beginStop, getStatus, getMetrics, RECORDINGS_DIR };
+
+// Recording runs next to the room's media; other nodes reach it through affinity
+affinity.registerService('recorder', { startRecording, stopRecording, beginStop, getStatus });
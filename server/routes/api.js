@@ -6,13 +6,59 @@
 const express = require('express');
 const router = express.Router();
 const roomsModule = require('../modules/rooms');
+const authModule = require('../modules/auth');
+const { getIceServers } = require('../modules/ice-servers');
+const roomLogs = require('../modules/room-logs');
+const { getRequestIp } = require('../modules/client-ip');
+const log = require('../modules/logger').createLogger('API');
+
+// Host tokens for a weekly series stay valid this long
+const SCHEDULED_SERIES_TOKEN_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Random room code in the same format the landing page generates
+ */
+function generateRoomCode() {
+  let roomId;
+  do {
+    roomId = Math.random().toString(36).substring(2, 9).toUpperCase();
+  } while (roomsModule.getRoom(roomId));
+  return roomId;
+}
+
+/**
+ * The host of a new room: the host a Bearer host token proves (so all of a
+ * host's rooms share one identity), else a fresh userId. The client uses the
+ * returned hostId as its userId; it is never taken from the request body.
+ */
+function resolveHostId(req) {
+  return authModule.verifyHostToken(authModule.getRequestToken(req)) ||
+    `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Hash of the password a host set for a new room, or null if none was set
+ */
+function hashRoomPassword(password) {
+  const trimmed = typeof password === 'string' ? password.trim() : '';
+  return trimmed ? authModule.hashPassword(trimmed) : Promise.resolve(null);
+}
+
+/**
+ * Link that opens the room page directly (honours the caller's origin)
+ */
+function buildJoinLink(req, room) {
+  const origin = req.get('origin') || `${req.protocol}://${req.get('host')}`;
+  return `${origin}/pages/room.html?room=${room.id}&name=${encodeURIComponent(room.name)}`;
+}
 
 /**
  * POST /api/rooms/create
- * Create a new room
+ * Create a new room. Returns the host's session token and a host token
+ * (see resolveHostId).
  */
-router.post('/rooms/create', (req, res) => {
-  const { roomId, meetingName, hostId: clientHostId, password, disableChat, disableEmoji } = req.body;
+router.post('/rooms/create', async (req, res) => {
+  const { roomId, meetingName, password, disableChat, disableEmoji, maxUsers, lobbyEnabled } = req.body;
 
   if (!roomId) {
     return res.status(400).json({ error: 'Room ID is required' });
@@ -23,9 +69,19 @@ router.post('/rooms/create', (req, res) => {
     return res.status(409).json({ error: 'Room already exists' });
   }
 
-  const hostId = clientHostId || `host_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  // Only store the password if the host actually set one
-  const roomPassword = password && password.trim() ? password.trim() : null;
+  const hostId = resolveHostId(req);
+  let passwordHash;
+  try {
+    passwordHash = await hashRoomPassword(password);
+  } catch (error) {
+    log.error('Failed to hash room password', { roomId, err: error });
+    return res.status(500).json({ error: 'Failed to create room' });
+  }
+
+  // Another request may have taken the code while the password was hashed
+  if (roomsModule.roomExists(roomId)) {
+    return res.status(409).json({ error: 'Room already exists' });
+  }
 
   // Seed adminState from host pre-room settings
   const initialAdminState = {
@@ -33,17 +89,31 @@ router.post('/rooms/create', (req, res) => {
     emojiDisabled: !!disableEmoji
   };
 
-  const room = roomsModule.createRoom(roomId, meetingName, hostId, roomPassword, initialAdminState);
+  const room = roomsModule.createRoom(roomId, meetingName, hostId, passwordHash, initialAdminState, {
+    maxUsers,
+    lobbyEnabled: !!lobbyEnabled
+  });
 
-  console.log(`[API] Room "${roomId}" created by host ${hostId} — chatDisabled=${initialAdminState.chatDisabled}, emojiDisabled=${initialAdminState.emojiDisabled}`);
+  log.info('Room created', {
+    roomId,
+    userId: hostId,
+    chatDisabled: initialAdminState.chatDisabled,
+    emojiDisabled: initialAdminState.emojiDisabled,
+    maxUsers: room.maxUsers,
+    lobby: room.lobbyEnabled
+  });
 
   res.json({
     success: true,
+    token: authModule.issueSessionToken(room.id, hostId),
+    hostToken: authModule.issueHostToken(hostId),
     room: {
       id: room.id,
       name: room.name,
       hostId: room.hostId,
-      hasPassword: !!room.password
+      hasPassword: !!room.passwordHash,
+      maxUsers: room.maxUsers,
+      lobbyEnabled: room.lobbyEnabled
     }
   });
 });
@@ -52,11 +122,11 @@ router.post('/rooms/create', (req, res) => {
  * POST /api/rooms/join
  * Join an existing room
  */
-router.post('/rooms/join', (req, res) => {
-  const { roomId, password } = req.body;
+router.post('/rooms/join', async (req, res) => {
+  const { roomId, userId, password, token } = req.body;
 
-  if (!roomId) {
-    return res.status(400).json({ error: 'Room ID is required' });
+  if (!roomId || !userId) {
+    return res.status(400).json({ error: 'Room ID and user ID are required' });
   }
 
   const room = roomsModule.getRoom(roomId);
@@ -65,22 +135,196 @@ router.post('/rooms/join', (req, res) => {
     return res.status(404).json({ error: 'Room not found or inactive' });
   }
 
+  // Ban check (by userId, or by IP if the host banned the address)
+  if (roomsModule.isBanned(roomId, userId, getRequestIp(req))) {
+    return res.status(403).json({ error: 'You have been banned from this room', banned: true });
+  }
+
   // Password check
-  if (room.password) {
-    if (!password || password.trim() !== room.password) {
+  if (room.passwordHash) {
+    let passwordOk;
+    try {
+      passwordOk = await authModule.verifyPassword(
+        typeof password === 'string' ? password.trim() : null,
+        room.passwordHash
+      );
+    } catch (error) {
+      log.error('Failed to check room password', { roomId, userId, err: error });
+      return res.status(500).json({ error: 'Failed to join room' });
+    }
+    if (!passwordOk) {
       return res.status(401).json({ error: 'Incorrect password', requiresPassword: true });
     }
+    // The room may have closed while the password was checked
+    if (!roomsModule.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found or inactive' });
+    }
+  }
+
+  // Scheduled meetings are only joinable within their window
+  const scheduleAccess = roomsModule.checkScheduleAccess(roomId, userId);
+  if (!scheduleAccess.ok && scheduleAccess.reason === 'ended') {
+    return res.status(403).json({ error: 'This meeting has ended', ended: true });
+  }
+  if (!scheduleAccess.ok) {
+    return res.status(403).json({ error: 'This meeting has not started yet', notStarted: true, opensAt: scheduleAccess.opensAt });
+  }
+
+  // Capacity check
+  if (roomsModule.isRoomFull(roomId, userId)) {
+    return res.status(403).json({ error: 'Room is full', roomFull: true, maxUsers: room.maxUsers });
+  }
+
+  // A userId that already holds a session (e.g. the host's) can only be
+  // re-issued a token by presenting the one it already has
+  const session = authModule.verifySessionToken(token, roomId);
+  const ownsUserId = session && session.userId === userId;
+  if (roomsModule.hasSessionUser(roomId, userId) && !ownsUserId) {
+    return res.status(403).json({ error: 'This user ID is already in use in this room', identityTaken: true });
+  }
+  roomsModule.addSessionUser(roomId, userId);
+
+  res.json({
+    success: true,
+    token: authModule.issueSessionToken(room.id, userId),
+    room: {
+      id: room.id,
+      name: room.name,
+      lobbyEnabled: room.lobbyEnabled
+    }
+  });
+});
+
+/**
+ * POST /api/rooms/schedule
+ * Schedule a meeting for later (optionally repeating weekly).
+ * The server picks the room code so the join link can be shared right away.
+ * Returns a host token (see resolveHostId), which also lists the host's
+ * meetings through GET /rooms/scheduled.
+ */
+router.post('/rooms/schedule', async (req, res) => {
+  const { meetingName, startTime, durationMinutes, recurrence, password, disableChat, disableEmoji, maxUsers, lobbyEnabled } = req.body;
+
+  const start = new Date(startTime);
+  if (!startTime || isNaN(start.getTime())) {
+    return res.status(400).json({ error: 'A valid start time is required' });
+  }
+
+  const duration = parseInt(durationMinutes, 10);
+  if (!Number.isFinite(duration) || duration < 5 || duration > 1440) {
+    return res.status(400).json({ error: 'Duration must be between 5 and 1440 minutes' });
+  }
+
+  if (recurrence && recurrence !== 'weekly') {
+    return res.status(400).json({ error: 'Recurrence must be "weekly" or omitted' });
   }
 
+  if (start.getTime() + duration * 60000 <= Date.now() && !recurrence) {
+    return res.status(400).json({ error: 'The meeting would already be over' });
+  }
+
+  let passwordHash;
+  try {
+    passwordHash = await hashRoomPassword(password);
+  } catch (error) {
+    log.error('Failed to hash room password', { err: error });
+    return res.status(500).json({ error: 'Failed to schedule meeting' });
+  }
+
+  const hostId = resolveHostId(req);
+  const roomId = generateRoomCode();
+  const initialAdminState = {
+    chatDisabled:  !!disableChat,
+    emojiDisabled: !!disableEmoji
+  };
+
+  const room = roomsModule.createRoom(roomId, meetingName, hostId, passwordHash, initialAdminState, {
+    maxUsers,
+    lobbyEnabled: !!lobbyEnabled,
+    schedule: {
+      startTime: start,
+      durationMinutes: duration,
+      recurrence: recurrence || null
+    }
+  });
+
+  log.info('Room scheduled', {
+    roomId,
+    userId: hostId,
+    start: start.toISOString(),
+    durationMinutes: duration,
+    recurrence: recurrence || 'none'
+  });
+
+  // The host's token has to last until the meeting (or the whole weekly series)
+  const schedule = roomsModule.getScheduleInfo(room.id);
+  const tokenTtlMs = recurrence
+    ? SCHEDULED_SERIES_TOKEN_TTL_MS
+    : new Date(schedule.endTime).getTime() - Date.now() + authModule.TOKEN_TTL_MS;
+
   res.json({
     success: true,
+    token: authModule.issueSessionToken(room.id, hostId, tokenTtlMs),
+    hostToken: authModule.issueHostToken(hostId),
+    joinLink: buildJoinLink(req, room),
     room: {
       id: room.id,
-      name: room.name
+      name: room.name,
+      hostId: room.hostId,
+      hasPassword: !!room.passwordHash,
+      maxUsers: room.maxUsers,
+      lobbyEnabled: room.lobbyEnabled,
+      schedule
     }
   });
 });
 
+/**
+ * GET /api/rooms/scheduled
+ * Upcoming scheduled meetings of the host named by the Bearer host token
+ * (issued by /rooms/schedule)
+ */
+router.get('/rooms/scheduled', (req, res) => {
+  const hostId = authModule.verifyHostToken(authModule.getRequestToken(req));
+
+  if (!hostId) {
+    return res.status(401).json({ error: 'A valid host token is required' });
+  }
+
+  const meetings = roomsModule.getScheduledRoomsForHost(hostId).map(meeting => ({
+    ...meeting,
+    joinLink: buildJoinLink(req, meeting)
+  }));
+
+  res.json({
+    success: true,
+    meetings
+  });
+});
+
+/**
+ * DELETE /api/rooms/scheduled/:roomId
+ * Cancel a scheduled meeting (host's session token required)
+ */
+router.delete('/rooms/scheduled/:roomId', (req, res) => {
+  const { roomId } = req.params;
+  const room = roomsModule.getRoom(roomId);
+
+  if (!room || !room.schedule) {
+    return res.status(404).json({ error: 'Scheduled meeting not found' });
+  }
+
+  const session = authModule.verifySessionToken(authModule.getRequestToken(req), roomId);
+  if (!session || session.userId !== room.hostId) {
+    return res.status(403).json({ error: 'Only the host can cancel this meeting' });
+  }
+
+  roomsModule.destroyRoom(roomId);
+  log.info('Scheduled meeting cancelled', { roomId, userId: session.userId });
+
+  res.json({ success: true });
+});
+
 /**
  * GET /api/rooms/:roomId
  * Get room information
@@ -99,8 +343,11 @@ router.get('/rooms/:roomId', (req, res) => {
       id: room.id,
       name: room.name,
       hostId: room.hostId,
-      hasPassword: !!room.password,
-      participantCount: room.participants.size
+      hasPassword: !!room.passwordHash,
+      participantCount: room.participants.size,
+      maxUsers: room.maxUsers,
+      lobbyEnabled: room.lobbyEnabled,
+      schedule: roomsModule.getScheduleInfo(roomId)
     }
   });
 });
@@ -125,6 +372,35 @@ router.get('/rooms/:roomId/users', (req, res) => {
   });
 });
 
+/**
+ * GET /api/rooms/:roomId/logs
+ * Download the room's recent server log as JSON lines (host or co-host session
+ * token required), for attaching to a problem report
+ */
+router.get('/rooms/:roomId/logs', async (req, res) => {
+  const { roomId } = req.params;
+  const room = roomsModule.getRoom(roomId);
+
+  if (!room || !room.isActive) {
+    return res.status(404).json({ error: 'Room not found or inactive' });
+  }
+
+  const session = authModule.verifySessionToken(authModule.getRequestToken(req), roomId);
+  if (!session) {
+    return res.status(401).json({ error: 'A valid session token is required' });
+  }
+  if (!roomsModule.hasPermission(roomId, session.userId, 'download-logs')) {
+    return res.status(403).json({ error: 'Only the host or a co-host can download the room log' });
+  }
+
+  const entries = await roomLogs.collectRoomLog(roomId);
+  log.info('Room log downloaded', { roomId, userId: session.userId, entries: entries.length });
+
+  res.attachment(`room-${roomId}-log.jsonl`);
+  res.type('application/x-ndjson');
+  res.send(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+});
+
 // ============================================
 // User API Endpoints
 // ============================================
@@ -140,7 +416,7 @@ router.post('/users/profile', (req, res) => {
     return res.status(400).json({ error: 'User ID and name are required' });
   }
 
-  console.log(`Saving user profile for ${userId}: ${name}`);
+  log.debug('Saving user profile', { userId, name });
 
   const user = roomsModule.saveUserProfile(userId, name);
 
@@ -150,6 +426,26 @@ router.post('/users/profile', (req, res) => {
   });
 });
 
+/**
+ * GET /api/ice-servers
+ * STUN/TURN servers for WebRTC, with TURN credentials minted for the caller
+ * (session token required, so only room participants get relay access)
+ */
+router.get('/ice-servers', (req, res) => {
+  const session = authModule.verifySessionToken(authModule.getRequestToken(req));
+  if (!session) {
+    return res.status(401).json({ error: 'A valid session token is required' });
+  }
+
+  const { iceServers, expiresAt } = getIceServers(session.userId);
+
+  res.json({
+    success: true,
+    iceServers,
+    expiresAt
+  });
+});
+
 /**
  * GET /api/users/:userId
  * Get user profile
@@ -0,0 +1,52 @@
+/**
+ * Metrics Routes
+ * GET /metrics          — Prometheus text format
+ * GET /api/admin/stats  — the same data as JSON, with per-room detail
+ *
+ * Both require "Authorization: Bearer <METRICS_TOKEN>" and are disabled
+ * (404) when no METRICS_TOKEN is configured.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../config');
+const authModule = require('../modules/auth');
+const metricsModule = require('../modules/metrics');
+const log = require('../modules/logger').createLogger('Metrics');
+
+function requireMetricsToken(req, res, next) {
+  if (!config.metricsToken) {
+    return res.status(404).json({ error: 'Metrics are disabled' });
+  }
+
+  const token = authModule.getRequestToken(req) || '';
+  const expected = Buffer.from(String(config.metricsToken));
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+  next();
+}
+
+router.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    const stats = await metricsModule.collectStats('prometheus');
+    res.type('text/plain; version=0.0.4').send(metricsModule.toPrometheus(stats));
+  } catch (error) {
+    log.error('Failed to collect stats', { err: error });
+    res.status(500).type('text/plain').send('# failed to collect stats\n');
+  }
+});
+
+router.get('/api/admin/stats', requireMetricsToken, async (req, res) => {
+  try {
+    const stats = await metricsModule.collectStats('admin');
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    log.error('Failed to collect stats', { err: error });
+    res.status(500).json({ error: 'Failed to collect stats' });
+  }
+});
+
+module.exports = router;
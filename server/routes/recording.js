@@ -2,13 +2,19 @@
  * Recording REST Routes
  * Mounted at /api/recording
  *
- * POST /api/recording/start    — start recording (host only)
- * POST /api/recording/stop     — stop recording
+ * POST /api/recording/start    — start recording (host / co-host)
+ * POST /api/recording/stop     — stop recording (host / co-host)
  * GET  /api/recording/status/:roomId — current status
  *
  * Recordings are saved server-side only; no download endpoint is exposed.
  * Socket events 'recording-started' and 'recording-stopped' are broadcast
  * to the whole room so every connected client stays in sync.
+ *
+ * start/stop identify the caller from the session token in the
+ * "Authorization: Bearer <token>" header, not from the request body.
+ *
+ * The recorder runs on the node serving the room's media, so start/stop/status
+ * go through sfu/affinity rather than calling the recorder directly.
  */
 
 'use strict';
@@ -21,27 +27,64 @@ const fs = require('fs');
 const RECORDINGS_DIR = path.join(__dirname, '../recorder/recordings');
 
 const roomsModule = require('../modules/rooms');
-const recorder = require('../recorder');
+const authModule = require('../modules/auth');
+const log = require('../modules/logger').createLogger('RecordingRoute');
+const affinity = require('../sfu/affinity');
 
 // io instance is injected by main.js after Socket.io is initialised
 let _io = null;
 function setIo(io) { _io = io; }
 
-// POST /api/recording/start
-// Body: { roomId, requesterId }
-router.post('/start', async (req, res) => {
-    const { roomId, requesterId } = req.body;
-
-    if (!roomId || !requesterId) {
-        return res.status(400).json({ error: 'roomId and requesterId are required' });
+// Resolve the caller from their session token and make sure their role may
+// record in roomId. Sends the error response and returns null when it can't.
+function requireRecordPermission(req, res, roomId) {
+    const session = authModule.verifySessionToken(authModule.getRequestToken(req), roomId);
+    if (!session) {
+        res.status(401).json({ error: 'A valid session token is required' });
+        return null;
     }
 
     const room = roomsModule.getRoom(roomId);
     if (!room || !room.isActive) {
-        return res.status(404).json({ error: 'Room not found' });
+        res.status(404).json({ error: 'Room not found' });
+        return null;
     }
 
-    const status = recorder.getStatus(roomId);
+    if (!roomsModule.hasPermission(roomId, session.userId, 'record')) {
+        res.status(403).json({ error: 'Only the host or a co-host can control recording' });
+        return null;
+    }
+
+    return { room, requesterId: session.userId };
+}
+
+// Run a recorder call on the node serving the room's media. Sends a 502 and
+// returns null when that node does not answer.
+async function callRecorder(res, roomId, method, ...args) {
+    try {
+        return await affinity.callOnRoomNode(roomId, 'recorder', method, ...args);
+    } catch (err) {
+        log.error(`recorder.${method} failed`, { roomId, err });
+        res.status(502).json({ error: 'The media server for this room is unavailable' });
+        return null;
+    }
+}
+
+// POST /api/recording/start
+// Body: { roomId }
+router.post('/start', async (req, res) => {
+    const { roomId } = req.body;
+
+    if (!roomId) {
+        return res.status(400).json({ error: 'roomId is required' });
+    }
+
+    const caller = requireRecordPermission(req, res, roomId);
+    if (!caller) return;
+    const { room, requesterId } = caller;
+
+    const status = await callRecorder(res, roomId, 'getStatus', roomId);
+    if (!status) return;
     if (status.active) {
         return res.status(409).json({ error: 'Recording already active' });
     }
@@ -49,8 +92,8 @@ router.post('/start', async (req, res) => {
     // Use the host as the priority user (video/screen recorded from host only)
     const priorityUserId = room.hostId || requesterId;
 
-    const { iceServers } = require('../sfu/sfu');
-    const result = await recorder.startRecording(roomId, priorityUserId, iceServers, room.name);
+    const result = await callRecorder(res, roomId, 'startRecording', roomId, priorityUserId, room.name);
+    if (!result) return;
 
     if (!result.ok) {
         return res.status(500).json({ error: result.error });
@@ -65,34 +108,34 @@ router.post('/start', async (req, res) => {
         });
     }
 
-    console.log(`[RecordingRoute] Recording started in room ${roomId} by ${requesterId} (priority: ${priorityUserId})`);
+    log.info('Recording started', { roomId, userId: requesterId, priorityUserId });
     res.json({ success: true, message: 'Recording started' });
 });
 
 // POST /api/recording/stop
-// Body: { roomId, requesterId }
+// Body: { roomId }
 //
 // Strategy: validate & dequeue the session immediately, broadcast 'recording-stopped'
-// to all clients RIGHT AWAY (so the UI updates instantly), then let FFmpeg finish
+// to all clients RIGHT AWAY (so the UI updates instantly), while FFmpeg finishes
 // flushing the file in the background — the HTTP response is also sent immediately.
 router.post('/stop', async (req, res) => {
-    const { roomId, requesterId } = req.body;
+    const { roomId } = req.body;
 
-    if (!roomId || !requesterId) {
-        return res.status(400).json({ error: 'roomId and requesterId are required' });
+    if (!roomId) {
+        return res.status(400).json({ error: 'roomId is required' });
     }
 
-    const room = roomsModule.getRoom(roomId);
-    if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
-    }
+    const caller = requireRecordPermission(req, res, roomId);
+    if (!caller) return;
+    const { requesterId } = caller;
 
     // Dequeue the session immediately so getStatus() returns inactive right away
     // and no new stop request can race with us. recorder.beginStop() removes the
-    // session from activeSessions and returns it (or null if none).
-    const session = recorder.dequeueSession(roomId);
-    if (!session) {
-        return res.status(400).json({ error: 'No active recording for this room' });
+    // session from activeSessions and saves the file in the background.
+    const result = await callRecorder(res, roomId, 'beginStop', roomId);
+    if (!result) return;
+    if (!result.ok) {
+        return res.status(400).json({ error: result.error });
     }
 
     // ── Instant UI update ────────────────────────────────────────────────────
@@ -106,25 +149,15 @@ router.post('/stop', async (req, res) => {
 
     // Respond to the HTTP caller right away — the file is not ready yet but
     // the client only needs the filename for informational display (not download).
-    const fileName = require('path').basename(session.filePath);
-    console.log(`[RecordingRoute] Recording stop initiated for room ${roomId}: ${fileName}`);
-    res.json({ success: true, fileName });
-
-    // ── Background save ──────────────────────────────────────────────────────
-    // Actually stop the sinks, end the FFmpeg pipes, and wait for the process
-    // to finish — all without blocking the request/response cycle above.
-    session.stop().then(() => {
-        console.log(`[RecordingRoute] Recording saved (background): ${fileName}`);
-    }).catch((err) => {
-        console.error(`[RecordingRoute] Error saving recording (background):`, err.message);
-    });
+    log.info('Recording stop initiated', { roomId, userId: requesterId, fileName: result.fileName });
+    res.json({ success: true, fileName: result.fileName });
 });
 
 // GET /api/recording/status/:roomId
-router.get('/status/:roomId', (req, res) => {
+router.get('/status/:roomId', async (req, res) => {
     const { roomId } = req.params;
-    const status = recorder.getStatus(roomId);
-    res.json(status);
+    const status = await callRecorder(res, roomId, 'getStatus', roomId);
+    if (status) res.json(status);
 });
 
 // GET /api/recording/list
@@ -150,7 +183,7 @@ router.get('/list', (req, res) => {
 
         res.json({ success: true, recordings: files });
     } catch (err) {
-        console.error('[RecordingRoute] Error listing recordings:', err.message);
+        log.error('Error listing recordings', { err });
         res.status(500).json({ error: 'Failed to list recordings' });
     }
 });
@@ -0,0 +1,193 @@
+/**
+ * Active speaker detection
+ * Taps every incoming "main" (microphone) track with a wrtc audio sink and
+ * measures its level. Every LEVEL_INTERVAL_MS the room's levels are reported
+ * ('audio-levels') and the active speaker is re-evaluated with hysteresis,
+ * so brief noises or overlapping "mm-hm"s do not steal the main screen.
+ *
+ * Events (on speakerEvents):
+ * - 'audio-levels'   { roomId, levels: { userId: 0..1 } } when levels change
+ * - 'active-speaker' { roomId, userId } when the active speaker changes
+ *   (userId null when they stop publishing audio)
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const webrtc = require('wrtc');
+
+const { RTCAudioSink } = webrtc.nonstandard;
+
+const speakerEvents = new EventEmitter();
+
+// How often levels are reported and the speaker re-evaluated
+const LEVEL_INTERVAL_MS = 250;
+
+// Levels map -60..0 dBFS onto 0..1
+const LEVEL_FLOOR_DB = -60;
+
+// Reported levels are rounded to this step so small jitter does not re-emit
+const LEVEL_STEP = 0.05;
+
+// Smoothed level at which a user counts as speaking (about -36 dBFS)
+const SPEAKING_LEVEL = 0.4;
+
+// A user must speak this long before taking over as active speaker
+const SPEAKER_HOLD_MS = 800;
+
+// ... and be this much louder than an active speaker who is still talking
+const SPEAKER_SWITCH_MARGIN = 0.1;
+
+// Minimum time between two speaker changes
+const MIN_SWITCH_INTERVAL_MS = 1500;
+
+// roomId -> { users: Map(userId -> state), activeSpeakerId, lastSwitchAt, lastLevelsKey, timer }
+// state: { sink, peak, level, speakingSince }
+const rooms = new Map();
+
+/**
+ * Level (0..1) of one chunk of 16-bit PCM
+ */
+function measureLevel(samples) {
+    if (!samples || samples.length === 0) return 0;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i] / 32768;
+        sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / samples.length);
+    if (rms <= 0) return 0;
+
+    const db = 20 * Math.log10(rms);
+    return Math.min(1, Math.max(0, (db - LEVEL_FLOOR_DB) / -LEVEL_FLOOR_DB));
+}
+
+function getRoom(roomId) {
+    if (!rooms.has(roomId)) {
+        const room = {
+            users: new Map(),
+            activeSpeakerId: null,
+            lastSwitchAt: 0,
+            lastLevelsKey: null,
+            timer: setInterval(() => evaluateRoom(roomId), LEVEL_INTERVAL_MS)
+        };
+        room.timer.unref();
+        rooms.set(roomId, room);
+    }
+    return rooms.get(roomId);
+}
+
+/**
+ * Start measuring a user's microphone track (replaces any earlier track)
+ */
+function trackAudio(roomId, userId, track) {
+    untrackAudio(roomId, userId);
+
+    const state = { sink: new RTCAudioSink(track), peak: 0, level: 0, speakingSince: null };
+    state.sink.addEventListener('data', ({ samples }) => {
+        state.peak = Math.max(state.peak, measureLevel(samples));
+    });
+    getRoom(roomId).users.set(userId, state);
+}
+
+/**
+ * Stop measuring a user's microphone
+ */
+function untrackAudio(roomId, userId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const state = room.users.get(userId);
+    if (state) {
+        try { state.sink.stop(); } catch (_) { }
+        room.users.delete(userId);
+    }
+    if (room.activeSpeakerId === userId) {
+        room.activeSpeakerId = null;
+        speakerEvents.emit('active-speaker', { roomId, userId: null });
+    }
+    if (room.users.size === 0) {
+        clearRoom(roomId);
+    }
+}
+
+/**
+ * Stop measuring everyone in a room
+ */
+function clearRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    clearInterval(room.timer);
+    room.users.forEach(state => {
+        try { state.sink.stop(); } catch (_) { }
+    });
+    rooms.delete(roomId);
+}
+
+function getActiveSpeaker(roomId) {
+    const room = rooms.get(roomId);
+    return room ? room.activeSpeakerId : null;
+}
+
+/**
+ * Report the room's levels and pick its active speaker
+ */
+function evaluateRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const now = Date.now();
+    const levels = {};
+
+    room.users.forEach((state, userId) => {
+        // Fast attack, slower release
+        state.level = state.peak > state.level ? state.peak : state.level * 0.5 + state.peak * 0.5;
+        state.peak = 0;
+
+        if (state.level >= SPEAKING_LEVEL) {
+            if (state.speakingSince === null) state.speakingSince = now;
+        } else {
+            state.speakingSince = null;
+        }
+        levels[userId] = Number((Math.round(state.level / LEVEL_STEP) * LEVEL_STEP).toFixed(2));
+    });
+
+    const levelsKey = JSON.stringify(levels);
+    if (levelsKey !== room.lastLevelsKey) {
+        room.lastLevelsKey = levelsKey;
+        speakerEvents.emit('audio-levels', { roomId, levels });
+    }
+
+    // Loudest user who has been speaking long enough
+    let candidateId = null;
+    let candidateLevel = 0;
+    room.users.forEach((state, userId) => {
+        if (state.speakingSince === null || now - state.speakingSince < SPEAKER_HOLD_MS) return;
+        if (state.level > candidateLevel) {
+            candidateId = userId;
+            candidateLevel = state.level;
+        }
+    });
+
+    if (!candidateId || candidateId === room.activeSpeakerId) return;
+    if (now - room.lastSwitchAt < MIN_SWITCH_INTERVAL_MS) return;
+
+    // The current speaker keeps the floor while still talking, unless clearly drowned out
+    const current = room.activeSpeakerId ? room.users.get(room.activeSpeakerId) : null;
+    if (current && current.speakingSince !== null && candidateLevel < current.level + SPEAKER_SWITCH_MARGIN) return;
+
+    room.activeSpeakerId = candidateId;
+    room.lastSwitchAt = now;
+    speakerEvents.emit('active-speaker', { roomId, userId: candidateId });
+}
+
+module.exports = {
+    speakerEvents,
+    measureLevel,
+    trackAudio,
+    untrackAudio,
+    clearRoom,
+    getActiveSpeaker
+};
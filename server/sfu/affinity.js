@@ -0,0 +1,148 @@
+/**
+ * SFU room affinity
+ * All media for a room (broadcaster/consumer peers, recording) has to live in
+ * one process, while signalling for that room may arrive on any process.
+ * Each room is pinned to one node; other nodes forward SFU requests and
+ * SFU / recorder calls for the room to that node over the cluster bus.
+ *
+ * Single-process deployments have one node, so every call stays local.
+ */
+
+'use strict';
+
+const cluster = require('../cluster');
+const storage = require('../storage');
+const log = require('../modules/logger').createLogger('Affinity');
+
+// nodeId -> { nodeId } for every node running an SFU
+const sfuNodes = storage.collection('sfuNodes', { persist: false });
+
+// roomId -> nodeId serving the room's media
+const roomNodes = storage.collection('sfuRooms', { persist: false });
+
+// Services other nodes may call on this one: name -> { method: fn }
+const services = new Map();
+
+/**
+ * Advertise this node's SFU so rooms can be placed on it
+ */
+function registerNode() {
+    sfuNodes.set(cluster.nodeId, { nodeId: cluster.nodeId });
+}
+
+/**
+ * Every node running an SFU
+ */
+function listNodes() {
+    return Array.from(sfuNodes.keys());
+}
+
+/**
+ * Expose methods of a local module (e.g. the SFU or the recorder) to other nodes
+ */
+function registerService(name, methods) {
+    services.set(name, methods);
+}
+
+/**
+ * The node serving a room's media, or null if no node has it yet
+ */
+function getRoomNode(roomId) {
+    return roomNodes.get(roomId) || null;
+}
+
+/**
+ * The node serving a room's media, placing the room on the node with the
+ * fewest rooms if it has none yet
+ */
+function assignRoomNode(roomId) {
+    const existing = roomNodes.get(roomId);
+    if (existing && sfuNodes.has(existing)) return existing;
+
+    const load = new Map(Array.from(sfuNodes.keys()).map(nodeId => [nodeId, 0]));
+    roomNodes.forEach(nodeId => {
+        if (load.has(nodeId)) load.set(nodeId, load.get(nodeId) + 1);
+    });
+
+    let nodeId = cluster.nodeId;
+    let fewest = Infinity;
+    load.forEach((count, candidate) => {
+        if (count < fewest) {
+            fewest = count;
+            nodeId = candidate;
+        }
+    });
+
+    roomNodes.set(roomId, nodeId);
+    log.info('Room placed', { roomId, nodeId });
+    return nodeId;
+}
+
+/**
+ * Whether this process serves the room's media (rooms not placed yet count as local)
+ */
+function isLocalRoom(roomId) {
+    return (getRoomNode(roomId) || cluster.nodeId) === cluster.nodeId;
+}
+
+/**
+ * Forget a room's placement (room destroyed)
+ */
+function releaseRoom(roomId) {
+    roomNodes.delete(roomId);
+}
+
+/**
+ * Run service.method(...args) on a given node
+ * @returns {Promise<*>}
+ */
+function callOnNode(nodeId, service, method, ...args) {
+    return cluster.request(nodeId, 'affinity:call', { service, method, args });
+}
+
+/**
+ * Run service.method(...args) on the node serving the room's media. Rooms with
+ * no node yet have no media anywhere, so those calls run locally.
+ * @returns {Promise<*>}
+ */
+function callOnRoomNode(roomId, service, method, ...args) {
+    return callOnNode(getRoomNode(roomId) || cluster.nodeId, service, method, ...args);
+}
+
+/**
+ * callOnRoomNode without waiting for the result; failures are logged
+ */
+function runOnRoomNode(roomId, service, method, ...args) {
+    callOnRoomNode(roomId, service, method, ...args).catch(err =>
+        log.error(`${service}.${method} failed`, { roomId, err })
+    );
+}
+
+cluster.handle('affinity:call', ({ service, method, args }) => {
+    const methods = services.get(service);
+    if (!methods || typeof methods[method] !== 'function') {
+        throw new Error(`Unknown service method ${service}.${method}`);
+    }
+    return methods[method](...args);
+});
+
+// A node went away: its media is gone, so its rooms can be placed again
+cluster.subscribe('node-down', ({ nodeId }) => {
+    sfuNodes.delete(nodeId);
+    roomNodes.forEach((roomNodeId, roomId) => {
+        if (roomNodeId === nodeId) roomNodes.delete(roomId);
+    });
+});
+
+module.exports = {
+    registerNode,
+    listNodes,
+    registerService,
+    getRoomNode,
+    assignRoomNode,
+    isLocalRoom,
+    releaseRoom,
+    callOnNode,
+    callOnRoomNode,
+    runOnRoomNode
+};
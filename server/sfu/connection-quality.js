@@ -0,0 +1,256 @@
+/**
+ * Connection quality
+ * Clients report getStats() samples for their publisher and consumer peers
+ * ('connection-stats'); this module smooths them per peer, grades each user's
+ * connection and decides how the SFU should react:
+ * - publishers on a weak uplink are told to cap their video bitrate/resolution
+ * - consumers on a weak downlink stop receiving camera video (audio and
+ *   screen shares keep flowing) until their link recovers
+ *
+ * Events (on qualityEvents):
+ * - 'quality'          { roomId, userId, quality } when a user's grade changes
+ * - 'publisher-limits' { roomId, userId, limits } new video cap (null = none)
+ * - 'consumer-video'   { roomId, userId, paused } camera video paused/resumed
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const qualityEvents = new EventEmitter();
+
+const QUALITY_LEVELS = ['good', 'poor', 'bad'];
+
+const PEER_TYPES = ['publisher', 'consumer'];
+
+// Weight of the newest sample in the smoothed stats
+const SMOOTHING = 0.5;
+
+// A new grade has to show up in this many reports in a row before it is applied
+const CONFIRM_REPORTS = 2;
+
+// Reports older than this no longer count (the client stopped reporting)
+const STALE_REPORT_MS = 20000;
+
+// How often peers whose reports went stale are dropped (see expireStaleReports)
+const STALE_CHECK_INTERVAL_MS = 5000;
+
+// Grade thresholds: packet loss (fraction), round trip (s), estimated bandwidth (bps)
+const POOR_LOSS = 0.03;
+const BAD_LOSS = 0.1;
+const POOR_RTT = 0.3;
+const BAD_RTT = 0.6;
+const POOR_BANDWIDTH = 500000;
+const BAD_BANDWIDTH = 150000;
+
+// Video cap a publisher applies (RTCRtpSender.setParameters) for each grade of its uplink
+const PUBLISHER_LIMITS = {
+    good: null,
+    poor: { maxBitrate: 500000, scaleResolutionDownBy: 2 },
+    bad: { maxBitrate: 150000, scaleResolutionDownBy: 4 }
+};
+
+// roomId -> userId -> { peers: { publisher, consumer }, quality, limitsQuality, videoPaused }
+// peer state: { stats, quality, candidate, candidateCount, updatedAt }
+const rooms = new Map();
+
+function toNumber(value, min, max) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Keep only the fields we grade on, in range
+ */
+function sanitizeReport(report) {
+    return {
+        packetLoss: toNumber(report.packetLoss, 0, 1),
+        rtt: toNumber(report.rtt, 0, 60),
+        bandwidth: toNumber(report.bandwidth, 0, 1e9)
+    };
+}
+
+function smooth(previous, sample) {
+    if (sample === null) return previous === undefined ? null : previous;
+    if (previous === null || previous === undefined) return sample;
+    return previous * (1 - SMOOTHING) + sample * SMOOTHING;
+}
+
+/**
+ * Grade one peer's smoothed stats
+ */
+function gradeStats({ packetLoss, rtt, bandwidth }) {
+    if ((packetLoss !== null && packetLoss >= BAD_LOSS) ||
+        (rtt !== null && rtt >= BAD_RTT) ||
+        (bandwidth !== null && bandwidth < BAD_BANDWIDTH)) {
+        return 'bad';
+    }
+    if ((packetLoss !== null && packetLoss >= POOR_LOSS) ||
+        (rtt !== null && rtt >= POOR_RTT) ||
+        (bandwidth !== null && bandwidth < POOR_BANDWIDTH)) {
+        return 'poor';
+    }
+    return 'good';
+}
+
+function worseQuality(a, b) {
+    return QUALITY_LEVELS.indexOf(a) >= QUALITY_LEVELS.indexOf(b) ? a : b;
+}
+
+function getUser(roomId, userId) {
+    if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+    const roomUsers = rooms.get(roomId);
+    if (!roomUsers.has(userId)) {
+        roomUsers.set(userId, { peers: {}, quality: 'good', limitsQuality: 'good', videoPaused: false });
+    }
+    return roomUsers.get(userId);
+}
+
+/**
+ * Re-grade a user from their peers and emit whatever changed
+ */
+function updateUser(roomId, userId, user) {
+    const now = Date.now();
+    const fresh = (peer) => peer && now - peer.updatedAt < STALE_REPORT_MS;
+
+    const publisher = user.peers.publisher;
+    const consumer = user.peers.consumer;
+    const publisherQuality = fresh(publisher) ? publisher.quality : 'good';
+    const consumerQuality = fresh(consumer) ? consumer.quality : 'good';
+
+    const quality = worseQuality(publisherQuality, consumerQuality);
+    if (quality !== user.quality) {
+        user.quality = quality;
+        qualityEvents.emit('quality', { roomId, userId, quality });
+    }
+
+    if (publisherQuality !== user.limitsQuality) {
+        user.limitsQuality = publisherQuality;
+        qualityEvents.emit('publisher-limits', { roomId, userId, limits: PUBLISHER_LIMITS[publisherQuality] });
+    }
+
+    // Pause on a bad downlink, resume only once it is good again
+    const videoPaused = consumerQuality === 'bad' || (user.videoPaused && consumerQuality !== 'good');
+    if (videoPaused !== user.videoPaused) {
+        user.videoPaused = videoPaused;
+        qualityEvents.emit('consumer-video', { roomId, userId, paused: videoPaused });
+    }
+}
+
+/**
+ * Take one stats report from a client
+ * @param {Object} report - { peer: 'publisher'|'consumer', packetLoss, rtt, bandwidth }
+ */
+function reportStats(roomId, userId, report) {
+    if (!report || !PEER_TYPES.includes(report.peer)) return;
+
+    const user = getUser(roomId, userId);
+    const sample = sanitizeReport(report);
+    const previous = user.peers[report.peer];
+    const peer = previous || { stats: {}, quality: 'good', candidate: null, candidateCount: 0 };
+
+    peer.stats = {
+        packetLoss: smooth(peer.stats.packetLoss, sample.packetLoss),
+        rtt: smooth(peer.stats.rtt, sample.rtt),
+        // Bandwidth estimates move in steps — use the latest one
+        bandwidth: sample.bandwidth !== null ? sample.bandwidth : (peer.stats.bandwidth || null)
+    };
+    peer.updatedAt = Date.now();
+    user.peers[report.peer] = peer;
+
+    const grade = gradeStats(peer.stats);
+    if (grade === peer.quality) {
+        peer.candidate = null;
+        peer.candidateCount = 0;
+    } else {
+        peer.candidateCount = grade === peer.candidate ? peer.candidateCount + 1 : 1;
+        peer.candidate = grade;
+        if (peer.candidateCount >= CONFIRM_REPORTS) {
+            peer.quality = grade;
+            peer.candidate = null;
+            peer.candidateCount = 0;
+        }
+    }
+
+    updateUser(roomId, userId, user);
+}
+
+/**
+ * Forget one of a user's peers (closed or replaced)
+ */
+function clearPeer(roomId, userId, peerType) {
+    const roomUsers = rooms.get(roomId);
+    const user = roomUsers && roomUsers.get(userId);
+    if (!user || !user.peers[peerType]) return;
+
+    delete user.peers[peerType];
+    updateUser(roomId, userId, user);
+}
+
+/**
+ * Forget a user (left the room)
+ */
+function clearUser(roomId, userId) {
+    const roomUsers = rooms.get(roomId);
+    if (!roomUsers) return;
+
+    roomUsers.delete(userId);
+    if (roomUsers.size === 0) rooms.delete(roomId);
+}
+
+function clearRoom(roomId) {
+    rooms.delete(roomId);
+}
+
+/**
+ * Drop peers that stopped reporting, so a user who went quiet on a bad grade
+ * gets their publisher cap lifted and their camera video back
+ */
+function expireStaleReports() {
+    const now = Date.now();
+    rooms.forEach((roomUsers, roomId) => {
+        roomUsers.forEach((user, userId) => {
+            const stale = PEER_TYPES.filter(type => user.peers[type] && now - user.peers[type].updatedAt >= STALE_REPORT_MS);
+            if (stale.length === 0) return;
+
+            stale.forEach(type => delete user.peers[type]);
+            updateUser(roomId, userId, user);
+            if (Object.keys(user.peers).length === 0) roomUsers.delete(userId);
+        });
+        if (roomUsers.size === 0) rooms.delete(roomId);
+    });
+}
+
+setInterval(expireStaleReports, STALE_CHECK_INTERVAL_MS).unref();
+
+function isVideoPaused(roomId, userId) {
+    const roomUsers = rooms.get(roomId);
+    const user = roomUsers && roomUsers.get(userId);
+    return !!(user && user.videoPaused);
+}
+
+/**
+ * Users in a room whose connection is not good: { userId: quality }
+ */
+function getRoomQuality(roomId) {
+    const result = {};
+    const roomUsers = rooms.get(roomId);
+    if (roomUsers) {
+        roomUsers.forEach((user, userId) => {
+            if (user.quality !== 'good') result[userId] = user.quality;
+        });
+    }
+    return result;
+}
+
+module.exports = {
+    qualityEvents,
+    reportStats,
+    clearPeer,
+    clearUser,
+    clearRoom,
+    isVideoPaused,
+    getRoomQuality
+};
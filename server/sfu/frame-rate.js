@@ -0,0 +1,44 @@
+/**
+ * Reduced frame rate video
+ * Audio-only participants still receive the current screen share, but only a
+ * few frames per second. wrtc forwards tracks as they are, so the SFU decodes
+ * the publisher's track once (RTCVideoSink), passes on one frame per interval
+ * (RTCVideoSource) and shares the resulting track with every such consumer.
+ */
+
+'use strict';
+
+const webrtc = require('wrtc');
+
+const { RTCVideoSink, RTCVideoSource } = webrtc.nonstandard;
+
+/**
+ * Copy of a video track limited to fps frames per second
+ * @returns {{ track: MediaStreamTrack, stop: Function }}
+ */
+function createReducedTrack(track, fps) {
+    const source = new RTCVideoSource({ isScreencast: true });
+    const sink = new RTCVideoSink(track);
+    const frameInterval = 1000 / fps;
+    let lastFrameAt = 0;
+
+    sink.addEventListener('frame', ({ frame }) => {
+        const now = Date.now();
+        if (now - lastFrameAt < frameInterval) return;
+        lastFrameAt = now;
+        source.onFrame(frame);
+    });
+
+    const reducedTrack = source.createTrack();
+    return {
+        track: reducedTrack,
+        stop() {
+            try { sink.stop(); } catch (_) { }
+            try { reducedTrack.stop(); } catch (_) { }
+        }
+    };
+}
+
+module.exports = {
+    createReducedTrack
+};
@@ -1,73 +1,27 @@
+/**
+ * SFU (Selective Forwarding Unit)
+ * WebRTC signalling endpoints, mounted by main.js under /sfu on the main
+ * server. Request bodies are parsed by the main app.
+ */
+
 const express = require('express');
-const app = express();
-const bodyParser = require('body-parser');
+const router = express.Router();
 const webrtc = require("wrtc");
-const fs = require('fs');
-const https = require('https');
-const cors = require('cors');
 const EventEmitter = require('events');
+const cluster = require('../cluster');
+const affinity = require('./affinity');
+const simulcast = require('./simulcast');
+const activeSpeaker = require('./active-speaker');
+const connectionQuality = require('./connection-quality');
+const { createReducedTrack } = require('./frame-rate');
+const { userRoom, socketConnections } = require('../socket/socket-events');
+const roomsModule = require('../modules/rooms');
+const authModule = require('../modules/auth');
+const { getIceServers } = require('../modules/ice-servers');
+const log = require('../modules/logger').createLogger('SFU');
 
 const sfuEvents = new EventEmitter();
 
-// Enable CORS for all origins
-app.use(cors());
-
-// SSL Certificate paths
-const SSL_CERT_PATH = '/etc/letsencrypt/live/streaming.nathadon.com/fullchain.pem';
-const SSL_KEY_PATH = '/etc/letsencrypt/live/streaming.nathadon.com/privkey.pem';
-
-// ICE servers configuration with STUN and TURN
-// const iceServers = [
-//     { urls: "stun:stun.l.google.com:19302" },
-//     { urls: "stun:stun1.l.google.com:19302" },
-//     { urls: "stun:stun2.l.google.com:19302" },
-//     {
-//         urls: "turn:openrelay.metered.ca:80",
-//         username: "openrelayproject",
-//         credential: "openrelayproject"
-//     },
-//     {
-//         urls: "turn:openrelay.metered.ca:443",
-//         username: "openrelayproject",
-//         credential: "openrelayproject"
-//     },
-//     {
-//         urls: "turn:openrelay.metered.ca:443?transport=tcp",
-//         username: "openrelayproject",
-//         credential: "openrelayproject"
-//     }
-// ];
-
-const iceServers = [
-    // STUN - free Google servers are fine to keep
-    { urls: 'stun:stun.l.google.com:19302' },
-    { urls: 'stun:stun1.l.google.com:19302' },
-
-    // Your own COTURN server (plain UDP/TCP)
-    {
-        urls: 'turn:138.252.93.34:3478',
-        username: 'mhon-cloud',
-        credential: 'Ofax0oEz7it9BDX7'
-    },
-    {
-        urls: 'turn:138.252.93.34:3478?transport=tcp',
-        username: 'mhon-cloud',
-        credential: 'Ofax0oEz7it9BDX7'
-    },
-
-    // Your own COTURN server (TLS) - if you configured certificates
-    {
-        urls: 'turns:streaming.nathadon.com:5349',
-        username: 'mhon-cloud',
-        credential: 'Ofax0oEz7it9BDX7'
-    },
-    {
-        urls: 'turns:streaming.nathadon.com:5349?transport=tcp',
-        username: 'mhon-cloud',
-        credential: 'Ofax0oEz7it9BDX7'
-    }
-];
-
 /**
  * Stream Types:
  * - main: audio only (always broadcast when mic is on)
@@ -80,6 +34,9 @@ const iceServers = [
  * Audio (main) and camera tracks are automatically combined into a single "media" stream per user.
  * This allows consumers to receive one stream with both audio and video tracks instead of separate streams.
  * Screen shares remain as separate streams.
+ *
+ * Tracks arrive either on one peer per user carrying every stream type (/publish)
+ * or, from older clients, on one peer per stream type (/broadcast-audio, -camera, -screen).
  */
 
 // Map to store room -> stream key -> MediaStream
@@ -93,24 +50,194 @@ const roomCombinedStreams = new Map();
 // Map to track broadcaster peer connections: roomId -> streamKey -> peer
 const broadcasterPeers = new Map();
 
-// Map to track consumer peer connections: roomId -> oderId -> peer
+// Unified publishers (POST /publish): roomId -> userId -> { peerId, peer, tracksByMid, streamTypes }
+// One peer carries all of a user's tracks; tracksByMid maps each transceiver to
+// { streamType, layer } and streamTypes lists the types currently published
+const publisherPeers = new Map();
+
+const PUBLISH_STREAM_TYPES = ['main', 'camera', 'screen'];
+
+// The one track kind each stream type carries — video labelled 'main' would
+// otherwise slip past the publish policy into the user's combined stream
+const STREAM_TRACK_KINDS = { main: 'audio', camera: 'video', screen: 'video' };
+
+// Endpoints that act for body.userId (publishing, stopping or muting one's own
+// streams, or the consumer peer one receives on); the caller must hold a
+// session token for that user
+const AUTHENTICATED_PATHS = [
+    '/publish', '/broadcast', '/broadcast-audio', '/broadcast-camera', '/broadcast-screen',
+    '/stop-stream', '/stop-broadcast', '/mute-status', '/request-stop-screenshare',
+    '/consumer', '/consumer-answer', '/subscribe'
+];
+
+// Endpoints that name the acting user in another body field than userId
+const ACTING_USER_FIELDS = { '/request-stop-screenshare': 'requesterId' };
+
+// Map to track consumer peers: roomId -> consumerId -> { userId, peer, senders, streamMetadata, negotiating, ... }
+// Each connection (the client's socket id) has one long-lived consumer peer that is
+// renegotiated as streams come and go, so a user's tabs do not replace each other's
 const consumerPeers = new Map();
 
+// Close a consumer whose client has not answered a renegotiation offer by then
+const CONSUMER_ANSWER_TIMEOUT_MS = 10000;
+
+// What each consumer wants to receive: roomId -> consumerId -> { userId, audio, video, screen, tiles, audioOnly }
+// Each kind is a Set of broadcaster userIds, or null for everyone. Consumers without
+// an entry receive every stream. tiles = { userId: tile height } picks camera layers.
+// audioOnly consumers get audio and the newest screen share at a reduced frame rate.
+const consumerSubscriptions = new Map();
+
+// Lower simulcast layers of camera/screen streams: roomId -> streamKey -> Map(layer -> track)
+// (the top layer is the stream's own track, see simulcast.js)
+const streamLayers = new Map();
+
+// Reduced frame rate copies of screen shares for audio-only consumers:
+// roomId -> streamKey -> { sourceTrackId, track, stop }
+const reducedTracks = new Map();
+
+// Frame rate of the screen share audio-only consumers receive
+const AUDIO_ONLY_SCREEN_FPS = 2;
+
+// How often consumers' bandwidth estimates are re-read to adjust their layers
+const LAYER_CHECK_INTERVAL_MS = 5000;
+
+// Bandwidth changes smaller than this fraction do not re-pick layers
+const BANDWIDTH_CHANGE_THRESHOLD = 0.15;
+
+// Client ICE candidates that arrived before their peer or its remote description:
+// "roomId|type|key" -> { candidates, timer } (key: streamKey for 'broadcaster', else userId)
+const pendingCandidates = new Map();
+
+// Buffered candidates whose peer never shows up are dropped after this long
+const PENDING_CANDIDATE_TTL_MS = 30000;
+
+// A peer gathers a handful of candidates; anything past this is dropped
+const MAX_PENDING_CANDIDATES = 50;
+
+// Bytes each peer had moved when each stats reader last asked:
+// peer -> reader ('prometheus', 'admin') -> { bytes, at }
+const peerByteCounts = new WeakMap();
+
 // Queue to track pending broadcasts: roomId -> Set of streamKeys currently broadcasting
 const pendingBroadcasts = new Map();
 
 // Resolvers waiting for queue to empty: roomId -> array of resolve functions
 const broadcastWaiters = new Map();
 
+// How often peers and streams are reconciled against live sockets (see sweepOrphans)
+const SWEEP_INTERVAL_MS = 30000;
+
+// A peer still in one of these ICE states at two sweeps in a row never connected
+const STALE_ICE_STATES = ['new', 'checking'];
+
+// Orphans found by the last sweep: "roomId|kind|key" -> the entry seen
+let sweepSuspects = new Map();
+
+// Entries the sweeper cleaned since start, by kind
+const sweptCounts = { broadcasters: 0, publishers: 0, consumers: 0, streams: 0, combinedStreams: 0, pendingBroadcasts: 0 };
+
 // Socket.io instance for real-time notifications
 let io = null;
 function setIo(socketIo) {
     io = socketIo;
 }
 
-app.use(express.static('public'));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Speaking levels and the active speaker go to everyone in the room
+activeSpeaker.speakerEvents.on('audio-levels', (data) => {
+    if (io) io.to(data.roomId).emit('audio-levels', data);
+});
+activeSpeaker.speakerEvents.on('active-speaker', (data) => {
+    if (io) io.to(data.roomId).emit('active-speaker', data);
+});
+
+// Connection grades go to the room (for the "poor connection" badge),
+// video caps and pauses only to the user they apply to
+connectionQuality.qualityEvents.on('quality', (data) => {
+    if (io) io.to(data.roomId).emit('connection-quality', data);
+});
+connectionQuality.qualityEvents.on('publisher-limits', ({ roomId, userId, limits }) => {
+    log.info('Publisher video cap changed', { roomId, userId, limits });
+    if (io) io.to(userRoom(roomId, userId)).emit('publisher-limits', { roomId, limits });
+});
+connectionQuality.qualityEvents.on('consumer-video', ({ roomId, userId, paused }) => {
+    log.info(`${paused ? 'Pausing' : 'Resuming'} incoming video`, { roomId, userId });
+    if (io) io.to(userRoom(roomId, userId)).emit('consumer-video-paused', { roomId, paused });
+    getUserConsumerIds(roomId, userId).forEach(consumerId =>
+        renegotiateConsumer(roomId, consumerId).catch(error =>
+            log.error('Consumer renegotiation failed', { roomId, userId, consumerId, err: error })
+        )
+    );
+});
+
+/**
+ * Room a request is about: from the body, or the path for GET /room-streams/:roomId
+ */
+function getRequestRoomId(req) {
+    if (req.body && req.body.roomId) return req.body.roomId;
+    const match = /^\/room-streams\/([^/]+)/.exec(req.path);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Only the user a session was issued for may publish, consume or stop streams as that user.
+// Checked before forwarding, since forwarded requests carry no headers.
+router.use((req, res, next) => {
+    if (req.forwarded || req.method !== 'POST' || !AUTHENTICATED_PATHS.includes(req.path)) return next();
+
+    const body = req.body || {};
+    const { roomId } = body;
+    const userId = body[ACTING_USER_FIELDS[req.path] || 'userId'];
+    const session = authModule.verifySessionToken(authModule.getRequestToken(req), roomId);
+    if (!session) {
+        return res.status(401).json({ error: 'A valid session token is required' });
+    }
+    if (session.userId !== userId) {
+        log.warn(`${req.path} rejected — session is for another user`, { roomId, userId, sessionUserId: session.userId });
+        return res.status(403).json({ error: 'Cannot act as another user' });
+    }
+    next();
+});
+
+// A room's media lives on one node — requests that reached another worker
+// are run there over the cluster bus
+router.use((req, res, next) => {
+    const roomId = getRequestRoomId(req);
+    if (req.forwarded || !roomId) return next();
+
+    const nodeId = affinity.assignRoomNode(roomId);
+    if (nodeId === cluster.nodeId) return next();
+
+    affinity.callOnNode(nodeId, 'sfu', 'handleForwardedRequest', req.method, req.url, req.body)
+        .then(({ status, body }) => res.status(status).json(body))
+        .catch(error => {
+            log.error(`Forwarding ${req.method} ${req.path} failed`, { roomId, nodeId, err: error });
+            res.status(502).json({ error: error.message });
+        });
+});
+
+/**
+ * Run a request forwarded from another node through this node's routes
+ * @returns {Promise<Object>} { status, body }
+ */
+function handleForwardedRequest(method, url, body) {
+    return new Promise((resolve, reject) => {
+        const req = { method, url, body, headers: {}, forwarded: true };
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.statusCode, body: payload });
+                return this;
+            }
+        };
+        router.handle(req, res, (error) => {
+            if (error) reject(error);
+            else resolve({ status: 404, body: { error: `Cannot ${method} ${url}` } });
+        });
+    });
+}
 
 /**
  * Helper to create stream key
@@ -128,35 +255,480 @@ function parseStreamKey(streamKey) {
 }
 
 /**
- * Consumer endpoint - receives all streams from the room
- * Returns metadata about which streams belong to which users
- * 
+ * Turn a client's subscription ({ audio, video, screen }: userId[] or 'all')
+ * into the stored form. Kinds left out mean everyone.
+ */
+function normalizeSubscription(subscription) {
+    const toSet = (list) => Array.isArray(list) ? new Set(list.map(String)) : null;
+
+    // Tile heights only come from clients that want layers picked by size
+    let tiles = null;
+    if (subscription.tiles && typeof subscription.tiles === 'object') {
+        tiles = {};
+        Object.keys(subscription.tiles).forEach(tileUserId => {
+            const height = Number(subscription.tiles[tileUserId]);
+            if (Number.isFinite(height)) tiles[tileUserId] = height;
+        });
+    }
+
+    return {
+        audio: toSet(subscription.audio),
+        video: toSet(subscription.video),
+        screen: toSet(subscription.screen),
+        tiles,
+        audioOnly: subscription.audioOnly === true
+    };
+}
+
+function getSubscription(roomId, consumerId) {
+    const roomSubscriptions = consumerSubscriptions.get(roomId);
+    return roomSubscriptions ? roomSubscriptions.get(consumerId) : undefined;
+}
+
+function setSubscription(roomId, consumerId, userId, subscription) {
+    if (!consumerSubscriptions.has(roomId)) {
+        consumerSubscriptions.set(roomId, new Map());
+    }
+    consumerSubscriptions.get(roomId).set(consumerId, { userId, ...normalizeSubscription(subscription) });
+}
+
+/**
+ * Whether a consumer's subscription covers one track of a broadcaster's stream
+ */
+function isSubscribed(subscription, streamUserId, streamType, kind) {
+    if (!subscription) return true;
+    const list = kind === 'audio'
+        ? subscription.audio
+        : (streamType === 'screen' ? subscription.screen : subscription.video);
+    return !list || list.has(streamUserId);
+}
+
+/**
+ * Tracks a consumer should receive from the room, with the metadata the
+ * client needs to tell them apart. Only tracks covered by the consumer's
+ * subscription are included.
+ *
  * Sends combined "media" streams (audio + camera) when available,
  * and separate "screen" streams for screen shares.
+ * Consumers on a bad downlink get no camera video (see connection-quality.js);
+ * audio-only consumers get no video but the newest screen share, marked reduced.
+ * Each entry's slot (stream + kind) stays the same when its track is swapped
+ * for another simulcast layer; layerSource is the stream key holding the layers.
+ * @returns {Object} { tracks: [{ track, stream, streamKey, slot, layerSource, streamUserId, streamType }], streamMetadata }
  */
-app.post("/consumer", async ({ body }, res) => {
-    const { sdp, roomId, userId } = body;
-    console.log(`[CONSUME] ${userId} -> room ${roomId}`);
+function getConsumableTracks(roomId, consumerId, userId) {
+    const roomStreams = roomUserStreams.get(roomId);
+    const subscription = getSubscription(roomId, consumerId);
+    const videoPaused = connectionQuality.isVideoPaused(roomId, userId);
+    const audioOnly = !!(subscription && subscription.audioOnly);
+    const tracks = [];
+    const streamMetadata = [];
+    if (!roomStreams) return { tracks, streamMetadata };
+
+    // The share an audio-only consumer sees: the one started last (streams keep insertion order)
+    let currentScreenKey = null;
+    if (audioOnly) {
+        roomStreams.forEach((stream, streamKey) => {
+            const { userId: streamUserId, streamType } = parseStreamKey(streamKey);
+            if (streamType === 'screen' && streamUserId !== userId) currentScreenKey = streamKey;
+        });
+    }
+
+    const wantsVideo = (streamKey, streamType) => {
+        if (audioOnly) return streamKey === currentScreenKey;
+        return !(videoPaused && streamType !== 'screen');
+    };
+
+    const addStream = (stream, streamKey, streamUserId, streamType) => {
+        const wantedTracks = stream.getTracks()
+            .filter(track => isSubscribed(subscription, streamUserId, streamType, track.kind))
+            .filter(track => track.kind !== 'video' || wantsVideo(streamKey, streamType));
+        if (wantedTracks.length === 0) return;
+
+        streamMetadata.push({
+            streamId: stream.id,
+            oderId: streamUserId,
+            streamType
+        });
+        wantedTracks.forEach(track => tracks.push({
+            track,
+            stream,
+            streamKey,
+            slot: `${streamKey}:${track.kind}`,
+            layerSource: track.kind === 'video'
+                ? makeStreamKey(streamUserId, streamType === 'screen' ? 'screen' : 'camera')
+                : null,
+            streamUserId,
+            streamType,
+            reduced: audioOnly && track.kind === 'video'
+        }));
+    };
+
+    // Track which users we've already sent combined streams for
+    const sentCombinedFor = new Set();
+
+    // First pass: combined "media" streams (audio + camera)
+    roomStreams.forEach((stream, streamKey) => {
+        const { userId: streamUserId, streamType } = parseStreamKey(streamKey);
+
+        // Don't send user's own streams back (prevents echo)
+        if (streamUserId === userId) return;
+
+        if (streamType === 'media') {
+            sentCombinedFor.add(streamUserId);
+            addStream(stream, streamKey, streamUserId, 'media');
+        }
+    });
+
+    // Second pass: screen shares and any standalone audio/camera (if no combined stream)
+    roomStreams.forEach((stream, streamKey) => {
+        const { userId: streamUserId, streamType } = parseStreamKey(streamKey);
+
+        if (streamUserId === userId) return;
+
+        // Screen shares are always sent separately
+        if (streamType === 'screen') {
+            addStream(stream, streamKey, streamUserId, 'screen');
+        }
+
+        // Only send standalone main/camera if no combined stream exists for this user
+        if ((streamType === 'main' || streamType === 'camera') && !sentCombinedFor.has(streamUserId)) {
+            addStream(stream, streamKey, streamUserId, streamType);
+        }
+    });
+
+    return { tracks, streamMetadata };
+}
+
+/**
+ * Get a connection's consumer entry: { userId, peer, senders, streamMetadata, negotiating, ... }
+ */
+function getConsumer(roomId, consumerId) {
+    const roomConsumers = consumerPeers.get(roomId);
+    return roomConsumers ? roomConsumers.get(consumerId) : undefined;
+}
+
+/**
+ * Ids of the consumers one user has open (one per tab / device)
+ */
+function getUserConsumerIds(roomId, userId) {
+    const roomConsumers = consumerPeers.get(roomId);
+    if (!roomConsumers) return [];
+    return Array.from(roomConsumers.entries())
+        .filter(([, consumer]) => consumer.userId === userId)
+        .map(([consumerId]) => consumerId);
+}
+
+function getStreamLayers(roomId, streamKey) {
+    const roomLayers = streamLayers.get(roomId);
+    return (roomLayers && roomLayers.get(streamKey)) || new Map();
+}
+
+function clearStreamLayers(roomId, streamKey) {
+    const roomLayers = streamLayers.get(roomId);
+    if (roomLayers) {
+        roomLayers.delete(streamKey);
+    }
+    releaseReducedTrack(roomId, streamKey);
+}
+
+/**
+ * The reduced frame rate copy of a stream's video track, made on first use
+ */
+function getReducedTrack(roomId, streamKey, track) {
+    if (!reducedTracks.has(roomId)) {
+        reducedTracks.set(roomId, new Map());
+    }
+    const roomReduced = reducedTracks.get(roomId);
+    const existing = roomReduced.get(streamKey);
+    if (existing && existing.sourceTrackId === track.id) return existing.track;
+
+    if (existing) existing.stop();
+    const reduced = createReducedTrack(track, AUDIO_ONLY_SCREEN_FPS);
+    roomReduced.set(streamKey, { sourceTrackId: track.id, ...reduced });
+    log.info(`Started ${AUDIO_ONLY_SCREEN_FPS}fps copy of screen share`, { roomId, streamKey });
+    return reduced.track;
+}
+
+function releaseReducedTrack(roomId, streamKey) {
+    const roomReduced = reducedTracks.get(roomId);
+    const reduced = roomReduced && roomReduced.get(streamKey);
+    if (!reduced) return;
+
+    reduced.stop();
+    roomReduced.delete(streamKey);
+    if (roomReduced.size === 0) reducedTracks.delete(roomId);
+}
+
+/**
+ * Stop reduced copies no consumer in the room is receiving any more
+ */
+function releaseUnusedReducedTracks(roomId) {
+    const roomReduced = reducedTracks.get(roomId);
+    if (!roomReduced) return;
+
+    const sentTrackIds = new Set();
+    const roomConsumers = consumerPeers.get(roomId);
+    if (roomConsumers) {
+        roomConsumers.forEach(consumer => {
+            consumer.senders.forEach(({ trackId }) => sentTrackIds.add(trackId));
+        });
+    }
+
+    roomReduced.forEach((reduced, streamKey) => {
+        if (!sentTrackIds.has(reduced.track.id)) releaseReducedTrack(roomId, streamKey);
+    });
+}
+
+/**
+ * Swap each video entry's track for the simulcast layer this consumer should
+ * get, based on its tile sizes and bandwidth estimate
+ */
+function applyVideoLayers(roomId, consumerId, consumer, entries) {
+    const subscription = getSubscription(roomId, consumerId);
+    const tiles = subscription && subscription.tiles;
+
+    // Audio-only consumers get the full picture at a few frames per second instead
+    entries.filter(entry => entry.reduced).forEach(entry => {
+        entry.track = getReducedTrack(roomId, entry.streamKey, entry.track);
+    });
+    const videoEntries = entries.filter(entry => entry.track.kind === 'video' && !entry.reduced);
+
+    const slots = videoEntries.map(entry => {
+        const layers = getStreamLayers(roomId, entry.layerSource);
+        const isScreen = entry.streamType === 'screen';
+        return {
+            id: entry.slot,
+            available: simulcast.LAYER_NAMES.filter(name => name === simulcast.BASE_LAYER || layers.has(name)),
+            // Screen shares fill the main area; cameras follow their tile size
+            preferred: isScreen || !tiles ? simulcast.BASE_LAYER : simulcast.layerForTileHeight(tiles[entry.streamUserId]),
+            isScreen
+        };
+    });
+
+    const audioCount = entries.filter(entry => entry.track.kind === 'audio').length;
+    const picks = simulcast.chooseLayers(slots, audioCount, consumer.bandwidth);
+    videoEntries.forEach(entry => {
+        entry.layer = picks.get(entry.slot);
+        if (entry.layer !== simulcast.BASE_LAYER) {
+            entry.track = getStreamLayers(roomId, entry.layerSource).get(entry.layer);
+        }
+    });
+}
+
+/**
+ * Bring a consumer's senders in line with the room's current tracks:
+ * add tracks that appeared, remove tracks that went away, and switch
+ * simulcast layers in place.
+ * @returns {boolean} true if the peer needs renegotiating (layer switches do not)
+ */
+function syncConsumerTracks(roomId, consumerId, consumer) {
+    const { userId } = consumer;
+    const { tracks, streamMetadata } = getConsumableTracks(roomId, consumerId, userId);
+    applyVideoLayers(roomId, consumerId, consumer, tracks);
+    const wanted = new Map(tracks.map(entry => [entry.slot, entry]));
+    let changed = false;
+
+    consumer.senders.forEach(({ sender, streamKey }, slot) => {
+        if (wanted.has(slot)) return;
+        try { consumer.peer.removeTrack(sender); } catch (_) { }
+        consumer.senders.delete(slot);
+        log.debug(`Removed ${slot} from consumer`, { roomId, userId, streamKey });
+        changed = true;
+    });
+
+    wanted.forEach(({ track, stream, streamKey, layer }, slot) => {
+        const current = consumer.senders.get(slot);
+        if (current && current.trackId === track.id) return;
+
+        // Same slot, new track (layer switch or re-published camera): swap it without renegotiating
+        if (current && typeof current.sender.replaceTrack === 'function') {
+            current.sender.replaceTrack(track).catch(error => {
+                // Fall back to removing and re-adding the track
+                log.error(`Failed to switch ${slot}`, { roomId, userId, streamKey, err: error });
+                try { consumer.peer.removeTrack(current.sender); } catch (_) { }
+                consumer.senders.delete(slot);
+                renegotiateConsumer(roomId, consumerId).catch(renegotiateError =>
+                    log.error('Consumer renegotiation failed', { roomId, userId, consumerId, err: renegotiateError })
+                );
+            });
+            current.trackId = track.id;
+            current.layer = layer;
+            log.debug(`Switched ${slot}${layer ? ` to the ${layer} layer` : ''}`, { roomId, userId, streamKey });
+            return;
+        }
+        if (current) {
+            try { consumer.peer.removeTrack(current.sender); } catch (_) { }
+        }
+
+        log.debug('Sending track to consumer', {
+            roomId,
+            userId,
+            streamKey,
+            kind: track.kind,
+            enabled: track.enabled,
+            readyState: track.readyState,
+            layer
+        });
+        const sender = consumer.peer.addTrack(track, stream);
+        consumer.senders.set(slot, { sender, trackId: track.id, streamKey, layer });
+        changed = true;
+    });
+
+    consumer.streamMetadata = streamMetadata;
+    return changed;
+}
+
+/**
+ * Re-read a consumer's downlink estimate and re-pick its layers if it moved
+ */
+async function refreshConsumerBandwidth(roomId, consumerId, consumer) {
+    const report = await consumer.peer.getStats();
+    let bandwidth = null;
+    if (report && typeof report.forEach === 'function') {
+        report.forEach(stat => {
+            if (stat.type === 'candidate-pair' && stat.nominated && stat.availableOutgoingBitrate) {
+                bandwidth = stat.availableOutgoingBitrate;
+            }
+        });
+    }
+    if (!bandwidth) return;
+
+    const previous = consumer.bandwidth;
+    consumer.bandwidth = bandwidth;
+    if (previous && Math.abs(bandwidth - previous) / previous < BANDWIDTH_CHANGE_THRESHOLD) return;
+
+    await renegotiateConsumer(roomId, consumerId);
+}
+
+/**
+ * Push the room's current tracks to a consumer: update its senders and send
+ * the client a new offer over Socket.io. Changes that arrive while an offer
+ * is outstanding are picked up once the client answers.
+ */
+async function renegotiateConsumer(roomId, consumerId) {
+    const consumer = getConsumer(roomId, consumerId);
+    if (!consumer) return;
+    const { userId } = consumer;
+
+    if (consumer.negotiating) {
+        consumer.needsRenegotiation = true;
+        return;
+    }
+    consumer.needsRenegotiation = false;
+
+    if (!syncConsumerTracks(roomId, consumerId, consumer)) return;
+
+    consumer.negotiating = true;
+    try {
+        const offer = await consumer.peer.createOffer();
+        await consumer.peer.setLocalDescription(offer);
+    } catch (error) {
+        consumer.negotiating = false;
+        log.error('Failed to create renegotiation offer', { roomId, userId, consumerId, err: error });
+        return;
+    }
+
+    // A client that never answers is left with a stale peer — drop it so it re-consumes
+    consumer.answerTimer = setTimeout(() => {
+        if (getConsumer(roomId, consumerId) !== consumer || !consumer.negotiating) return;
+        log.warn('Renegotiation offer not answered — closing consumer', { roomId, userId, consumerId });
+        removeConsumer(roomId, consumerId);
+    }, CONSUMER_ANSWER_TIMEOUT_MS);
+
+    log.debug(`Sending renegotiation offer (${consumer.senders.size} track(s))`, { roomId, userId, consumerId });
+    if (io) {
+        // Only the connection that owns the peer can answer it
+        io.to(consumerId).emit('consumer-offer', {
+            roomId,
+            consumerId,
+            sdp: consumer.peer.localDescription,
+            streamMetadata: consumer.streamMetadata
+        });
+    }
+}
+
+/**
+ * Renegotiate every consumer in the room except the user whose streams changed
+ */
+function renegotiateRoomConsumers(roomId, exceptUserId) {
+    const roomConsumers = consumerPeers.get(roomId);
+    if (!roomConsumers) return;
+
+    roomConsumers.forEach((consumer, consumerId) => {
+        if (consumer.userId === exceptUserId) return;
+        renegotiateConsumer(roomId, consumerId).catch(error =>
+            log.error('Consumer renegotiation failed', { roomId, userId: consumer.userId, consumerId, err: error })
+        );
+    });
+}
+
+/**
+ * Whether a socket (on any node) is one of the user's connections to the room
+ */
+async function isUserConnection(roomId, userId, socketId) {
+    if (!io || !socketId) return false;
+    const sockets = await io.in(userRoom(roomId, userId)).fetchSockets();
+    return sockets.some(socket => socket.id === socketId);
+}
+
+/**
+ * Consumer endpoint - opens the connection's long-lived consumer peer with every
+ * stream currently in the room. Later streams are added to (and removed from)
+ * this peer by server-initiated renegotiation ('consumer-offer' / POST /consumer-answer).
+ * consumerId is the client's socket id: offers and ICE candidates go to that
+ * socket only, so each tab of a user keeps its own peer.
+ * Returns metadata about which streams belong to which users.
+ */
+router.post("/consumer", async ({ body }, res) => {
+    const { sdp, roomId, userId, consumerId, subscription } = body;
+    log.info('Consumer connecting', { roomId, userId, consumerId });
+
+    let isOwnConnection;
+    try {
+        isOwnConnection = await isUserConnection(roomId, userId, consumerId);
+    } catch (error) {
+        log.error('Could not look up the user\'s connections', { roomId, userId, consumerId, err: error });
+        return res.status(503).json({ error: 'Could not verify the connection, try again' });
+    }
+    if (!isOwnConnection) {
+        log.warn('Consumer rejected — not one of the user\'s connections', { roomId, userId, consumerId });
+        return res.status(403).json({ error: 'consumerId must be one of your socket connections' });
+    }
 
     // Wait for any pending broadcasts to complete first
     await waitForPendingBroadcasts(roomId);
 
-    const peer = new webrtc.RTCPeerConnection({ iceServers });
+    // A fresh consumer request (ICE restart, re-consume) replaces this connection's old peer
+    removeConsumer(roomId, consumerId);
+
+    // The client may send what it wants to receive up front (see /subscribe)
+    if (subscription) {
+        setSubscription(roomId, consumerId, userId, subscription);
+    }
+
+    const peer = new webrtc.RTCPeerConnection({ iceServers: getIceServers('sfu').iceServers });
+    const consumer = {
+        userId,
+        peer,
+        senders: new Map(),      // slot -> { sender, trackId, streamKey, layer }
+        streamMetadata: [],
+        bandwidth: null,         // estimated downlink (bps), see refreshConsumerBandwidth
+        negotiating: true,       // until our answer is set below
+        needsRenegotiation: false,
+        answerTimer: null
+    };
 
-    // Track consumer peer connection by oderId (the user consuming streams)
+    // Track consumer peer connection by the connection consuming streams
     if (!consumerPeers.has(roomId)) {
         consumerPeers.set(roomId, new Map());
     }
-    consumerPeers.get(roomId).set(userId, peer);
+    consumerPeers.get(roomId).set(consumerId, consumer);
 
-    // Send ICE candidates to client via Socket.io
+    // Send ICE candidates to the consuming socket via Socket.io
     peer.onicecandidate = (event) => {
         if (event.candidate && io) {
-            io.to(roomId).emit('ice-candidate', {
-                candidate: event.candidate,
-                oderId: userId,
-                type: 'consumer'
-            });
+            io.to(consumerId).emit('ice-candidate', { roomId, userId, consumerId, candidate: event.candidate, type: 'consumer' });
         }
     };
 
@@ -165,125 +737,153 @@ app.post("/consumer", async ({ body }, res) => {
         if (peer.iceConnectionState === 'disconnected' ||
             peer.iceConnectionState === 'failed' ||
             peer.iceConnectionState === 'closed') {
-            removeConsumer(roomId, userId);
+            if (getConsumer(roomId, consumerId) === consumer) removeConsumer(roomId, consumerId);
         }
     };
 
-    const desc = new webrtc.RTCSessionDescription(sdp);
-    await peer.setRemoteDescription(desc);
-
-    const roomStreams = roomUserStreams.get(roomId);
-    const streamCount = roomStreams ? roomStreams.size : 0;
-    const streamKeys = roomStreams ? Array.from(roomStreams.keys()) : [];
-    console.log(`[CONSUME] Room ${roomId} has ${streamCount} stream(s): [${streamKeys.join(', ')}]`);
+    try {
+        const desc = new webrtc.RTCSessionDescription(sdp);
+        await peer.setRemoteDescription(desc);
+        await flushPendingCandidates(roomId, 'consumer', consumerId, peer);
 
-    // Build metadata about streams for the client
-    const streamMetadata = [];
+        const roomStreams = roomUserStreams.get(roomId);
+        const streamKeys = roomStreams ? Array.from(roomStreams.keys()) : [];
+        log.debug(`Room has ${streamKeys.length} stream(s)`, { roomId, streamKeys });
 
-    // Store the consuming user's ID for the loop
-    const consumerId = userId;
+        syncConsumerTracks(roomId, consumerId, consumer);
+        log.info(`Added ${consumer.senders.size} track(s) to consumer`, { roomId, userId, consumerId });
 
-    // Track which users we've already sent combined streams for
-    const sentCombinedFor = new Set();
+        const answer = await peer.createAnswer();
+        await peer.setLocalDescription(answer);
+    } catch (error) {
+        log.error('Consumer setup failed', { roomId, userId, consumerId, err: error });
+        removeConsumer(roomId, consumerId);
+        return res.status(500).json({ error: error.message });
+    }
 
-    if (roomStreams) {
-        let tracksAdded = 0;
+    // Return both SDP answer and stream metadata
+    res.json({
+        sdp: peer.localDescription,
+        streamMetadata: consumer.streamMetadata
+    });
 
-        // First pass: send combined "media" streams (audio + camera)
-        roomStreams.forEach((stream, streamKey) => {
-            const { userId: streamUserId, streamType } = parseStreamKey(streamKey);
+    // Streams that arrived while we were answering go out in a follow-up offer
+    consumer.negotiating = false;
+    if (consumer.needsRenegotiation) {
+        renegotiateConsumer(roomId, consumerId).catch(error =>
+            log.error('Consumer renegotiation failed', { roomId, userId, consumerId, err: error })
+        );
+    }
+});
 
-            // Don't send user's own streams back (prevents echo)
-            if (streamUserId === consumerId) {
-                console.log(`[CONSUME] Skipping own stream ${streamKey}`);
-                return;
-            }
+/**
+ * The client's answer to a server-initiated 'consumer-offer'
+ */
+router.post('/consumer-answer', async ({ body }, res) => {
+    const { sdp, roomId, userId, consumerId } = body;
+    const consumer = getConsumer(roomId, consumerId);
 
-            // For combined "media" streams, send them and mark user as handled
-            if (streamType === 'media') {
-                sentCombinedFor.add(streamUserId);
-
-                // Add metadata for this stream
-                streamMetadata.push({
-                    streamId: stream.id,
-                    oderId: streamUserId,
-                    streamType: 'media'
-                });
-
-                stream.getTracks().forEach(track => {
-                    console.log(`[CONSUME] Sending combined track from ${streamKey} to ${consumerId}: { kind: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState} }`);
-                    peer.addTrack(track, stream);
-                    tracksAdded++;
-                });
-            }
-        });
+    if (!consumer || consumer.userId !== userId || !consumer.negotiating) {
+        return res.status(409).json({ error: 'No renegotiation pending for this consumer' });
+    }
 
-        // Second pass: send screen shares and any standalone audio/camera (if no combined stream)
-        roomStreams.forEach((stream, streamKey) => {
-            const { userId: streamUserId, streamType } = parseStreamKey(streamKey);
+    try {
+        await consumer.peer.setRemoteDescription(new webrtc.RTCSessionDescription(sdp));
+    } catch (error) {
+        log.error('Failed to apply renegotiation answer', { roomId, userId, consumerId, err: error });
+        removeConsumer(roomId, consumerId);
+        return res.status(500).json({ error: error.message });
+    }
 
-            // Don't send user's own streams back
-            if (streamUserId === consumerId) {
-                return;
-            }
+    clearTimeout(consumer.answerTimer);
+    consumer.negotiating = false;
+    log.debug('Renegotiation completed', { roomId, userId, consumerId });
+    res.json({ success: true });
 
-            // Screen shares are always sent separately
-            if (streamType === 'screen') {
-                streamMetadata.push({
-                    streamId: stream.id,
-                    oderId: streamUserId,
-                    streamType: 'screen'
-                });
-
-                stream.getTracks().forEach(track => {
-                    console.log(`[CONSUME] Sending screen track from ${streamKey} to ${consumerId}: { kind: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState} }`);
-                    peer.addTrack(track, stream);
-                    tracksAdded++;
-                });
-            }
+    if (consumer.needsRenegotiation) {
+        renegotiateConsumer(roomId, consumerId).catch(error =>
+            log.error('Consumer renegotiation failed', { roomId, userId, consumerId, err: error })
+        );
+    }
+});
 
-            // Only send standalone main/camera if no combined stream exists for this user
-            if ((streamType === 'main' || streamType === 'camera') && !sentCombinedFor.has(streamUserId)) {
-                streamMetadata.push({
-                    streamId: stream.id,
-                    oderId: streamUserId,
-                    streamType
-                });
-
-                stream.getTracks().forEach(track => {
-                    console.log(`[CONSUME] Sending standalone track from ${streamKey} to ${consumerId}: { kind: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState} }`);
-                    peer.addTrack(track, stream);
-                    tracksAdded++;
-                });
-            }
-        });
+/**
+ * Change which streams a consumer receives, e.g. as the user scrolls the
+ * sidebar or pins someone.
+ * Body: { roomId, userId, consumerId, subscription: { audio, video, screen } } where each
+ * kind is an array of broadcaster userIds or 'all' (the default).
+ */
+router.post('/subscribe', async ({ body }, res) => {
+    const { roomId, userId, consumerId, subscription } = body;
+    if (!roomId || !userId || !consumerId || !subscription || typeof subscription !== 'object') {
+        return res.status(400).json({ error: 'roomId, userId, consumerId and subscription are required' });
+    }
 
-        console.log(`[CONSUME] Added ${tracksAdded} track(s) for ${consumerId}`);
-    } else {
-        console.log(`[CONSUME] WARNING: No streams in room ${roomId}`);
+    const consumer = getConsumer(roomId, consumerId);
+    let isOwnConnection;
+    try {
+        isOwnConnection = consumer ? consumer.userId === userId : await isUserConnection(roomId, userId, consumerId);
+    } catch (error) {
+        log.error('Could not look up the user\'s connections', { roomId, userId, consumerId, err: error });
+        return res.status(503).json({ error: 'Could not verify the connection, try again' });
+    }
+    if (!isOwnConnection) {
+        return res.status(403).json({ error: 'consumerId must be one of your socket connections' });
     }
 
-    const answer = await peer.createAnswer();
-    await peer.setLocalDescription(answer);
+    setSubscription(roomId, consumerId, userId, subscription);
 
-    // Return both SDP answer and stream metadata
-    res.json({
-        sdp: peer.localDescription,
-        streamMetadata
-    });
+    // Applied straight away if the connection is consuming, otherwise on its next /consumer
+    renegotiateConsumer(roomId, consumerId).catch(error =>
+        log.error('Consumer renegotiation failed', { roomId, userId, consumerId, err: error })
+    );
+
+    res.json({ success: true });
 });
 
+/**
+ * Throw a 403 error if the room's publish policy does not let the user publish
+ * one of the stream types (see roomsModule.canPublish)
+ */
+function assertCanPublish(roomId, userId, streamTypes) {
+    const denied = streamTypes.find(streamType => !roomsModule.canPublish(roomId, userId, streamType));
+    if (!denied) return;
+
+    log.warn(`Publishing ${denied} rejected by room policy`, { roomId, userId });
+    const error = new Error(`Not allowed to publish ${denied} in this room`);
+    error.status = 403;
+    throw error;
+}
+
+/**
+ * Whether an incoming track may be forwarded: its kind must be the one its
+ * stream type carries, and the room's publish policy must allow it
+ */
+function isAcceptableTrack(roomId, userId, streamType, track) {
+    if (STREAM_TRACK_KINDS[streamType] !== track.kind) {
+        log.warn(`Ignoring ${track.kind} track published as ${streamType}`, { roomId, userId });
+        return false;
+    }
+    if (!roomsModule.canPublish(roomId, userId, streamType)) {
+        log.warn(`Ignoring ${streamType} track rejected by room policy`, { roomId, userId });
+        return false;
+    }
+    return true;
+}
+
 /**
  * Generic broadcast handler - used by all stream type endpoints
  */
-async function handleBroadcast(sdp, roomId, userId, streamType) {
+async function handleBroadcast(sdp, roomId, userId, streamType, layers) {
+    assertCanPublish(roomId, userId, [streamType]);
+
     const streamKey = makeStreamKey(userId, streamType);
-    console.log(`[BROADCAST-${streamType.toUpperCase()}] ${userId} -> room ${roomId} (key: ${streamKey})`);
+    log.info(`Broadcasting ${streamType}`, { roomId, userId, streamKey });
 
     // Add to pending queue - consumers will wait for this to complete
     addToPendingBroadcast(roomId, streamKey);
 
-    const peer = new webrtc.RTCPeerConnection({ iceServers });
+    const peer = new webrtc.RTCPeerConnection({ iceServers: getIceServers('sfu').iceServers });
 
     // Track broadcaster peer connection by streamKey
     if (!broadcasterPeers.has(roomId)) {
@@ -298,16 +898,17 @@ async function handleBroadcast(sdp, roomId, userId, streamType) {
 
     broadcasterPeers.get(roomId).set(streamKey, peer);
 
+    // Simulcast: which transceiver (mid) carries which layer; the rest are the base layer
+    clearStreamLayers(roomId, streamKey);
+    const layerByMid = new Map();
+    (Array.isArray(layers) ? layers : []).forEach(({ mid, layer }) => {
+        if (mid !== undefined && simulcast.isLayerName(layer)) layerByMid.set(String(mid), layer);
+    });
+
     // Send ICE candidates to client via Socket.io
     peer.onicecandidate = (event) => {
-        if (event.candidate && io) {
-            io.to(roomId).emit('ice-candidate', {
-                candidate: event.candidate,
-                userId,
-                streamType,
-                streamKey,
-                type: 'broadcaster'
-            });
+        if (event.candidate) {
+            sendIceCandidate(roomId, userId, { candidate: event.candidate, streamType, streamKey, type: 'broadcaster' });
         }
     };
 
@@ -320,10 +921,19 @@ async function handleBroadcast(sdp, roomId, userId, streamType) {
         }
     };
 
-    peer.ontrack = (e) => handleTrackEvent(e, roomId, userId, streamType);
+    peer.ontrack = (e) => {
+        if (!isAcceptableTrack(roomId, userId, streamType, e.track)) return;
+        const layer = e.transceiver ? layerByMid.get(String(e.transceiver.mid)) : undefined;
+        if (layer && layer !== simulcast.BASE_LAYER) {
+            handleLayerTrack(e.track, roomId, userId, streamType, layer);
+        } else {
+            handleTrackEvent(e, roomId, userId, streamType);
+        }
+    };
 
     const desc = new webrtc.RTCSessionDescription(sdp);
     await peer.setRemoteDescription(desc);
+    await flushPendingCandidates(roomId, 'broadcaster', streamKey, peer);
     const answer = await peer.createAnswer();
     await peer.setLocalDescription(answer);
 
@@ -333,56 +943,228 @@ async function handleBroadcast(sdp, roomId, userId, streamType) {
 /**
  * Broadcast audio (main stream)
  */
-app.post('/broadcast-audio', async ({ body }, res) => {
+router.post('/broadcast-audio', async ({ body }, res) => {
     const { sdp, roomId, userId } = body;
     try {
         const result = await handleBroadcast(sdp, roomId, userId, 'main');
         res.json(result);
     } catch (error) {
-        console.error('[BROADCAST-AUDIO] Error:', error);
-        res.status(500).json({ error: error.message });
+        log.error('Audio broadcast failed', { roomId, userId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
  * Broadcast camera video
+ * Optional layers: [{ mid, layer }] marks simulcast transceivers (see simulcast.js)
  */
-app.post('/broadcast-camera', async ({ body }, res) => {
-    const { sdp, roomId, userId } = body;
+router.post('/broadcast-camera', async ({ body }, res) => {
+    const { sdp, roomId, userId, layers } = body;
     try {
-        const result = await handleBroadcast(sdp, roomId, userId, 'camera');
+        const result = await handleBroadcast(sdp, roomId, userId, 'camera', layers);
         res.json(result);
     } catch (error) {
-        console.error('[BROADCAST-CAMERA] Error:', error);
-        res.status(500).json({ error: error.message });
+        log.error('Camera broadcast failed', { roomId, userId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
  * Broadcast screen share video
+ * Optional layers: [{ mid, layer }] marks simulcast transceivers (see simulcast.js)
  */
-app.post('/broadcast-screen', async ({ body }, res) => {
-    const { sdp, roomId, userId } = body;
+router.post('/broadcast-screen', async ({ body }, res) => {
+    const { sdp, roomId, userId, layers } = body;
     try {
-        const result = await handleBroadcast(sdp, roomId, userId, 'screen');
+        const result = await handleBroadcast(sdp, roomId, userId, 'screen', layers);
         res.json(result);
     } catch (error) {
-        console.error('[BROADCAST-SCREEN] Error:', error);
-        res.status(500).json({ error: error.message });
+        log.error('Screen broadcast failed', { roomId, userId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 /**
  * Legacy broadcast endpoint - maps to 'main' stream type for backward compatibility
  */
-app.post('/broadcast', async ({ body }, res) => {
+router.post('/broadcast', async ({ body }, res) => {
     const { sdp, roomId, userId } = body;
-    console.log(`[BROADCAST-LEGACY] ${userId} -> room ${roomId} (using 'main' type)`);
+    log.info("Legacy broadcast (using 'main' type)", { roomId, userId });
     try {
         const result = await handleBroadcast(sdp, roomId, userId, 'main');
         res.json(result);
     } catch (error) {
-        console.error('[BROADCAST-LEGACY] Error:', error);
+        log.error('Legacy broadcast failed', { roomId, userId, err: error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+function getPublisher(roomId, userId) {
+    const roomPublishers = publisherPeers.get(roomId);
+    return (roomPublishers && roomPublishers.get(userId)) || null;
+}
+
+function closePublisher(roomId, userId) {
+    const roomPublishers = publisherPeers.get(roomId);
+    const publisher = roomPublishers && roomPublishers.get(userId);
+    if (!publisher) return;
+
+    try { publisher.peer.close(); } catch (_) { }
+    roomPublishers.delete(userId);
+    connectionQuality.clearPeer(roomId, userId, 'publisher');
+    log.info('Closed publisher peer', { roomId, userId });
+}
+
+/**
+ * Tear down a publisher and everything it carried: its streams (as /stop-stream
+ * does for each), any broadcasts still pending, and the peer itself
+ */
+function removePublisher(roomId, userId) {
+    const publisher = getPublisher(roomId, userId);
+    if (publisher) {
+        Array.from(publisher.streamTypes).forEach(streamType => removeStream(roomId, userId, streamType));
+    }
+    closePublisher(roomId, userId);
+    PUBLISH_STREAM_TYPES.forEach(streamType => removeFromPendingBroadcast(roomId, makeStreamKey(userId, streamType)));
+}
+
+/**
+ * Read the client's track mapping: [{ mid, streamType, layer? }] -> Map(mid -> { streamType, layer })
+ */
+function parseTrackMapping(tracks) {
+    const tracksByMid = new Map();
+    (Array.isArray(tracks) ? tracks : []).forEach(({ mid, streamType, layer }) => {
+        if (mid === undefined || mid === null || !PUBLISH_STREAM_TYPES.includes(streamType)) return;
+        tracksByMid.set(String(mid), {
+            streamType,
+            layer: simulcast.isLayerName(layer) ? layer : simulcast.BASE_LAYER
+        });
+    });
+    return tracksByMid;
+}
+
+/**
+ * Mid of the full-quality transceiver of each stream type in a mapping
+ */
+function baseMids(tracksByMid) {
+    const mids = new Map();
+    tracksByMid.forEach(({ streamType, layer }, mid) => {
+        if (layer === simulcast.BASE_LAYER && !mids.has(streamType)) mids.set(streamType, mid);
+    });
+    return mids;
+}
+
+/**
+ * Unified publish handler: one peer per user carries audio, camera and screen.
+ * The first offer from a client peer (new peerId) opens the server peer; later
+ * offers from it renegotiate as the user turns tracks on and off.
+ */
+async function handlePublish(sdp, roomId, userId, peerId, tracks) {
+    const tracksByMid = parseTrackMapping(tracks);
+    assertCanPublish(roomId, userId, Array.from(tracksByMid.values(), ({ streamType }) => streamType));
+
+    let publisher = getPublisher(roomId, userId);
+
+    if (publisher && publisher.peerId !== peerId) {
+        // The client started over with a new peer
+        closePublisher(roomId, userId);
+        publisher = null;
+    }
+
+    if (!publisher) {
+        log.info('Publisher connecting', { roomId, userId, peerId });
+        const peer = new webrtc.RTCPeerConnection({ iceServers: getIceServers('sfu').iceServers });
+        publisher = { peerId, peer, tracksByMid: new Map(), streamTypes: new Set() };
+
+        if (!publisherPeers.has(roomId)) {
+            publisherPeers.set(roomId, new Map());
+        }
+        publisherPeers.get(roomId).set(userId, publisher);
+
+        // Send ICE candidates to client via Socket.io
+        peer.onicecandidate = (event) => {
+            if (event.candidate) {
+                sendIceCandidate(roomId, userId, { candidate: event.candidate, type: 'publisher' });
+            }
+        };
+
+        // Auto-cleanup on disconnect: everything the peer carried goes away
+        const current = publisher;
+        peer.oniceconnectionstatechange = () => {
+            if (peer.iceConnectionState === 'disconnected' ||
+                peer.iceConnectionState === 'failed' ||
+                peer.iceConnectionState === 'closed') {
+                if (getPublisher(roomId, userId) !== current) return;
+                removePublisher(roomId, userId);
+            }
+        };
+
+        // Which stream a track belongs to comes from the mapping sent with the offer
+        peer.ontrack = (e) => {
+            const mid = e.transceiver ? String(e.transceiver.mid) : null;
+            const mapping = current.tracksByMid.get(mid);
+            if (!mapping) {
+                log.warn('Ignoring unmapped track', { roomId, userId, mid });
+                return;
+            }
+            if (!isAcceptableTrack(roomId, userId, mapping.streamType, e.track)) return;
+            if (mapping.layer !== simulcast.BASE_LAYER) {
+                handleLayerTrack(e.track, roomId, userId, mapping.streamType, mapping.layer);
+            } else {
+                handleTrackEvent(e, roomId, userId, mapping.streamType);
+            }
+        };
+    } else {
+        log.info('Publisher renegotiating', { roomId, userId });
+    }
+
+    // New or replaced stream types: consumers wait for them, old layers are dropped
+    const previousMids = baseMids(publisher.tracksByMid);
+    baseMids(tracksByMid).forEach((mid, streamType) => {
+        if (previousMids.get(streamType) === mid) return;
+        const streamKey = makeStreamKey(userId, streamType);
+        clearStreamLayers(roomId, streamKey);
+        addToPendingBroadcast(roomId, streamKey);
+    });
+
+    publisher.tracksByMid = tracksByMid;
+    tracksByMid.forEach(({ streamType }) => publisher.streamTypes.add(streamType));
+
+    const peer = publisher.peer;
+    await peer.setRemoteDescription(new webrtc.RTCSessionDescription(sdp));
+    await flushPendingCandidates(roomId, 'publisher', userId, peer);
+    const answer = await peer.createAnswer();
+    await peer.setLocalDescription(answer);
+
+    const streamKeys = {};
+    publisher.streamTypes.forEach(streamType => {
+        streamKeys[streamType] = makeStreamKey(userId, streamType);
+    });
+
+    return { sdp: peer.localDescription, streamKeys };
+}
+
+/**
+ * Publish all of a user's tracks over one peer connection
+ * Body: { sdp, roomId, userId, peerId, tracks: [{ mid, streamType, layer? }] } where
+ * streamType is 'main', 'camera' or 'screen' and layer marks simulcast copies.
+ * Send a new offer with the same peerId whenever tracks are added or removed;
+ * stop a stream type with /stop-stream as before.
+ */
+router.post('/publish', async ({ body }, res) => {
+    const { sdp, roomId, userId, peerId, tracks } = body;
+    if (!sdp || !roomId || !userId || !peerId) {
+        return res.status(400).json({ error: 'sdp, roomId, userId and peerId are required' });
+    }
+
+    try {
+        const result = await handlePublish(sdp, roomId, userId, peerId, tracks);
+        res.json(result);
+    } catch (error) {
+        // A rejected offer leaves what the user already publishes alone
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        log.error('Publish failed', { roomId, userId, err: error });
+        removePublisher(roomId, userId);
         res.status(500).json({ error: error.message });
     }
 });
@@ -390,9 +1172,9 @@ app.post('/broadcast', async ({ body }, res) => {
 /**
  * Stop a specific stream type
  */
-app.post('/stop-stream', async ({ body }, res) => {
+router.post('/stop-stream', async ({ body }, res) => {
     const { roomId, userId, streamType } = body;
-    console.log(`[STOP-STREAM] ${userId} stopped ${streamType} in room ${roomId}`);
+    log.info(`Stopped ${streamType}`, { roomId, userId });
 
     removeStream(roomId, userId, streamType);
 
@@ -402,9 +1184,9 @@ app.post('/stop-stream', async ({ body }, res) => {
 /**
  * Legacy stop-broadcast endpoint - stops all streams for user
  */
-app.post('/stop-broadcast', async ({ body }, res) => {
+router.post('/stop-broadcast', async ({ body }, res) => {
     const { roomId, userId } = body;
-    console.log(`[STOP-BROADCAST] ${userId} stopped all broadcasting in room ${roomId}`);
+    log.info('Stopped all broadcasting', { roomId, userId });
 
     // Remove all stream types for this user
     ['main', 'screen', 'camera'].forEach(streamType => {
@@ -415,9 +1197,9 @@ app.post('/stop-broadcast', async ({ body }, res) => {
 });
 
 // Mute status notification - no re-broadcast needed, just notify other users
-app.post('/mute-status', async ({ body }, res) => {
+router.post('/mute-status', async ({ body }, res) => {
     const { roomId, userId, kind, muted } = body;
-    console.log(`[MUTE-STATUS] ${userId} ${kind} ${muted ? 'muted' : 'unmuted'} in room ${roomId}`);
+    log.info(`${kind} ${muted ? 'muted' : 'unmuted'}`, { roomId, userId });
 
     // Notify other users in the room about mute status change
     if (io) {
@@ -427,9 +1209,9 @@ app.post('/mute-status', async ({ body }, res) => {
 });
 
 // Request remote user to stop screen share
-app.post('/request-stop-screenshare', async ({ body }, res) => {
+router.post('/request-stop-screenshare', async ({ body }, res) => {
     const { roomId, targetUserId, requesterId } = body;
-    console.log(`[STOP-SCREENSHARE-REQUEST] ${requesterId} requested ${targetUserId} to stop screen share in room ${roomId}`);
+    log.info('Requested screen share stop', { roomId, userId: requesterId, targetUserId });
 
     if (io) {
         io.to(roomId).emit('stop-screenshare-request', {
@@ -447,7 +1229,7 @@ function addToPendingBroadcast(roomId, streamKey) {
         pendingBroadcasts.set(roomId, new Set());
     }
     pendingBroadcasts.get(roomId).add(streamKey);
-    console.log(`[QUEUE] Added ${streamKey} to pending broadcasts in room ${roomId}`);
+    log.debug('Added to pending broadcasts', { roomId, streamKey });
 }
 
 // Remove streamKey from pending broadcast queue and notify waiters
@@ -455,7 +1237,7 @@ function removeFromPendingBroadcast(roomId, streamKey) {
     const pending = pendingBroadcasts.get(roomId);
     if (pending) {
         pending.delete(streamKey);
-        console.log(`[QUEUE] Removed ${streamKey} from pending broadcasts in room ${roomId}`);
+        log.debug('Removed from pending broadcasts', { roomId, streamKey });
 
         // If queue is empty, resolve all waiters
         if (pending.size === 0) {
@@ -463,7 +1245,7 @@ function removeFromPendingBroadcast(roomId, streamKey) {
             if (waiters) {
                 waiters.forEach(resolve => resolve());
                 broadcastWaiters.delete(roomId);
-                console.log(`[QUEUE] Room ${roomId} queue empty, notified waiters`);
+                log.debug('Pending broadcasts done, notified waiters', { roomId });
             }
         }
     }
@@ -481,7 +1263,7 @@ function waitForPendingBroadcasts(roomId) {
             broadcastWaiters.set(roomId, []);
         }
         broadcastWaiters.get(roomId).push(resolve);
-        console.log(`[QUEUE] Consumer waiting for ${pending.size} pending broadcasts in room ${roomId}`);
+        log.debug(`Consumer waiting for ${pending.size} pending broadcast(s)`, { roomId });
 
         // Safety timeout: if pending broadcasts never complete (e.g. broadcaster peer
         // dropped before ontrack fired), unblock after 5s so consumer is not stuck forever
@@ -491,7 +1273,7 @@ function waitForPendingBroadcasts(roomId) {
                 const idx = waiters.indexOf(resolve);
                 if (idx !== -1) {
                     waiters.splice(idx, 1);
-                    console.warn(`[QUEUE] Timed out waiting for pending broadcasts in room ${roomId} — unblocking consumer`);
+                    log.warn('Timed out waiting for pending broadcasts — unblocking consumer', { roomId, pending });
                     resolve();
                 }
             }
@@ -512,7 +1294,7 @@ function getCombinedStream(roomId, userId) {
         // Create a new MediaStream for combining audio + camera
         const combinedStream = new webrtc.MediaStream();
         userStreams.set(userId, combinedStream);
-        console.log(`[COMBINED] Created new combined stream for ${userId} in room ${roomId}`);
+        log.debug('Created combined stream', { roomId, userId });
     }
 
     return userStreams.get(userId);
@@ -528,19 +1310,19 @@ function addToCombinedStream(roomId, userId, track) {
     if (track.kind === 'video') {
         combinedStream.getVideoTracks().forEach(t => {
             combinedStream.removeTrack(t);
-            console.log(`[COMBINED] Removed old video track from ${userId}'s combined stream`);
+            log.debug('Removed old video track from combined stream', { roomId, userId });
         });
     }
     if (track.kind === 'audio') {
         combinedStream.getAudioTracks().forEach(t => {
             combinedStream.removeTrack(t);
-            console.log(`[COMBINED] Removed old audio track from ${userId}'s combined stream`);
+            log.debug('Removed old audio track from combined stream', { roomId, userId });
         });
     }
 
     // Add the new track
     combinedStream.addTrack(track);
-    console.log(`[COMBINED] Added ${track.kind} track to ${userId}'s combined stream`);
+    log.debug(`Added ${track.kind} track to combined stream`, { roomId, userId });
 
     // Store the combined stream in roomUserStreams for consumers to access
     const combinedKey = makeStreamKey(userId, 'media');
@@ -552,7 +1334,7 @@ function addToCombinedStream(roomId, userId, track) {
     // Log combined stream status
     const audioTracks = combinedStream.getAudioTracks().length;
     const videoTracks = combinedStream.getVideoTracks().length;
-    console.log(`[COMBINED] ${userId}'s combined stream now has ${audioTracks} audio, ${videoTracks} video tracks`);
+    log.debug('Combined stream updated', { roomId, userId, audioTracks, videoTracks });
 
     return combinedStream;
 }
@@ -571,13 +1353,13 @@ function removeFromCombinedStream(roomId, userId, trackKind) {
         combinedStream.getVideoTracks().forEach(t => {
             combinedStream.removeTrack(t);
         });
-        console.log(`[COMBINED] Removed video from ${userId}'s combined stream`);
+        log.debug('Removed video from combined stream', { roomId, userId });
     }
     if (trackKind === 'audio') {
         combinedStream.getAudioTracks().forEach(t => {
             combinedStream.removeTrack(t);
         });
-        console.log(`[COMBINED] Removed audio from ${userId}'s combined stream`);
+        log.debug('Removed audio from combined stream', { roomId, userId });
     }
 
     // If combined stream is empty, remove it entirely
@@ -588,7 +1370,7 @@ function removeFromCombinedStream(roomId, userId, trackKind) {
         if (roomStreams) {
             roomStreams.delete(combinedKey);
         }
-        console.log(`[COMBINED] Removed empty combined stream for ${userId}`);
+        log.debug('Removed empty combined stream', { roomId, userId });
     }
 }
 
@@ -597,7 +1379,7 @@ function handleTrackEvent(e, roomId, userId, streamType) {
     const track = e.track;
     const streamKey = makeStreamKey(userId, streamType);
 
-    console.log(`[TRACK] Received from ${streamKey}: { kind: ${track.kind}, enabled: ${track.enabled}, readyState: ${track.readyState} }`);
+    log.info('Track received', { roomId, userId, streamKey, kind: track.kind, enabled: track.enabled, readyState: track.readyState });
 
     if (!roomUserStreams.has(roomId)) {
         roomUserStreams.set(roomId, new Map());
@@ -611,19 +1393,27 @@ function handleTrackEvent(e, roomId, userId, streamType) {
         addToCombinedStream(roomId, userId, track);
     }
 
+    // Microphones feed active speaker detection
+    if (streamType === 'main' && track.kind === 'audio') {
+        activeSpeaker.trackAudio(roomId, userId, track);
+    }
+
     // Log current streams in room
     const streamCount = roomUserStreams.get(roomId).size;
     const streamKeys = Array.from(roomUserStreams.get(roomId).keys());
-    console.log(`[TRACK] Room ${roomId} now has ${streamCount} stream(s): [${streamKeys.join(', ')}]`);
+    log.debug(`Room now has ${streamCount} stream(s)`, { roomId, streamKeys });
 
     // Remove from pending queue - broadcast is complete
     removeFromPendingBroadcast(roomId, streamKey);
 
+    // Hand the new track to everyone already consuming
+    renegotiateRoomConsumers(roomId, userId);
+
     // Notify other users in the room about the new stream
     if (io) {
         const room = io.sockets.adapter.rooms.get(roomId);
         const socketsInRoom = room ? room.size : 0;
-        console.log(`[TRACK] Emitting 'new-stream' for ${streamKey} to ${socketsInRoom} socket(s) in room ${roomId}`);
+        log.debug(`Emitting 'new-stream' to ${socketsInRoom} socket(s)`, { roomId, streamKey });
         io.to(roomId).emit('new-stream', {
             roomId,
             userId,
@@ -637,6 +1427,27 @@ function handleTrackEvent(e, roomId, userId, streamType) {
     sfuEvents.emit('new-stream', { roomId, userId, streamType, streamKey, stream });
 }
 
+/**
+ * A lower simulcast layer of a camera / screen stream arrived: keep it for
+ * consumers with small tiles or little bandwidth
+ */
+function handleLayerTrack(track, roomId, userId, streamType, layer) {
+    const streamKey = makeStreamKey(userId, streamType);
+    log.info(`Received ${layer} layer`, { roomId, userId, streamKey });
+
+    if (!streamLayers.has(roomId)) {
+        streamLayers.set(roomId, new Map());
+    }
+    const roomLayers = streamLayers.get(roomId);
+    if (!roomLayers.has(streamKey)) {
+        roomLayers.set(streamKey, new Map());
+    }
+    roomLayers.get(streamKey).set(layer, track);
+
+    // Consumers that should be on this layer switch over
+    renegotiateRoomConsumers(roomId, userId);
+}
+
 function destroyRoomStreams(roomId) {
     if (roomUserStreams.has(roomId)) {
         roomUserStreams.delete(roomId);
@@ -653,11 +1464,35 @@ function destroyRoomStreams(roomId) {
         });
         broadcasterPeers.delete(roomId);
     }
+    const roomPublishers = publisherPeers.get(roomId);
+    if (roomPublishers) {
+        roomPublishers.forEach((publisher) => {
+            try { publisher.peer.close(); } catch (_) { }
+        });
+        publisherPeers.delete(roomId);
+    }
+    consumerSubscriptions.delete(roomId);
+    streamLayers.delete(roomId);
+    const roomReduced = reducedTracks.get(roomId);
+    if (roomReduced) {
+        roomReduced.forEach(reduced => reduced.stop());
+        reducedTracks.delete(roomId);
+    }
+    activeSpeaker.clearRoom(roomId);
+    connectionQuality.clearRoom(roomId);
+    pendingCandidates.forEach((pending, pendingKey) => {
+        if (pendingKey.startsWith(`${roomId}|`)) {
+            clearTimeout(pending.timer);
+            pendingCandidates.delete(pendingKey);
+        }
+    });
+
     // Close all consumer peer connections for this room
     const roomConsumers = consumerPeers.get(roomId);
     if (roomConsumers) {
-        roomConsumers.forEach((peer) => {
-            try { peer.close(); } catch (_) { }
+        roomConsumers.forEach((consumer) => {
+            clearTimeout(consumer.answerTimer);
+            try { consumer.peer.close(); } catch (_) { }
         });
         consumerPeers.delete(roomId);
     }
@@ -673,6 +1508,7 @@ function removeStream(roomId, userId, streamType) {
     if (roomStreams) {
         roomStreams.delete(streamKey);
     }
+    clearStreamLayers(roomId, streamKey);
 
     // Close broadcaster peer connection for this stream
     const roomBroadcasters = broadcasterPeers.get(roomId);
@@ -684,13 +1520,23 @@ function removeStream(roomId, userId, streamType) {
         }
     }
 
+    // A unified publisher stays open while it still carries other stream types
+    const publisher = getPublisher(roomId, userId);
+    if (publisher && publisher.streamTypes.delete(streamType) && publisher.streamTypes.size === 0) {
+        closePublisher(roomId, userId);
+    }
+
     // For audio (main) and camera streams, also remove from combined stream
     if (streamType === 'main') {
         removeFromCombinedStream(roomId, userId, 'audio');
+        activeSpeaker.untrackAudio(roomId, userId);
     } else if (streamType === 'camera') {
         removeFromCombinedStream(roomId, userId, 'video');
     }
 
+    // Take the stopped tracks off everyone's consumer peer
+    renegotiateRoomConsumers(roomId, userId);
+
     // Notify other users in the room that stream stopped
     if (io) {
         io.to(roomId).emit('stream-stopped', {
@@ -704,7 +1550,31 @@ function removeStream(roomId, userId, streamType) {
     // Emit internal event for server-side recording
     sfuEvents.emit('stream-stopped', { roomId, userId, streamType, streamKey });
 
-    console.log(`[REMOVE-STREAM] Removed ${streamKey} from room ${roomId}`);
+    log.info('Removed stream', { roomId, userId, streamKey });
+}
+
+/**
+ * Stop the camera and screen streams of users the room's publish policy no
+ * longer allows (policy changed, approval revoked, role taken away)
+ * @returns {number} How many streams were removed
+ */
+function enforcePublishPolicy(roomId) {
+    const streams = new Set();
+    (roomUserStreams.get(roomId) || new Map()).forEach((_, streamKey) => streams.add(streamKey));
+    (broadcasterPeers.get(roomId) || new Map()).forEach((_, streamKey) => streams.add(streamKey));
+    (publisherPeers.get(roomId) || new Map()).forEach(({ streamTypes }, userId) => {
+        streamTypes.forEach(streamType => streams.add(makeStreamKey(userId, streamType)));
+    });
+
+    let removed = 0;
+    streams.forEach(streamKey => {
+        const { userId, streamType } = parseStreamKey(streamKey);
+        if (roomsModule.canPublish(roomId, userId, streamType)) return;
+        log.info(`Stopping ${streamType} — no longer allowed to publish`, { roomId, userId, streamKey });
+        removeStream(roomId, userId, streamType);
+        removed++;
+    });
+    return removed;
 }
 
 /**
@@ -714,47 +1584,144 @@ function removeUserStreams(roomId, userId) {
     ['main', 'screen', 'camera'].forEach(streamType => {
         removeStream(roomId, userId, streamType);
     });
+    closePublisher(roomId, userId);
 
     // Also clean up combined stream entry directly
     const userStreams = roomCombinedStreams.get(roomId);
     if (userStreams) {
         userStreams.delete(userId);
     }
+
+    // Forget what the user's connections were subscribed to
+    const roomSubscriptions = consumerSubscriptions.get(roomId);
+    if (roomSubscriptions) {
+        roomSubscriptions.forEach((subscription, consumerId) => {
+            if (subscription.userId === userId) roomSubscriptions.delete(consumerId);
+        });
+    }
+    connectionQuality.clearUser(roomId, userId);
 }
 
-function removeConsumer(roomId, oderId) {
+function removeConsumer(roomId, consumerId) {
     const roomConsumers = consumerPeers.get(roomId);
     if (roomConsumers) {
-        const peer = roomConsumers.get(oderId);
-        if (peer) {
-            try { peer.close(); } catch (_) { }
-            roomConsumers.delete(oderId);
+        const consumer = roomConsumers.get(consumerId);
+        if (consumer) {
+            clearTimeout(consumer.answerTimer);
+            try { consumer.peer.close(); } catch (_) { }
+            roomConsumers.delete(consumerId);
+        }
+    }
+}
+
+/**
+ * Close every consumer a user has open in the room (e.g. when they are kicked)
+ */
+function removeUserConsumers(roomId, userId) {
+    getUserConsumerIds(roomId, userId).forEach(consumerId => removeConsumer(roomId, consumerId));
+}
+
+/**
+ * Send one of our ICE candidates to the sockets of the user owning the peer
+ */
+function sendIceCandidate(roomId, userId, data) {
+    if (io) {
+        io.to(userRoom(roomId, userId)).emit('ice-candidate', { roomId, userId, ...data });
+    }
+}
+
+function pendingCandidateKey(roomId, type, key) {
+    return `${roomId}|${type}|${key}`;
+}
+
+/**
+ * Hold a client candidate until its peer has a remote description
+ */
+function bufferCandidate(roomId, type, key, candidate) {
+    const pendingKey = pendingCandidateKey(roomId, type, key);
+    let pending = pendingCandidates.get(pendingKey);
+    if (!pending) {
+        pending = {
+            candidates: [],
+            timer: setTimeout(() => pendingCandidates.delete(pendingKey), PENDING_CANDIDATE_TTL_MS)
+        };
+        pending.timer.unref();
+        pendingCandidates.set(pendingKey, pending);
+    }
+    if (pending.candidates.length >= MAX_PENDING_CANDIDATES) {
+        log.warn(`Too many buffered candidates for ${type} — dropping`, { roomId, key });
+        return;
+    }
+    pending.candidates.push(candidate);
+}
+
+/**
+ * Add the candidates that arrived before this peer's remote description was set
+ */
+async function flushPendingCandidates(roomId, type, key, peer) {
+    const pendingKey = pendingCandidateKey(roomId, type, key);
+    const pending = pendingCandidates.get(pendingKey);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingCandidates.delete(pendingKey);
+
+    for (const candidate of pending.candidates) {
+        try {
+            await peer.addIceCandidate(new webrtc.RTCIceCandidate(candidate));
+        } catch (error) {
+            log.error(`Error adding buffered candidate for ${type}`, { roomId, key, err: error });
         }
     }
+    log.debug(`Added ${pending.candidates.length} buffered candidate(s) for ${type}`, { roomId, key });
 }
 
+/**
+ * A client's ICE candidate for one of its own peers. The caller has checked
+ * that oderId is the sender (and owns streamKey for 'broadcaster'); for
+ * 'consumer', streamKey is the sending socket's id (see /consumer).
+ */
 async function addIceCandidate(roomId, oderId, candidate, type, streamKey) {
+    if (!candidate) return;
+
     let peer = null;
+    let key = oderId;
 
     if (type === 'broadcaster' && streamKey) {
+        // Only the sender's own main/camera/screen streams can have a peer
+        const { streamType } = parseStreamKey(streamKey);
+        if (!PUBLISH_STREAM_TYPES.includes(streamType) || streamKey !== makeStreamKey(oderId, streamType)) return;
+        key = streamKey;
         const roomBroadcasters = broadcasterPeers.get(roomId);
         if (roomBroadcasters) {
             peer = roomBroadcasters.get(streamKey);
         }
-    } else if (type === 'consumer') {
-        const roomConsumers = consumerPeers.get(roomId);
-        if (roomConsumers) {
-            peer = roomConsumers.get(oderId);
+    } else if (type === 'publisher') {
+        const publisher = getPublisher(roomId, oderId);
+        if (publisher) {
+            peer = publisher.peer;
         }
+    } else if (type === 'consumer' && streamKey) {
+        key = streamKey;
+        const consumer = getConsumer(roomId, streamKey);
+        if (consumer && consumer.userId === oderId) {
+            peer = consumer.peer;
+        }
+    } else {
+        return;
     }
 
-    if (peer && candidate) {
-        try {
-            await peer.addIceCandidate(new webrtc.RTCIceCandidate(candidate));
-            console.log(`[ICE] Added candidate for ${type} ${streamKey || oderId}`);
-        } catch (error) {
-            console.error('[ICE] Error adding ICE candidate:', error);
-        }
+    // Trickled ahead of the offer: keep it until the peer is ready
+    if (!peer || !peer.remoteDescription) {
+        bufferCandidate(roomId, type, key, candidate);
+        return;
+    }
+
+    try {
+        await peer.addIceCandidate(new webrtc.RTCIceCandidate(candidate));
+        log.debug(`Added candidate for ${type}`, { roomId, key });
+    } catch (error) {
+        log.error(`Error adding candidate for ${type}`, { roomId, key, err: error });
     }
 }
 
@@ -763,7 +1730,7 @@ async function addIceCandidate(roomId, oderId, candidate, type, streamKey) {
  * Lightweight endpoint — returns stream counts so the client can provision
  * the right number of WebRTC transceivers without guessing.
  */
-app.get('/room-streams/:roomId', (req, res) => {
+router.get('/room-streams/:roomId', (req, res) => {
     const { roomId } = req.params;
     const roomStreams = roomUserStreams.get(roomId);
 
@@ -789,27 +1756,334 @@ app.get('/room-streams/:roomId', (req, res) => {
     });
 });
 
+/**
+ * Bitrate (bps) a peer received ('in') or sent ('out') since the same reader
+ * last measured it. Readers keep separate baselines, so a scrape does not
+ * shorten the window of an admin dashboard (or the other way round).
+ */
+async function measurePeerBitrate(peer, direction, reader) {
+    const statType = direction === 'in' ? 'inbound-rtp' : 'outbound-rtp';
+    const field = direction === 'in' ? 'bytesReceived' : 'bytesSent';
+
+    let bytes = 0;
+    try {
+        const report = await peer.getStats();
+        report.forEach(stat => {
+            if (stat.type === statType) bytes += stat[field] || 0;
+        });
+    } catch (_) {
+        return 0;
+    }
+
+    const now = Date.now();
+    if (!peerByteCounts.has(peer)) peerByteCounts.set(peer, new Map());
+    const readerCounts = peerByteCounts.get(peer);
+    const previous = readerCounts.get(reader);
+    readerCounts.set(reader, { bytes, at: now });
+    if (!previous || now <= previous.at || bytes < previous.bytes) return 0;
+    return Math.round((bytes - previous.bytes) * 8 / ((now - previous.at) / 1000));
+}
+
+/**
+ * This node's media, per room: streams, peers by kind, ICE states, and the
+ * bitrate coming in from publishers and going out to consumers
+ * @param {string} reader - Stats endpoint asking (see measurePeerBitrate)
+ * @returns {Promise<Object>} roomId -> { streams, publishers, broadcasters, consumers, iceStates, bitrateIn, bitrateOut }
+ */
+async function getStats(reader) {
+    const roomIds = new Set([
+        ...roomUserStreams.keys(),
+        ...broadcasterPeers.keys(),
+        ...publisherPeers.keys(),
+        ...consumerPeers.keys()
+    ]);
+    const rooms = {};
+
+    await Promise.all(Array.from(roomIds).map(async roomId => {
+        const iceStates = {};
+        const incoming = [];
+        const outgoing = [];
+        const addPeer = (peer, rates, direction) => {
+            iceStates[peer.iceConnectionState] = (iceStates[peer.iceConnectionState] || 0) + 1;
+            if (peer.iceConnectionState !== 'closed') rates.push(measurePeerBitrate(peer, direction, reader));
+        };
+
+        const roomBroadcasters = broadcasterPeers.get(roomId) || new Map();
+        const roomPublishers = publisherPeers.get(roomId) || new Map();
+        const roomConsumers = consumerPeers.get(roomId) || new Map();
+        roomBroadcasters.forEach(peer => addPeer(peer, incoming, 'in'));
+        roomPublishers.forEach(({ peer }) => addPeer(peer, incoming, 'in'));
+        roomConsumers.forEach(({ peer }) => addPeer(peer, outgoing, 'out'));
+
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        const roomStreams = roomUserStreams.get(roomId);
+        rooms[roomId] = {
+            streams: roomStreams ? roomStreams.size : 0,
+            publishers: roomPublishers.size,
+            broadcasters: roomBroadcasters.size,
+            consumers: roomConsumers.size,
+            iceStates,
+            bitrateIn: sum(await Promise.all(incoming)),
+            bitrateOut: sum(await Promise.all(outgoing))
+        };
+    }));
+
+    return rooms;
+}
+
+/**
+ * Users whose media may stay: connected to the room on any node, or holding
+ * their seat while they reconnect
+ * @returns {Promise<Function>} userId -> boolean
+ */
+async function getLiveUserCheck(roomId) {
+    const connected = new Set();
+    socketConnections.forEach(connection => {
+        if (connection.roomId === roomId) connected.add(connection.userId);
+    });
+    if (cluster.isClustered() && io) {
+        const sockets = await io.in(roomId).fetchSockets();
+        sockets.forEach(socket => {
+            if (socket.data && socket.data.session) connected.add(socket.data.session.userId);
+        });
+    }
+    return (userId) => connected.has(userId) || !!roomsModule.getReconnectDeadline(roomId, userId);
+}
+
+function isStalePeer(peer) {
+    return STALE_ICE_STATES.includes(peer.iceConnectionState);
+}
+
+/**
+ * Drop a user's combined stream once neither of its parts is left
+ */
+function removeCombinedStream(roomId, userId) {
+    const userStreams = roomCombinedStreams.get(roomId);
+    if (userStreams) userStreams.delete(userId);
+
+    const streamKey = makeStreamKey(userId, 'media');
+    const roomStreams = roomUserStreams.get(roomId);
+    if (roomStreams) roomStreams.delete(streamKey);
+
+    if (io) {
+        io.to(roomId).emit('stream-stopped', { roomId, userId, streamType: 'media', streamKey });
+    }
+    sfuEvents.emit('stream-stopped', { roomId, userId, streamType: 'media', streamKey });
+}
+
+/**
+ * Everything the sweeper would clean in a room right now:
+ * [{ kind, key, userId, streamKey?, target, reason, clean }] where target is the entry
+ * itself, so a replaced entry is not mistaken for the one seen last sweep
+ */
+function findOrphans(roomId, isLive) {
+    const orphans = [];
+    const roomStreams = roomUserStreams.get(roomId) || new Map();
+    const roomBroadcasters = broadcasterPeers.get(roomId) || new Map();
+    const roomPublishers = publisherPeers.get(roomId) || new Map();
+    const roomConsumers = consumerPeers.get(roomId) || new Map();
+    const userStreams = roomCombinedStreams.get(roomId) || new Map();
+    const pending = pendingBroadcasts.get(roomId) || new Set();
+
+    // Whether a stream still has a peer that can feed it
+    const hasSource = (userId, streamKey) => roomBroadcasters.has(streamKey) || roomPublishers.has(userId);
+
+    roomBroadcasters.forEach((peer, streamKey) => {
+        const { userId, streamType } = parseStreamKey(streamKey);
+        const reason = !isLive(userId) ? 'user gone' : isStalePeer(peer) ? 'never connected' : null;
+        if (!reason) return;
+        orphans.push({
+            kind: 'broadcasters', key: streamKey, userId, streamKey, target: peer, reason,
+            clean: () => {
+                removeStream(roomId, userId, streamType);
+                removeFromPendingBroadcast(roomId, streamKey);
+            }
+        });
+    });
+
+    roomPublishers.forEach((publisher, userId) => {
+        const reason = !isLive(userId) ? 'user gone' : isStalePeer(publisher.peer) ? 'never connected' : null;
+        if (!reason) return;
+        orphans.push({
+            kind: 'publishers', key: userId, userId, target: publisher, reason,
+            clean: () => removePublisher(roomId, userId)
+        });
+    });
+
+    roomConsumers.forEach((consumer, consumerId) => {
+        const { userId } = consumer;
+        const reason = !isLive(userId) ? 'user gone' : isStalePeer(consumer.peer) ? 'never connected' : null;
+        if (!reason) return;
+        orphans.push({
+            kind: 'consumers', key: consumerId, userId, target: consumer, reason,
+            clean: () => removeConsumer(roomId, consumerId)
+        });
+    });
+
+    roomStreams.forEach((stream, streamKey) => {
+        const { userId, streamType } = parseStreamKey(streamKey);
+        if (streamType === 'media') return;
+        const reason = !isLive(userId) ? 'user gone' : !hasSource(userId, streamKey) ? 'no peer' : null;
+        if (!reason) return;
+        orphans.push({
+            kind: 'streams', key: streamKey, userId, streamKey, target: stream, reason,
+            clean: () => removeStream(roomId, userId, streamType)
+        });
+    });
+
+    userStreams.forEach((combinedStream, userId) => {
+        const hasParts = ['main', 'camera'].some(streamType => roomStreams.has(makeStreamKey(userId, streamType)));
+        if (hasParts && isLive(userId)) return;
+        orphans.push({
+            kind: 'combinedStreams', key: userId, userId, target: combinedStream, reason: hasParts ? 'user gone' : 'no parts',
+            clean: () => removeCombinedStream(roomId, userId)
+        });
+    });
+
+    pending.forEach(streamKey => {
+        const { userId } = parseStreamKey(streamKey);
+        if (hasSource(userId, streamKey)) return;
+        orphans.push({
+            kind: 'pendingBroadcasts', key: streamKey, userId, streamKey, target: streamKey, reason: 'no peer',
+            clean: () => removeFromPendingBroadcast(roomId, streamKey)
+        });
+    });
+
+    return orphans;
+}
+
+/**
+ * Whether an orphan found last sweep is still there, unchanged
+ */
+function isSameEntry(roomId, { kind, key, target }) {
+    switch (kind) {
+        case 'broadcasters': return (broadcasterPeers.get(roomId) || new Map()).get(key) === target;
+        case 'publishers': return getPublisher(roomId, key) === target;
+        case 'consumers': return getConsumer(roomId, key) === target;
+        case 'streams': return (roomUserStreams.get(roomId) || new Map()).get(key) === target;
+        case 'combinedStreams': return (roomCombinedStreams.get(roomId) || new Map()).get(key) === target;
+        case 'pendingBroadcasts': return (pendingBroadcasts.get(roomId) || new Set()).has(key);
+        default: return false;
+    }
+}
+
+/**
+ * Reconcile the SFU's peers and streams against the room's live sockets.
+ * Cleanup normally happens on ICE state changes and when users leave; this
+ * catches what those miss (a peer that never connects, a stream whose socket
+ * is gone). An entry is only cleaned once two sweeps in a row found it
+ * orphaned, so users who are joining or reconnecting are left alone.
+ */
+async function sweepOrphans() {
+    const roomIds = new Set([
+        ...roomUserStreams.keys(),
+        ...roomCombinedStreams.keys(),
+        ...broadcasterPeers.keys(),
+        ...publisherPeers.keys(),
+        ...consumerPeers.keys(),
+        ...pendingBroadcasts.keys()
+    ]);
+    const suspects = new Map();
+    const cleaned = {};
+
+    for (const roomId of roomIds) {
+        let isLive;
+        try {
+            isLive = await getLiveUserCheck(roomId);
+        } catch (error) {
+            // Without a reliable list of sockets nothing in the room counts as orphaned
+            log.warn('Sweep skipped — could not list sockets', { roomId, err: error });
+            continue;
+        }
+
+        findOrphans(roomId, isLive).forEach(orphan => {
+            const id = `${roomId}|${orphan.kind}|${orphan.key}`;
+            if (sweepSuspects.get(id) !== orphan.target) {
+                suspects.set(id, orphan.target);
+                return;
+            }
+            if (!isSameEntry(roomId, orphan)) return;
+
+            orphan.clean();
+            cleaned[orphan.kind] = (cleaned[orphan.kind] || 0) + 1;
+            sweptCounts[orphan.kind]++;
+            log.info(`Sweeper cleaned orphaned ${orphan.kind} entry`, {
+                roomId,
+                userId: orphan.userId,
+                streamKey: orphan.streamKey,
+                reason: orphan.reason
+            });
+        });
+    }
+
+    sweepSuspects = suspects;
+    const total = Object.values(cleaned).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+        log.info(`Sweep cleaned ${total} orphaned entr${total === 1 ? 'y' : 'ies'}`, { cleaned });
+    }
+    return cleaned;
+}
+
+/**
+ * What the sweeper has cleaned on this node since it started, by kind
+ */
+function getSweepStats() {
+    return { ...sweptCounts };
+}
+
+let sweeping = false;
+setInterval(() => {
+    if (sweeping) return;
+    sweeping = true;
+    sweepOrphans()
+        .catch(error => log.error('Sweep failed', { err: error }))
+        .finally(() => { sweeping = false; });
+}, SWEEP_INTERVAL_MS).unref();
+
+// Follow each consumer's bandwidth estimate and move it between simulcast layers,
+// and stop reduced frame rate copies nobody receives any more
+setInterval(() => {
+    reducedTracks.forEach((roomReduced, roomId) => releaseUnusedReducedTracks(roomId));
+    consumerPeers.forEach((roomConsumers, roomId) => {
+        roomConsumers.forEach((consumer, consumerId) => {
+            if (consumer.negotiating) return;
+            refreshConsumerBandwidth(roomId, consumerId, consumer).catch(error =>
+                log.error('Consumer bandwidth check failed', { roomId, userId: consumer.userId, consumerId, err: error })
+            );
+        });
+    });
+}, LAYER_CHECK_INTERVAL_MS).unref();
+
 module.exports = {
+    router,
     roomUserStreams,
     destroyRoomStreams,
     removeStream,
     removeUserStreams,
+    enforcePublishPolicy,
     removeConsumer,
+    removeUserConsumers,
     addIceCandidate,
-    iceServers,
     setIo,
     makeStreamKey,
     parseStreamKey,
+    getStats,
+    getSweepStats,
     sfuEvents
 };
 
-// Read SSL certificates
-const sslOptions = {
-    key: fs.readFileSync(SSL_KEY_PATH),
-    cert: fs.readFileSync(SSL_CERT_PATH)
-};
-
-// Create HTTPS server
-https.createServer(sslOptions, app).listen(5000, () => {
-    console.log('HTTPS server for SFU socket started on port 5000');
+// Calls other nodes make for rooms whose media lives here
+affinity.registerService('sfu', {
+    destroyRoomStreams,
+    removeStream,
+    removeUserStreams,
+    enforcePublishPolicy,
+    removeConsumer,
+    removeUserConsumers,
+    addIceCandidate,
+    handleForwardedRequest,
+    getActiveSpeaker: activeSpeaker.getActiveSpeaker,
+    reportConnectionStats: connectionQuality.reportStats,
+    getConnectionQuality: connectionQuality.getRoomQuality
 });
+affinity.registerNode();
@@ -0,0 +1,95 @@
+/**
+ * Simulcast layer selection
+ * Publishers with "Optimize video streaming" on send their camera / screen
+ * track as three layers (see sfu-broadcast.js). wrtc cannot receive RID-based
+ * simulcast, so each layer arrives on its own transceiver as a separate track;
+ * this module decides which layer each consumer is sent.
+ */
+
+'use strict';
+
+// Layers publishers send, lowest first (heights for a 720p source)
+const VIDEO_LAYERS = [
+    { name: 'low', height: 180, bitrate: 150000 },
+    { name: 'mid', height: 360, bitrate: 500000 },
+    { name: 'high', height: 720, bitrate: 1500000 }
+];
+
+const LAYER_NAMES = VIDEO_LAYERS.map(layer => layer.name);
+
+// The layer carried by the publisher's original track (and the only one without simulcast)
+const BASE_LAYER = 'high';
+
+// Rough allowance per forwarded audio track when fitting video into a consumer's bandwidth
+const AUDIO_BITRATE_ESTIMATE = 50000;
+
+function isLayerName(name) {
+    return LAYER_NAMES.includes(name);
+}
+
+function layerBitrate(name) {
+    return VIDEO_LAYERS[LAYER_NAMES.indexOf(name)].bitrate;
+}
+
+/**
+ * Smallest layer that fills a tile of this height (device pixels).
+ * Unknown sizes get the full-quality layer.
+ */
+function layerForTileHeight(height) {
+    if (!Number.isFinite(height) || height <= 0) return BASE_LAYER;
+    const layer = VIDEO_LAYERS.find(candidate => candidate.height >= height);
+    return layer ? layer.name : BASE_LAYER;
+}
+
+/**
+ * Pick a layer for every video slot a consumer receives: the preferred (tile
+ * size) layer, stepped down while the total exceeds the consumer's bandwidth.
+ * Cameras are stepped down before screen shares so shared slides stay readable.
+ *
+ * @param {Array} slots - [{ id, available, preferred, isScreen }] where
+ *   available lists the layers the publisher sends, lowest first
+ * @param {number} audioCount - audio tracks forwarded alongside
+ * @param {number|null} bandwidth - consumer's estimated downlink (bps), null if unknown
+ * @returns {Map} slot id -> layer name
+ */
+function chooseLayers(slots, audioCount, bandwidth) {
+    const picks = new Map();
+
+    slots.forEach(slot => {
+        const maxIndex = LAYER_NAMES.indexOf(slot.preferred);
+        const fitting = slot.available.filter(name => LAYER_NAMES.indexOf(name) <= maxIndex);
+        picks.set(slot.id, fitting.length > 0 ? fitting[fitting.length - 1] : slot.available[0]);
+    });
+
+    if (!bandwidth) return picks;
+
+    const budget = bandwidth - audioCount * AUDIO_BITRATE_ESTIMATE;
+    let total = 0;
+    picks.forEach(name => { total += layerBitrate(name); });
+
+    while (total > budget) {
+        const reducible = slots.filter(slot => slot.available.indexOf(picks.get(slot.id)) > 0);
+        if (reducible.length === 0) break;
+
+        reducible.sort((a, b) =>
+            (a.isScreen - b.isScreen) || (layerBitrate(picks.get(b.id)) - layerBitrate(picks.get(a.id)))
+        );
+        const slot = reducible[0];
+        const current = picks.get(slot.id);
+        const lower = slot.available[slot.available.indexOf(current) - 1];
+
+        total -= layerBitrate(current) - layerBitrate(lower);
+        picks.set(slot.id, lower);
+    }
+
+    return picks;
+}
+
+module.exports = {
+    VIDEO_LAYERS,
+    LAYER_NAMES,
+    BASE_LAYER,
+    isLayerName,
+    layerForTileHeight,
+    chooseLayers
+};
@@ -5,21 +5,50 @@
 
 const roomsModule = require('../modules/rooms');
 const chatModule = require('../modules/chat');
-const sfuModule = require('../sfu/sfu');
-const recorder = require('../recorder');
+const affinity = require('../sfu/affinity');
+const cluster = require('../cluster');
+const authModule = require('../modules/auth');
+const { getSocketIp } = require('../modules/client-ip');
+const log = require('../modules/logger').createLogger('SocketEvents');
 
-// Track socket connections
+// Track socket connections (sockets on this process only)
 const socketConnections = new Map();
 
+// Sockets waiting in a room's lobby: socketId -> { roomId, userId }
+const lobbySockets = new Map();
+
+// How long a dropped participant keeps their seat before they are treated as gone
+const RECONNECT_GRACE_MS = 30000;
+
+// Seats held for dropped participants on this node: userRoom -> timeout
+const reconnectTimers = new Map();
+
+// Disconnect reasons that mean the client left on purpose (or was removed)
+const DELIBERATE_DISCONNECTS = ['client namespace disconnect', 'server namespace disconnect', 'server shutting down'];
+
+// SFU peers a client may trickle ICE candidates to (see sfu.js addIceCandidate)
+const ICE_PEER_TYPES = ['publisher', 'consumer', 'broadcaster'];
+
 /**
  * Initialize socket event handlers
  */
 function initSocketEvents(io) {
+  // A moderator on another node admitted a user whose lobby socket is on this one
+  io.on('lobby-admitted', ({ roomId, userId, socketId }) => {
+    const waitingSocket = io.sockets.sockets.get(socketId);
+    const room = roomsModule.getRoom(roomId);
+    if (!waitingSocket || !room) return;
+
+    lobbySockets.delete(socketId);
+    log.info('User admitted from the lobby', { roomId, userId });
+    joinSocketToRoom(io, waitingSocket, room, userId);
+  });
+
   io.on('connection', (socket) => {
 
     // Handle user joining a room
     socket.on('join-room', (data) => {
-      const { roomId, userId } = data;
+      const { roomId, token } = data || {};
 
       const room = roomsModule.getRoom(roomId);
 
@@ -28,95 +57,89 @@ function initSocketEvents(io) {
         return;
       }
 
-      socket.join(roomId);
-      roomsModule.joinRoom(roomId, userId);
-
-      socketConnections.set(socket.id, { roomId, userId });
-
-      // Get user profile
-      const userProfile = roomsModule.getUserProfile(userId) || { userId, name: 'Anonymous' };
-      const userName = userProfile.name || 'Anonymous';
-
-      // Welcome log message
-      console.log(`\n Welcome ${userName} (${userId}) to room "${room.name}" (${roomId})!`);
-      console.log(`   Room has ${room.participants.size} participant(s)`);
-
-      // Get all users in the room
-      const roomUsers = roomsModule.getRoomUsers(roomId);
-
-      // Get chat history for the room
-      const chatHistory = chatModule.getRoomMessages(roomId);
-
-      // Include current recording status so rejoining users sync immediately
-      const recStatus = recorder.getStatus(roomId);
-
-      const roomJoinedData = {
-        roomId: room.id,
-        roomName: room.name,
-        participantCount: room.participants.size,
-        users: roomUsers,
-        chatHistory: chatHistory,
-        recordingActive: recStatus.active,
-        adminState: room.adminState || {}
-      };
-
-      socket.emit('room-joined', roomJoinedData);
-
-      // Notify other users that a new user has joined
-      const userJoinedData = {
-        userId: userId,
-        socketId: socket.id,
-        user: userProfile,
-        participantCount: room.participants.size
-      };
-
-      socket.to(roomId).emit('user-joined', userJoinedData);
-
-      // Send existing users to the new user
-      const existingUsers = [];
-      socketConnections.forEach((connInfo, sockId) => {
-        if (connInfo.roomId === roomId && connInfo.userId !== userId) {
-          const existingUser = roomsModule.getUserProfile(connInfo.userId) || { userId: connInfo.userId, name: 'Anonymous' };
-          existingUsers.push({
-            userId: connInfo.userId,
-            socketId: sockId,
-            user: {
-              ...existingUser,
-              name: existingUser.name || 'Anonymous'
-            }
-          });
-        }
-      });
+      // Identity comes from the signed session token, never from the payload
+      const session = authModule.verifySessionToken(token, roomId);
+      if (!session) {
+        log.warn('join-room rejected — invalid or missing session token', { roomId });
+        socket.emit('room-error', { message: 'Your session is invalid or has expired', code: 'unauthorized' });
+        return;
+      }
+      const { userId } = session;
+      socket.data.session = session;
+
+      if (roomsModule.isBanned(roomId, userId, getSocketIp(socket))) {
+        log.warn('join-room rejected — user is banned', { roomId, userId });
+        socket.emit('room-error', { message: 'You have been banned from this room', code: 'banned' });
+        return;
+      }
 
-      if (existingUsers.length > 0) {
-        socket.emit('existing-users', {
-          users: existingUsers,
-          roomId: roomId
+      const scheduleAccess = roomsModule.checkScheduleAccess(roomId, userId);
+      if (!scheduleAccess.ok) {
+        log.warn('join-room rejected — outside the scheduled window', { roomId, userId, reason: scheduleAccess.reason });
+        socket.emit('room-error', {
+          message: scheduleAccess.reason === 'ended' ? 'This meeting has ended' : 'This meeting has not started yet',
+          code: 'outside-schedule',
+          opensAt: scheduleAccess.opensAt || null
         });
+        return;
+      }
+
+      if (roomsModule.isRoomFull(roomId, userId)) {
+        log.warn('join-room rejected — room is full', { roomId, userId, maxUsers: room.maxUsers });
+        socket.emit('room-error', { message: `Room is full (max ${room.maxUsers} participants)`, code: 'room-full' });
+        return;
+      }
 
-        // Send current media states so the new user can render correct mic/camera/screen icons
-        const mediaStates = existingUsers.map(eu => ({
-          userId: eu.userId,
-          ...roomsModule.getUserMediaState(eu.userId)
-        }));
-        socket.emit('sync-media-states', { mediaStates });
+      // Lobby: hold the socket until the host admits it
+      if (roomsModule.requiresAdmission(roomId, userId)) {
+        placeInLobby(io, socket, room, userId);
+        return;
       }
+
+      joinSocketToRoom(io, socket, room, userId);
     });
 
     // Handle user leaving a room
     socket.on('leave-room', (data) => {
-      const { roomId, userId } = data;
-      handleUserLeave(socket, roomId, userId);
+      const { roomId } = data || {};
+      const userId = getSessionUserId(socket, roomId);
+      if (!userId) return;
+
+      // Leaving from the lobby: just drop the waiting entry
+      if (lobbySockets.has(socket.id)) {
+        lobbySockets.delete(socket.id);
+        if (roomsModule.removeWaitingUser(roomId, userId)) notifyLobbyUpdate(io, roomId);
+        return;
+      }
+
+      handleUserLeave(io, socket, roomId, userId);
     });
 
     // Handle socket disconnection
-    socket.on('disconnect', () => {
+    socket.on('disconnect', (reason) => {
+      // Drop lobby entries for clients that gave up waiting
+      const lobbyInfo = lobbySockets.get(socket.id);
+      if (lobbyInfo) {
+        lobbySockets.delete(socket.id);
+        const entry = roomsModule.getRoom(lobbyInfo.roomId)?.waitingUsers.get(lobbyInfo.userId);
+        if (entry && entry.socketId === socket.id) {
+          roomsModule.removeWaitingUser(lobbyInfo.roomId, lobbyInfo.userId);
+          notifyLobbyUpdate(io, lobbyInfo.roomId);
+        }
+      }
+
       const connectionInfo = socketConnections.get(socket.id);
 
       if (connectionInfo) {
         const { roomId, userId } = connectionInfo;
-        handleUserLeave(socket, roomId, userId);
         socketConnections.delete(socket.id);
+
+        // Dropped connection (network blip, laptop sleep): hold the seat for a while
+        if (DELIBERATE_DISCONNECTS.includes(reason)) {
+          handleUserLeave(io, socket, roomId, userId);
+        } else {
+          holdSeatForReconnect(io, roomId, userId, reason);
+        }
       }
     });
 
@@ -125,20 +148,41 @@ function initSocketEvents(io) {
       handleChatMessage(socket, io, data);
     });
 
-    // Handle ICE candidate from client
-    socket.on('ice-candidate', async (data) => {
-      const { roomId, userId, candidate, type, streamKey } = data;
-      if (roomId && userId && candidate) {
-        await sfuModule.addIceCandidate(roomId, userId, candidate, type, streamKey);
+    // Handle ICE candidate from client (the peer lives on the room's SFU node).
+    // Candidates only go to the sender's own peers: publisher peers are looked up
+    // by the session's userId, consumer peers by this socket's id, and a
+    // broadcaster streamKey must be theirs.
+    socket.on('ice-candidate', (data) => {
+      const { roomId, candidate, type, streamKey } = data || {};
+      const userId = getSessionUserId(socket, roomId);
+      if (!roomId || !userId || !candidate || !ICE_PEER_TYPES.includes(type)) {
+        return;
+      }
+      if (type === 'broadcaster' && (typeof streamKey !== 'string' || streamKey.split(':')[0] !== userId)) {
+        log.warn('ICE candidate for a stream the user does not own', { roomId, userId, streamKey });
+        return;
+      }
+      const peerKey = type === 'consumer' ? socket.id : streamKey;
+      affinity.runOnRoomNode(roomId, 'sfu', 'addIceCandidate', roomId, userId, candidate, type, peerKey);
+    });
+
+    // Periodic getStats() summary for one of the sender's SFU peers (see sfu/connection-quality.js)
+    socket.on('connection-stats', (data) => {
+      const { roomId, stats } = data || {};
+      const userId = getSessionUserId(socket, roomId);
+      if (!roomId || !userId || !stats || typeof stats !== 'object') {
+        return;
       }
+      affinity.runOnRoomNode(roomId, 'sfu', 'reportConnectionStats', roomId, userId, stats);
     });
 
     // Handle hands-up toggle
     socket.on('toggle-handsup', (data) => {
-      const { roomId, userId, handsUp } = data;
+      const { roomId, handsUp } = data || {};
+      const userId = getSessionUserId(socket, roomId);
 
       if (!roomId || !userId) {
-        console.warn('[SocketEvents] Invalid toggle-handsup data:', data);
+        log.warn('Invalid toggle-handsup data', { roomId, data });
         return;
       }
 
@@ -147,7 +191,7 @@ function initSocketEvents(io) {
         return;
       }
 
-      console.log(`[SocketEvents] User ${userId} ${handsUp ? 'raised' : 'lowered'} hand in room ${roomId}`);
+      log.info(`Hand ${handsUp ? 'raised' : 'lowered'}`, { roomId, userId });
 
       // Persist hands-up state
       roomsModule.setUserMediaState(userId, { handsUp: !!handsUp });
@@ -161,10 +205,11 @@ function initSocketEvents(io) {
 
     // Handle media state update — client sends full state, server persists and broadcasts
     socket.on('request-media-update', (data) => {
-      const { roomId, userId, audioOn, videoOn, screenOn } = data;
+      const { roomId, audioOn, videoOn, screenOn } = data || {};
+      const userId = getSessionUserId(socket, roomId);
 
       if (!roomId || !userId) {
-        console.warn('[SocketEvents] Invalid request-media-update data:', data);
+        log.warn('Invalid request-media-update data', { roomId, data });
         return;
       }
 
@@ -178,7 +223,7 @@ function initSocketEvents(io) {
         screenOn: !!screenOn
       });
 
-      console.log(`[SocketEvents] Media update for ${userId} in room ${roomId}: audio=${state.audioOn}, video=${state.videoOn}, screen=${state.screenOn}`);
+      log.info('Media update', { roomId, userId, audio: state.audioOn, video: state.videoOn, screen: state.screenOn });
 
       // Broadcast the complete state to everyone in the room (including sender)
       io.to(roomId).emit('user-media-update', {
@@ -191,10 +236,11 @@ function initSocketEvents(io) {
 
     // Handle emoji reaction
     socket.on('emoji-reaction', (data) => {
-      const { roomId, userId, emoji } = data;
+      const { roomId, emoji } = data || {};
+      const userId = getSessionUserId(socket, roomId);
 
       if (!roomId || !userId || !emoji) {
-        console.warn('[SocketEvents] Invalid emoji-reaction data:', data);
+        log.warn('Invalid emoji-reaction data', { roomId, data });
         return;
       }
 
@@ -203,7 +249,7 @@ function initSocketEvents(io) {
         return;
       }
 
-      console.log(`[SocketEvents] User ${userId} reacted with ${emoji} in room ${roomId}`);
+      log.debug('Emoji reaction', { roomId, userId, emoji });
 
       // Broadcast to all users in the room (including sender)
       io.to(roomId).emit('emoji-reaction', {
@@ -212,64 +258,396 @@ function initSocketEvents(io) {
       });
     });
 
-    // ── Admin actions (host only) ──────────────────────────────────────────
-
-    function isRoomHost(roomId, userId) {
-      const room = roomsModule.getRoom(roomId);
-      return room && room.isActive && room.hostId === userId;
-    }
+    // ── Admin actions (checked per action against the requester's role) ────
 
     // Force-mute all participants
     socket.on('admin-force-mute', (data) => {
-      const { roomId, userId: requesterId, enabled } = data;
-      if (!isRoomHost(roomId, requesterId)) {
-        console.warn(`[SocketEvents] admin-force-mute rejected — ${requesterId} is not host`);
+      const { roomId, enabled } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'force-mute')) {
+        log.warn('admin-force-mute rejected — missing permission', { roomId, userId: requesterId, permission: 'force-mute' });
         return;
       }
-      const room = roomsModule.getRoom(roomId);
-      if (room) room.adminState = { ...(room.adminState || {}), forceMute: !!enabled };
-      console.log(`[SocketEvents] Host ${requesterId} force-mute=${enabled} in room ${roomId}`);
+      roomsModule.setAdminState(roomId, { forceMute: !!enabled });
+      log.info('Admin setting changed', { roomId, userId: requesterId, forceMute: enabled });
       io.to(roomId).emit('admin-force-mute', { enabled: !!enabled });
     });
 
     // Force-close camera for all participants
     socket.on('admin-force-camera', (data) => {
-      const { roomId, userId: requesterId, enabled } = data;
-      if (!isRoomHost(roomId, requesterId)) {
-        console.warn(`[SocketEvents] admin-force-camera rejected — ${requesterId} is not host`);
+      const { roomId, enabled } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'force-camera')) {
+        log.warn('admin-force-camera rejected — missing permission', { roomId, userId: requesterId, permission: 'force-camera' });
         return;
       }
-      const room = roomsModule.getRoom(roomId);
-      if (room) room.adminState = { ...(room.adminState || {}), forceCamera: !!enabled };
-      console.log(`[SocketEvents] Host ${requesterId} force-camera=${enabled} in room ${roomId}`);
+      roomsModule.setAdminState(roomId, { forceCamera: !!enabled });
+      log.info('Admin setting changed', { roomId, userId: requesterId, forceCamera: enabled });
       io.to(roomId).emit('admin-force-camera', { enabled: !!enabled });
     });
 
     // Disable / re-enable chat for all participants
     socket.on('admin-disable-chat', (data) => {
-      const { roomId, userId: requesterId, enabled } = data;
-      if (!isRoomHost(roomId, requesterId)) {
-        console.warn(`[SocketEvents] admin-disable-chat rejected — ${requesterId} is not host`);
+      const { roomId, enabled } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'disable-chat')) {
+        log.warn('admin-disable-chat rejected — missing permission', { roomId, userId: requesterId, permission: 'disable-chat' });
         return;
       }
-      const room = roomsModule.getRoom(roomId);
-      if (room) room.adminState = { ...(room.adminState || {}), chatDisabled: !!enabled };
-      console.log(`[SocketEvents] Host ${requesterId} disable-chat=${enabled} in room ${roomId}`);
+      roomsModule.setAdminState(roomId, { chatDisabled: !!enabled });
+      log.info('Admin setting changed', { roomId, userId: requesterId, disableChat: enabled });
       io.to(roomId).emit('admin-disable-chat', { enabled: !!enabled });
     });
 
     // Disable / re-enable emoji reactions for all participants
     socket.on('admin-disable-emoji', (data) => {
-      const { roomId, userId: requesterId, enabled } = data;
-      if (!isRoomHost(roomId, requesterId)) {
-        console.warn(`[SocketEvents] admin-disable-emoji rejected — ${requesterId} is not host`);
+      const { roomId, enabled } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'disable-emoji')) {
+        log.warn('admin-disable-emoji rejected — missing permission', { roomId, userId: requesterId, permission: 'disable-emoji' });
         return;
       }
-      const room = roomsModule.getRoom(roomId);
-      if (room) room.adminState = { ...(room.adminState || {}), emojiDisabled: !!enabled };
-      console.log(`[SocketEvents] Host ${requesterId} disable-emoji=${enabled} in room ${roomId}`);
+      roomsModule.setAdminState(roomId, { emojiDisabled: !!enabled });
+      log.info('Admin setting changed', { roomId, userId: requesterId, disableEmoji: enabled });
       io.to(roomId).emit('admin-disable-emoji', { enabled: !!enabled });
     });
+
+    // Change the room's participant limit (does not remove anyone already inside)
+    socket.on('admin-set-max-users', (data) => {
+      const { roomId, maxUsers } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'set-max-users')) {
+        log.warn('admin-set-max-users rejected — missing permission', { roomId, userId: requesterId, permission: 'set-max-users' });
+        return;
+      }
+      const applied = roomsModule.setMaxUsers(roomId, maxUsers);
+      log.info('Admin setting changed', { roomId, userId: requesterId, maxUsers: applied });
+      io.to(roomId).emit('admin-max-users', { maxUsers: applied });
+    });
+
+    // Turn the lobby on/off; turning it off lets everyone waiting in, and
+    // turns away whoever no longer fits (no one is left waiting without a lobby)
+    socket.on('admin-lobby', (data) => {
+      const { roomId, enabled } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-lobby')) {
+        log.warn('admin-lobby rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-lobby' });
+        return;
+      }
+      roomsModule.setLobbyEnabled(roomId, enabled);
+      log.info('Admin setting changed', { roomId, userId: requesterId, lobby: enabled });
+      io.to(roomId).emit('admin-lobby', { enabled: !!enabled });
+
+      if (!enabled) {
+        roomsModule.getWaitingUsers(roomId).forEach(w => {
+          if (!admitFromLobby(io, roomId, w.userId)) {
+            denyFromLobby(io, roomId, w.userId, 'The meeting is full');
+          }
+        });
+        notifyLobbyUpdate(io, roomId);
+      }
+    });
+
+    // Admit one waiting user
+    socket.on('lobby-admit', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-lobby')) {
+        log.warn('lobby-admit rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-lobby' });
+        return;
+      }
+      const admitted = admitFromLobby(io, roomId, targetUserId);
+      notifyLobbyUpdate(io, roomId, admitted ? null : 'Could not admit — the room is full');
+    });
+
+    // Admit everyone waiting (up to the room's capacity)
+    socket.on('lobby-admit-all', (data) => {
+      const { roomId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-lobby')) {
+        log.warn('lobby-admit-all rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-lobby' });
+        return;
+      }
+      const waiting = roomsModule.getWaitingUsers(roomId);
+      const admittedCount = waiting.filter(w => admitFromLobby(io, roomId, w.userId)).length;
+      log.info(`Admitted ${admittedCount}/${waiting.length} waiting user(s)`, { roomId, userId: requesterId });
+      notifyLobbyUpdate(io, roomId, admittedCount < waiting.length ? 'Some users could not be admitted — the room is full' : null);
+    });
+
+    // Deny one waiting user
+    socket.on('lobby-deny', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-lobby')) {
+        log.warn('lobby-deny rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-lobby' });
+        return;
+      }
+      if (denyFromLobby(io, roomId, targetUserId, 'The host did not let you into the meeting')) {
+        log.info('Lobby entry denied', { roomId, userId: requesterId, targetUserId });
+      }
+      notifyLobbyUpdate(io, roomId);
+    });
+
+    // Kick a single participant out of the room
+    socket.on('kick-user', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'kick-user')) {
+        log.warn('kick-user rejected — missing permission', { roomId, userId: requesterId, permission: 'kick-user' });
+        return;
+      }
+      if (!targetUserId || targetUserId === requesterId || roomsModule.getUserRole(roomId, targetUserId) === roomsModule.ROLES.HOST) {
+        log.warn('kick-user rejected — invalid target', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+      if (!roomsModule.isUserInRoom(roomId, targetUserId)) {
+        log.warn('kick-user rejected — target is not in the room', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      log.info('User kicked', { roomId, userId: requesterId, targetUserId });
+      removeUserFromRoom(io, roomId, targetUserId, 'You have been removed from the meeting by the host');
+    });
+
+    // Mute a single participant's microphone
+    socket.on('mute-user', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'mute-user')) {
+        log.warn('mute-user rejected — missing permission', { roomId, userId: requesterId, permission: 'mute-user' });
+        return;
+      }
+      if (!targetUserId || !roomsModule.isUserInRoom(roomId, targetUserId)) {
+        log.warn('mute-user rejected — target is not in the room', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+      if (roomsModule.getUserRole(roomId, targetUserId) === roomsModule.ROLES.HOST) {
+        log.warn('mute-user rejected — cannot mute the host', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      log.info('User muted', { roomId, userId: requesterId, targetUserId });
+
+      const state = roomsModule.setUserMediaState(targetUserId, { audioOn: false });
+      io.to(userRoom(roomId, targetUserId)).emit('admin-mute-user', { roomId, userId: targetUserId });
+
+      io.to(roomId).emit('user-media-update', {
+        userId: targetUserId,
+        audioOn: state.audioOn,
+        videoOn: state.videoOn,
+        screenOn: state.screenOn
+      });
+    });
+
+    // Ban a participant — removes them now and blocks every future join
+    socket.on('ban-user', async (data) => {
+      const { roomId, targetUserId, banIp } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'ban-user')) {
+        log.warn('ban-user rejected — missing permission', { roomId, userId: requesterId, permission: 'ban-user' });
+        return;
+      }
+      if (!targetUserId || targetUserId === requesterId || roomsModule.getUserRole(roomId, targetUserId) === roomsModule.ROLES.HOST) {
+        log.warn('ban-user rejected — invalid target', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      // Record the IP from whichever socket the target is connected on (any node)
+      const targetSockets = banIp ? await io.in(userRoom(roomId, targetUserId)).fetchSockets() : [];
+      const ip = targetSockets.length > 0 ? getSocketIp(targetSockets[0]) : null;
+
+      roomsModule.banUser(roomId, targetUserId, { ip, bannedBy: requesterId });
+      log.info('User banned', { roomId, userId: requesterId, targetUserId, ip });
+
+      if (roomsModule.isUserInRoom(roomId, targetUserId)) {
+        removeUserFromRoom(io, roomId, targetUserId, 'You have been banned from this meeting by the host');
+      }
+
+      socket.emit('banned-users', { roomId, bannedUsers: roomsModule.getBannedUsers(roomId) });
+    });
+
+    // Lift a ban
+    socket.on('unban-user', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'ban-user')) {
+        log.warn('unban-user rejected — missing permission', { roomId, userId: requesterId, permission: 'ban-user' });
+        return;
+      }
+
+      if (roomsModule.unbanUser(roomId, targetUserId)) {
+        log.info('User unbanned', { roomId, userId: requesterId, targetUserId });
+      }
+
+      socket.emit('banned-users', { roomId, bannedUsers: roomsModule.getBannedUsers(roomId) });
+    });
+
+    // Promote / demote a participant (co-host, presenter, participant)
+    socket.on('set-user-role', (data) => {
+      const { roomId, targetUserId, role } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'assign-roles')) {
+        log.warn('set-user-role rejected — missing permission', { roomId, userId: requesterId, permission: 'assign-roles' });
+        return;
+      }
+      if (!targetUserId || !roomsModule.isUserInRoom(roomId, targetUserId)) {
+        log.warn('set-user-role rejected — target is not in the room', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      const applied = roomsModule.setUserRole(roomId, targetUserId, role);
+      if (!applied) {
+        log.warn('set-user-role rejected — role not assignable', { roomId, userId: requesterId, targetUserId, role });
+        return;
+      }
+
+      log.info('Role changed', { roomId, userId: requesterId, targetUserId, role: applied });
+      io.to(roomId).emit('user-role-updated', { roomId, userId: targetUserId, role: applied });
+
+      // New moderators need the lobby list straight away
+      if (roomsModule.hasPermission(roomId, targetUserId, 'manage-lobby')) {
+        notifyLobbyUpdate(io, roomId);
+      }
+      if (roomsModule.hasPermission(roomId, targetUserId, 'manage-publishing')) {
+        notifyPublishRequests(io, roomId);
+      }
+
+      // A demoted co-host may lose the right to publish video
+      affinity.runOnRoomNode(roomId, 'sfu', 'enforcePublishPolicy', roomId);
+    });
+
+    // ── Stage mode: who may publish camera / screen video ───────────────────
+
+    // Change the room's publish policy (everyone / approved / host)
+    socket.on('admin-publish-policy', (data) => {
+      const { roomId, policy } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-publishing')) {
+        log.warn('admin-publish-policy rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-publishing' });
+        return;
+      }
+      const applied = roomsModule.setPublishPolicy(roomId, policy);
+      if (!applied) {
+        log.warn('admin-publish-policy rejected — unknown policy', { roomId, userId: requesterId, policy });
+        return;
+      }
+
+      log.info('Admin setting changed', { roomId, userId: requesterId, publishPolicy: applied });
+      io.to(roomId).emit('publish-policy', { roomId, ...roomsModule.getPublishState(roomId) });
+      affinity.runOnRoomNode(roomId, 'sfu', 'enforcePublishPolicy', roomId);
+    });
+
+    // A participant asks to share their camera or screen
+    socket.on('publish-request', (data) => {
+      const { roomId } = data || {};
+      const userId = getSessionUserId(socket, roomId);
+      if (!userId || !roomsModule.isUserInRoom(roomId, userId)) return;
+
+      if (roomsModule.canPublish(roomId, userId, 'screen')) {
+        socket.emit('publish-permission', { roomId, allowed: true });
+        return;
+      }
+      if (!roomsModule.addPublishRequest(roomId, userId)) return;
+
+      log.info('User asked to share video', { roomId, userId });
+      notifyPublishRequests(io, roomId);
+    });
+
+    // Approve a request (or let someone publish without one)
+    socket.on('publish-approve', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-publishing')) {
+        log.warn('publish-approve rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-publishing' });
+        return;
+      }
+      if (!targetUserId || !roomsModule.isUserInRoom(roomId, targetUserId)) {
+        log.warn('publish-approve rejected — target is not in the room', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      roomsModule.approvePublish(roomId, targetUserId);
+      log.info('Video sharing approved', { roomId, userId: requesterId, targetUserId });
+
+      io.to(userRoom(roomId, targetUserId)).emit('publish-permission', { roomId, allowed: true });
+      io.to(roomId).emit('publish-policy', { roomId, ...roomsModule.getPublishState(roomId) });
+      notifyPublishRequests(io, roomId);
+    });
+
+    // Turn a request down
+    socket.on('publish-deny', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-publishing')) {
+        log.warn('publish-deny rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-publishing' });
+        return;
+      }
+      if (!roomsModule.removePublishRequest(roomId, targetUserId)) return;
+
+      log.info('Video sharing request denied', { roomId, userId: requesterId, targetUserId });
+      io.to(userRoom(roomId, targetUserId)).emit('publish-permission', { roomId, allowed: false, reason: 'denied' });
+      notifyPublishRequests(io, roomId);
+    });
+
+    // Take back a participant's approval and stop what they are sharing
+    socket.on('publish-revoke', (data) => {
+      const { roomId, targetUserId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'manage-publishing')) {
+        log.warn('publish-revoke rejected — missing permission', { roomId, userId: requesterId, permission: 'manage-publishing' });
+        return;
+      }
+      if (!targetUserId || roomsModule.hasPermission(roomId, targetUserId, 'manage-publishing')) {
+        log.warn('publish-revoke rejected — invalid target', { roomId, userId: requesterId, targetUserId });
+        return;
+      }
+
+      roomsModule.revokePublish(roomId, targetUserId);
+      log.info('Video sharing revoked', { roomId, userId: requesterId, targetUserId });
+
+      // The revocation keeps them from sharing again (see canPublish); stop what they share now
+      ['camera', 'screen'].forEach(streamType => {
+        affinity.runOnRoomNode(roomId, 'sfu', 'removeStream', roomId, targetUserId, streamType);
+      });
+      io.to(userRoom(roomId, targetUserId)).emit('publish-permission', { roomId, allowed: false, reason: 'revoked' });
+      io.to(roomId).emit('publish-policy', { roomId, ...roomsModule.getPublishState(roomId) });
+      notifyPublishRequests(io, roomId);
+    });
+
+    // Put a participant's camera / screen in everyone's main view (no targetUserId clears it)
+    socket.on('set-spotlight', (data) => {
+      const { roomId, targetUserId, streamType } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'spotlight')) {
+        log.warn('set-spotlight rejected — missing permission', { roomId, userId: requesterId, permission: 'spotlight' });
+        return;
+      }
+
+      if (!targetUserId) {
+        if (!roomsModule.clearSpotlight(roomId)) return;
+        log.info('Spotlight cleared', { roomId, userId: requesterId });
+      } else {
+        const spotlight = roomsModule.setSpotlight(roomId, targetUserId, streamType || 'camera', requesterId);
+        if (!spotlight) {
+          log.warn('set-spotlight rejected — invalid target', { roomId, userId: requesterId, targetUserId, streamType });
+          return;
+        }
+        log.info('Spotlight set', { roomId, userId: requesterId, targetUserId, streamType: spotlight.streamType });
+      }
+
+      io.to(roomId).emit('spotlight-changed', { roomId, spotlight: roomsModule.getSpotlight(roomId) });
+    });
+
+    // Send the current ban list back to the requester
+    socket.on('list-banned-users', (data) => {
+      const { roomId } = data || {};
+      const requesterId = getSessionUserId(socket, roomId);
+      if (!roomsModule.hasPermission(roomId, requesterId, 'ban-user')) {
+        log.warn('list-banned-users rejected — missing permission', { roomId, userId: requesterId, permission: 'ban-user' });
+        return;
+      }
+      socket.emit('banned-users', { roomId, bannedUsers: roomsModule.getBannedUsers(roomId) });
+    });
   });
 
   // ── Periodic media-state heartbeat ─────────────────────────────────────
@@ -278,42 +656,357 @@ function initSocketEvents(io) {
   // missed events, brief disconnects, or race conditions on join.
   const MEDIA_SYNC_INTERVAL_MS = 60_000;
   setInterval(() => broadcastMediaStateSync(io), MEDIA_SYNC_INTERVAL_MS);
-  console.log(`[SocketEvents] Media-state heartbeat started (every ${MEDIA_SYNC_INTERVAL_MS / 1000}s)`);
+  log.info(`Media-state heartbeat started (every ${MEDIA_SYNC_INTERVAL_MS / 1000}s)`);
+}
+
+/**
+ * Socket.io room holding every socket a user has open in a room, on any node
+ */
+function userRoom(roomId, userId) {
+  return `${roomId}:user:${userId}`;
+}
+
+/**
+ * Seat a socket in a room and send it everything it needs to render the meeting
+ */
+async function joinSocketToRoom(io, socket, joinedRoom, userId) {
+  const roomId = joinedRoom.id;
+
+  // Coming back within the grace period: pick up the held seat quietly
+  const resumed = roomsModule.resumeParticipant(roomId, userId);
+  if (resumed) clearReconnectTimer(roomId, userId);
+
+  socket.join([roomId, userRoom(roomId, userId)]);
+  roomsModule.joinRoom(roomId, userId);
+
+  socketConnections.set(socket.id, { roomId, userId });
+
+  // Pin the room's media to an SFU node before anyone starts publishing
+  affinity.assignRoomNode(roomId);
+
+  // Include current recording status, speaker and connection badges so rejoining users sync immediately
+  const [recStatus, activeSpeakerId, connectionQuality] = await Promise.all([
+    affinity.callOnRoomNode(roomId, 'recorder', 'getStatus', roomId).catch(() => ({ active: false })),
+    affinity.callOnRoomNode(roomId, 'sfu', 'getActiveSpeaker', roomId).catch(() => null),
+    affinity.callOnRoomNode(roomId, 'sfu', 'getConnectionQuality', roomId).catch(() => ({}))
+  ]);
+
+  // Re-read the room: another node may have replaced it while we waited
+  const room = roomsModule.getRoom(roomId) || joinedRoom;
+
+  // Get user profile
+  const userProfile = roomsModule.getUserProfile(userId) || { userId, name: 'Anonymous' };
+  const userName = userProfile.name || 'Anonymous';
+
+  // Welcome log message
+  if (resumed) {
+    log.info('User reconnected', { roomId, userId, name: userName });
+  } else {
+    log.info('User joined', { roomId, userId, name: userName, participants: room.participants.size });
+  }
+
+  // Get all users in the room
+  const roomUsers = roomsModule.getRoomUsers(roomId);
+
+  // Get chat history for the room
+  const chatHistory = chatModule.getRoomMessages(roomId);
+
+  const roomJoinedData = {
+    roomId: room.id,
+    roomName: room.name,
+    participantCount: room.participants.size,
+    users: roomUsers,
+    chatHistory: chatHistory,
+    recordingActive: recStatus.active,
+    activeSpeakerId,
+    connectionQuality,
+    adminState: room.adminState || {},
+    maxUsers: room.maxUsers,
+    lobbyEnabled: room.lobbyEnabled,
+    hostId: room.hostId,
+    role: roomsModule.getUserRole(roomId, userId),
+    publishPolicy: roomsModule.getPublishState(roomId),
+    spotlight: roomsModule.getSpotlight(roomId),
+    resumed
+  };
+  if (roomsModule.hasPermission(roomId, userId, 'manage-publishing')) {
+    roomJoinedData.publishRequests = roomsModule.getPublishRequests(roomId);
+  }
+
+  socket.emit('room-joined', roomJoinedData);
+
+  if (resumed) {
+    // Others still have this user listed — just clear the "reconnecting" mark
+    socket.to(roomId).emit('user-reconnected', { roomId, userId });
+  } else {
+    // Notify other users that a new user has joined
+    const userJoinedData = {
+      userId: userId,
+      socketId: socket.id,
+      user: { ...userProfile, role: roomsModule.getUserRole(roomId, userId) },
+      participantCount: room.participants.size
+    };
+
+    socket.to(roomId).emit('user-joined', userJoinedData);
+  }
+
+  // Send existing users to the new user (from the shared room state, so users
+  // connected to other nodes are included)
+  const existingUsers = [];
+  room.participants.forEach(participantId => {
+    if (participantId !== userId) {
+      const existingUser = roomsModule.getUserProfile(participantId) || { userId: participantId, name: 'Anonymous' };
+      existingUsers.push({
+        userId: participantId,
+        user: {
+          ...existingUser,
+          name: existingUser.name || 'Anonymous'
+        }
+      });
+    }
+  });
+
+  if (existingUsers.length > 0) {
+    socket.emit('existing-users', {
+      users: existingUsers,
+      roomId: roomId
+    });
+
+    // Send current media states so the new user can render correct mic/camera/screen icons
+    const mediaStates = existingUsers.map(eu => ({
+      userId: eu.userId,
+      ...roomsModule.getUserMediaState(eu.userId)
+    }));
+    socket.emit('sync-media-states', { mediaStates });
+  }
+
+  // Moderators get the current lobby list as soon as they (re)join
+  if (room.waitingUsers.size > 0 && roomsModule.hasPermission(roomId, userId, 'manage-lobby')) {
+    notifyLobbyUpdate(io, roomId);
+  }
+}
+
+/**
+ * Put a socket in the room's lobby and let the host know someone is waiting
+ */
+function placeInLobby(io, socket, room, userId) {
+  const roomId = room.id;
+
+  roomsModule.addWaitingUser(roomId, userId, socket.id);
+  lobbySockets.set(socket.id, { roomId, userId });
+
+  log.info('User waiting in the lobby', { roomId, userId });
+
+  socket.emit('lobby-waiting', { roomId, roomName: room.name });
+  notifyLobbyUpdate(io, roomId);
+}
+
+/**
+ * Let a waiting user into the room. Returns false when they could not be admitted.
+ */
+function admitFromLobby(io, roomId, userId) {
+  const room = roomsModule.getRoom(roomId);
+  if (!room || !room.isActive || !room.waitingUsers.has(userId)) return false;
+
+  if (roomsModule.isRoomFull(roomId, userId)) {
+    log.warn('Cannot admit user — room is full', { roomId, userId, maxUsers: room.maxUsers });
+    return false;
+  }
+
+  const entry = roomsModule.admitUser(roomId, userId);
+  const waitingSocket = io.sockets.sockets.get(entry.socketId);
+  lobbySockets.delete(entry.socketId);
+
+  // The waiting socket is on another node (or went away — the admission still stands)
+  if (!waitingSocket) {
+    if (cluster.isClustered()) {
+      io.serverSideEmit('lobby-admitted', { roomId, userId, socketId: entry.socketId });
+    }
+    return true;
+  }
+
+  log.info('User admitted from the lobby', { roomId, userId });
+  joinSocketToRoom(io, waitingSocket, room, userId);
+  return true;
+}
+
+/**
+ * Turn a waiting user away: drop their lobby entry and tell their socket why
+ * @returns {boolean} false if they were not waiting
+ */
+function denyFromLobby(io, roomId, userId, reason) {
+  const entry = roomsModule.removeWaitingUser(roomId, userId);
+  if (!entry) return false;
+
+  lobbySockets.delete(entry.socketId);
+  // Socket ids double as rooms, so this reaches the waiting socket on any node
+  io.to(entry.socketId).emit('lobby-denied', { roomId, reason });
+  io.in(entry.socketId).disconnectSockets(true);
+  return true;
+}
+
+/**
+ * Send the lobby list to everyone allowed to manage the lobby
+ */
+function notifyLobbyUpdate(io, roomId, message) {
+  const room = roomsModule.getRoom(roomId);
+  if (!room) return;
+
+  const payload = { roomId, waitingUsers: roomsModule.getWaitingUsers(roomId) };
+  if (message) payload.message = message;
+
+  roomsModule.getUsersWithPermission(roomId, 'manage-lobby').forEach(moderatorId => {
+    io.to(userRoom(roomId, moderatorId)).emit('lobby-update', payload);
+  });
+}
+
+/**
+ * Send the pending requests to share video to everyone allowed to answer them
+ */
+function notifyPublishRequests(io, roomId) {
+  const payload = { roomId, requests: roomsModule.getPublishRequests(roomId) };
+  roomsModule.getUsersWithPermission(roomId, 'manage-publishing').forEach(moderatorId => {
+    io.to(userRoom(roomId, moderatorId)).emit('publish-requests', payload);
+  });
+}
+
+/**
+ * The userId bound to this socket by its session token, if it belongs to roomId
+ */
+function getSessionUserId(socket, roomId) {
+  const session = socket.data.session;
+  return session && session.roomId === roomId ? session.userId : null;
 }
 
 /**
  * Handle user leaving a room
  */
-function handleUserLeave(socket, roomId, userId) {
+function handleUserLeave(io, socket, roomId, userId) {
+  socket.leave(roomId);
+  socket.leave(userRoom(roomId, userId));
+  clearReconnectTimer(roomId, userId);
+
+  removeParticipant(io, roomId, userId);
+}
+
+/**
+ * Drop a participant's seat, media and streams and tell the room they left
+ */
+function removeParticipant(io, roomId, userId) {
   const room = roomsModule.getRoom(roomId);
 
-  if (room) {
+  // Already removed (kicked / banned) — nothing left to announce
+  if (room && room.participants.has(userId)) {
     const userProfile = roomsModule.getUserProfile(userId) || { userId, name: 'Anonymous' };
     const userName = userProfile.name || 'Anonymous';
 
     roomsModule.leaveRoom(roomId, userId);
     roomsModule.clearUserMediaState(userId);
-    socket.leave(roomId);
 
     // Clean up all SFU streams for this user
-    sfuModule.removeUserStreams(roomId, userId);
+    affinity.runOnRoomNode(roomId, 'sfu', 'removeUserStreams', roomId, userId);
 
-    console.log(` ${userName} (${userId}) left room "${room.name}" (${roomId})`);
-    console.log(`  Room now has ${room.participants.size} participant(s)`);
+    log.info('User left', { roomId, userId, name: userName, participants: room.participants.size });
 
-    socket.to(roomId).emit('user-left', {
+    io.to(roomId).emit('user-left', {
       userId: userId,
       user: userProfile,
       participantCount: room.participants.size
     });
+
+    if (room.hostId === userId && room.participants.size > 0) {
+      handleHostLeft(io, roomId, userId);
+    }
   }
 }
 
+/**
+ * A participant's connection dropped: keep their seat, hand-raise and media
+ * state for RECONNECT_GRACE_MS and only treat them as gone if they do not
+ * come back in time.
+ */
+async function holdSeatForReconnect(io, roomId, userId, reason) {
+  const room = roomsModule.getRoom(roomId);
+  if (!room || !room.participants.has(userId)) return;
+
+  // Another tab is still connected — the user never left
+  const remaining = await io.in(userRoom(roomId, userId)).fetchSockets().catch(() => []);
+  if (remaining.length > 0) return;
+
+  const deadline = roomsModule.markReconnecting(roomId, userId, RECONNECT_GRACE_MS);
+  if (!deadline) return;
+
+  log.info(`User dropped — holding their seat for ${RECONNECT_GRACE_MS / 1000}s`, { roomId, userId, reason });
+  io.to(roomId).emit('user-reconnecting', { roomId, userId });
+
+  clearReconnectTimer(roomId, userId);
+  reconnectTimers.set(userRoom(roomId, userId), setTimeout(() => {
+    reconnectTimers.delete(userRoom(roomId, userId));
+
+    // They came back (possibly through another node), or dropped again since
+    if (roomsModule.getReconnectDeadline(roomId, userId) !== deadline) return;
+
+    log.info('User did not reconnect in time', { roomId, userId });
+    removeParticipant(io, roomId, userId);
+  }, RECONNECT_GRACE_MS));
+}
+
+function clearReconnectTimer(roomId, userId) {
+  const key = userRoom(roomId, userId);
+  clearTimeout(reconnectTimers.get(key));
+  reconnectTimers.delete(key);
+}
+
+/**
+ * Pass the host role to a co-host so the room stays manageable
+ */
+function handleHostLeft(io, roomId, previousHostId) {
+  const newHostId = roomsModule.transferHost(roomId);
+  if (!newHostId) {
+    log.info('Host left — no co-host to take over', { roomId, userId: previousHostId });
+    return;
+  }
+
+  log.info('Host left — co-host promoted', { roomId, userId: previousHostId, newHostId });
+  io.to(roomId).emit('host-changed', { roomId, hostId: newHostId, previousHostId });
+
+  const room = roomsModule.getRoom(roomId);
+  if (room && room.waitingUsers.size > 0) {
+    notifyLobbyUpdate(io, roomId);
+  }
+  notifyPublishRequests(io, roomId);
+}
+
+/**
+ * Force a user out of a room: tell their client why, drop their seat,
+ * tear down their SFU streams and disconnect their socket(s) on every node.
+ * The sockets' own disconnect handlers then find the seat already gone.
+ */
+function removeUserFromRoom(io, roomId, userId, reason) {
+  const targetRoom = userRoom(roomId, userId);
+
+  // Tell the client why before dropping it so it does not auto-reconnect
+  io.to(targetRoom).emit('kicked', { roomId, reason });
+
+  roomsModule.leaveRoom(roomId, userId);
+  roomsModule.clearUserMediaState(userId);
+  affinity.runOnRoomNode(roomId, 'sfu', 'removeUserStreams', roomId, userId);
+  io.to(roomId).except(targetRoom).emit('user-left', {
+    userId,
+    user: roomsModule.getUserProfile(userId) || { userId, name: 'Anonymous' },
+    participantCount: roomsModule.getRoom(roomId)?.participants.size || 0
+  });
+
+  io.in(targetRoom).disconnectSockets(true);
+  affinity.runOnRoomNode(roomId, 'sfu', 'removeUserConsumers', roomId, userId);
+}
+
 /**
  * Handle chat message
  */
 function handleChatMessage(socket, io, data) {
-  const { roomId, userId, userName, profileImage, message, timestamp } = data;
+  const { roomId, userName, profileImage, message, timestamp } = data || {};
+  const userId = getSessionUserId(socket, roomId);
 
   // Validate required fields
   if (!roomId || !userId || !message) {
@@ -347,9 +1040,9 @@ function handleChatMessage(socket, io, data) {
     // Broadcast message to all users in the room (including sender)
     io.to(roomId).emit('chat-message', savedMessage);
 
-    console.log(`Chat message from ${userName || 'Anonymous'} (${userId}) in room "${room.name}" (${roomId}): ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`);
+    log.info('Chat message', { roomId, userId, chatMessage: savedMessage.message });
   } catch (error) {
-    console.error('Error handling chat message:', error);
+    log.error('Error handling chat message', { roomId, userId, err: error });
     socket.emit('chat-error', { message: 'Failed to send message' });
   }
 }
@@ -365,6 +1058,8 @@ function broadcastMediaStateSync(io) {
 
   roomsModule.rooms.forEach((room, roomId) => {
     if (!room.isActive || room.participants.size === 0) return;
+    // Each room is synced once, by the node serving its media
+    if (!affinity.isLocalRoom(roomId)) return;
 
     const mediaStates = Array.from(room.participants).map(uid => ({
       userId: uid,
@@ -377,13 +1072,14 @@ function broadcastMediaStateSync(io) {
   });
 
   if (roomCount > 0) {
-    console.log(`[SocketEvents] Heartbeat: synced media states for ${userCount} user(s) across ${roomCount} room(s)`);
+    log.debug(`Heartbeat: synced media states for ${userCount} user(s) across ${roomCount} room(s)`);
   }
 }
 
 module.exports = {
   initSocketEvents,
   broadcastMediaStateSync,
+  userRoom,
   socketConnections
 };
 
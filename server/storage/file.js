@@ -0,0 +1,188 @@
+/**
+ * File storage driver
+ * Keeps each collection in memory and mirrors it to <dir>/<name>.json.
+ * Changed entries are appended to <dir>/<name>.log (debounced), so a write
+ * costs what changed rather than the whole collection; once the log outgrows
+ * the collection it is folded back into the .json file (temp file + rename).
+ * Sets, Maps and Dates round-trip through a tagged JSON encoding.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('../modules/logger').createLogger('Storage');
+
+// Coalesce bursts of changes (e.g. a busy chat) into one write
+const FLUSH_DELAY_MS = 250;
+
+// Rewrite <name>.json once the log holds more lines than this, or than the
+// collection has entries, whichever is larger
+const COMPACT_MIN_LINES = 1000;
+
+/**
+ * JSON.stringify replacer — reads this[key] because Date#toJSON runs first
+ */
+function replacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) return { __type: 'Date', value: raw.toISOString() };
+  if (raw instanceof Set) return { __type: 'Set', values: Array.from(raw) };
+  if (raw instanceof Map) return { __type: 'Map', entries: Array.from(raw) };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && value.__type) {
+    switch (value.__type) {
+      case 'Date': return new Date(value.value);
+      case 'Set': return new Set(value.values);
+      case 'Map': return new Map(value.entries);
+    }
+  }
+  return value;
+}
+
+/**
+ * A Map that schedules a write of its changed entries whenever it changes
+ */
+class FileCollection extends Map {
+  constructor(filePath, logPath, onChange) {
+    super();
+    this.filePath = filePath;
+    this.logPath = logPath;
+    this.onChange = onChange;
+    this.changedKeys = new Set();
+    this.logLines = 0;
+    this.rewrite = false;  // clear() — the log alone can't express it
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'), reviver);
+        entries.forEach(([key, value]) => super.set(key, value));
+      } catch (err) {
+        log.error('Failed to load collection', { file: this.filePath, err });
+      }
+    }
+    if (!fs.existsSync(this.logPath)) return;
+
+    fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const entry = JSON.parse(line, reviver);
+        if (entry.deleted) super.delete(entry.key);
+        else super.set(entry.key, entry.value);
+        this.logLines++;
+      } catch (err) {
+        // A line cut short by a crash mid-write
+        log.warn('Skipping unreadable log line', { file: this.logPath, err });
+      }
+    });
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.changedKeys.add(key);
+    this.onChange(this);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.changedKeys.add(key);
+      this.onChange(this);
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.rewrite = true;
+    this.onChange(this);
+  }
+
+  write() {
+    if (this.rewrite || this.logLines + this.changedKeys.size > Math.max(COMPACT_MIN_LINES, this.size)) {
+      this.compact();
+      return;
+    }
+    const lines = Array.from(this.changedKeys, key => JSON.stringify(
+      this.has(key) ? { key, value: this.get(key) } : { key, deleted: true },
+      replacer
+    ));
+    fs.appendFileSync(this.logPath, lines.join('\n') + '\n');
+    this.logLines += lines.length;
+    this.changedKeys.clear();
+  }
+
+  /**
+   * Fold the log into a fresh <name>.json
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this), replacer));
+    fs.renameSync(tmpPath, this.filePath);
+    fs.rmSync(this.logPath, { force: true });
+    this.logLines = 0;
+    this.changedKeys.clear();
+    this.rewrite = false;
+  }
+}
+
+function createFileDriver({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const collections = new Map();
+  const dirty = new Set();
+  let flushTimer = null;
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    dirty.forEach(col => {
+      try {
+        col.write();
+      } catch (err) {
+        log.error('Failed to write collection', { file: col.filePath, err });
+      }
+    });
+    dirty.clear();
+  }
+
+  function markDirty(col) {
+    dirty.add(col);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+      flushTimer.unref();
+    }
+  }
+
+  // Last chance to persist anything still pending
+  process.on('exit', flush);
+
+  return {
+    name: 'file',
+    persistent: true,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new FileCollection(
+          path.join(dir, `${name}.json`),
+          path.join(dir, `${name}.log`),
+          markDirty
+        ));
+      }
+      return collections.get(name);
+    },
+    names() {
+      const names = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') || file.endsWith('.log'))
+        .map(file => path.basename(file, path.extname(file)));
+      return Array.from(new Set(names));
+    },
+    flush
+  };
+}
+
+module.exports = createFileDriver;
@@ -0,0 +1,101 @@
+/**
+ * Storage Module
+ * Pluggable persistence for rooms, user profiles and chat.
+ *
+ * Every driver hands out Map-compatible collections, so callers keep using
+ * get/set/delete/forEach. Objects are stored by reference: after mutating a
+ * stored object in place, call set(key, obj) again so persistent drivers
+ * know it changed.
+ *
+ * STORAGE_DRIVER=memory (default) — in-process Maps, lost on restart
+ * STORAGE_DRIVER=file             — one JSON file per collection in STORAGE_DIR
+ *
+ * Clustered workers (CLUSTER_ADAPTER=ipc) always get replicated in-memory
+ * collections; the primary process applies STORAGE_DRIVER for them.
+ */
+
+const path = require('path');
+const createMemoryDriver = require('./memory');
+const createFileDriver = require('./file');
+const createReplicatedDriver = require('./replicated');
+const cluster = require('../cluster');
+const log = require('../modules/logger').createLogger('Storage');
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../data');
+
+function createDriver() {
+  if (cluster.isClustered()) {
+    return createReplicatedDriver({ persistent: STORAGE_DRIVER === 'file' });
+  }
+  switch (STORAGE_DRIVER) {
+    case 'memory':
+      return createMemoryDriver();
+    case 'file':
+      return createFileDriver({ dir: STORAGE_DIR });
+    default:
+      log.warn(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" — falling back to memory`);
+      return createMemoryDriver();
+  }
+}
+
+const driver = createDriver();
+log.info(`Using ${driver.name} driver`, driver.name === 'file' ? { dir: STORAGE_DIR } : {});
+
+// Collections that are shared between nodes but never written to disk
+const liveCollections = new Map();
+
+/**
+ * Get (or create) a named collection
+ * @param {string} name - e.g. 'rooms', 'users', 'chat'
+ * @param {Object} [options] - { persist: false } for live-only state that
+ *   other cluster nodes need but that should not survive a restart
+ * @returns {Map}
+ */
+function collection(name, { persist = true } = {}) {
+  if (cluster.isClustered()) return driver.collection(name, { persist });
+  if (persist) return driver.collection(name);
+
+  if (!liveCollections.has(name)) liveCollections.set(name, new Map());
+  return liveCollections.get(name);
+}
+
+/**
+ * Names of the persisted collections the driver holds (or has on disk)
+ */
+function collectionNames() {
+  return driver.names();
+}
+
+/**
+ * Resolves once collections hold their stored data: straight away for a
+ * single process, after the primary's snapshot for a clustered worker.
+ * `restore` is true for the first process to load the data after a start,
+ * which is the one that should clean up state left from before it.
+ * @returns {Promise<{ restore: boolean }>}
+ */
+function whenLoaded() {
+  return driver.whenLoaded ? driver.whenLoaded() : Promise.resolve({ restore: true });
+}
+
+/**
+ * Write any pending changes now (no-op for the memory driver)
+ */
+function flush() {
+  driver.flush();
+}
+
+/**
+ * Whether data outlives the process (lets callers skip restore work)
+ */
+function isPersistent() {
+  return driver.persistent;
+}
+
+module.exports = {
+  collection,
+  collectionNames,
+  whenLoaded,
+  flush,
+  isPersistent
+};
@@ -0,0 +1,22 @@
+/**
+ * In-memory storage driver — plain Maps, nothing survives a restart
+ */
+
+function createMemoryDriver() {
+  const collections = new Map();
+
+  return {
+    name: 'memory',
+    persistent: false,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new Map());
+      return collections.get(name);
+    },
+    names() {
+      return Array.from(collections.keys());
+    },
+    flush() {}
+  };
+}
+
+module.exports = createMemoryDriver;
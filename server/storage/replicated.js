@@ -0,0 +1,210 @@
+/**
+ * Replicated collections for clustered workers
+ * Each worker keeps a full in-memory copy of every collection. Changes are
+ * published on the cluster bus and applied by the other workers; the primary
+ * mirrors them into the configured driver and seeds new workers with a
+ * snapshot (see cluster/primary.js).
+ *
+ * Keep writing objects back with set() after changing them, as with the other
+ * drivers. For an object already stored, set() publishes only what changed,
+ * field by field: elements added to / removed from a Set, entries set / removed
+ * in a Map, and other fields replaced. Two workers changing different members
+ * of the same room (joins, roles, lobby) therefore both keep their change;
+ * only writes to the very same field or entry are last-write-wins.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const cluster = require('../cluster');
+
+const CHANNEL = 'storage';
+
+function isRecord(value) {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Field-level changes that turn prev into next:
+ * [{ field, type: 'set-add' | 'set-delete' | 'map-set' | 'map-delete' | 'assign', ... }]
+ */
+function diffRecord(prev, next) {
+  const ops = [];
+  const fields = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  fields.forEach(field => {
+    const before = prev[field];
+    const after = next[field];
+
+    if (before instanceof Set && after instanceof Set) {
+      const added = Array.from(after).filter(value => !before.has(value));
+      const removed = Array.from(before).filter(value => !after.has(value));
+      if (added.length > 0) ops.push({ field, type: 'set-add', values: added });
+      if (removed.length > 0) ops.push({ field, type: 'set-delete', values: removed });
+    } else if (before instanceof Map && after instanceof Map) {
+      after.forEach((value, key) => {
+        if (!before.has(key) || !isDeepStrictEqual(before.get(key), value)) {
+          ops.push({ field, type: 'map-set', key, value });
+        }
+      });
+      before.forEach((value, key) => {
+        if (!after.has(key)) ops.push({ field, type: 'map-delete', key });
+      });
+    } else if (!(field in next)) {
+      ops.push({ field, type: 'delete' });
+    } else if (!isDeepStrictEqual(before, after)) {
+      ops.push({ field, type: 'assign', value: after });
+    }
+  });
+  return ops;
+}
+
+/**
+ * Apply field-level changes (see diffRecord) to a stored object in place
+ */
+function applyPatch(target, ops) {
+  ops.forEach(op => {
+    const current = target[op.field];
+    switch (op.type) {
+      case 'set-add':
+        if (!(current instanceof Set)) target[op.field] = new Set();
+        op.values.forEach(value => target[op.field].add(value));
+        break;
+      case 'set-delete':
+        if (current instanceof Set) op.values.forEach(value => current.delete(value));
+        break;
+      case 'map-set':
+        if (!(current instanceof Map)) target[op.field] = new Map();
+        target[op.field].set(op.key, op.value);
+        break;
+      case 'map-delete':
+        if (current instanceof Map) current.delete(op.key);
+        break;
+      case 'delete':
+        delete target[op.field];
+        break;
+      default:
+        target[op.field] = op.value;
+    }
+  });
+}
+
+/**
+ * A Map that publishes its changes to the other workers
+ */
+class ReplicatedCollection extends Map {
+  constructor(name, persist) {
+    super();
+    this.name = name;
+    this.persist = persist;
+    this.replicated = new Map(); // key -> copy of the value as the other nodes have it
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    const previous = this.replicated.get(key);
+    if (isRecord(previous) && isRecord(value)) {
+      const ops = diffRecord(previous, value);
+      if (ops.length > 0) this.publish('patch', key, ops);
+    } else {
+      this.publish('set', key, value);
+    }
+    this.remember(key, value);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    this.replicated.delete(key);
+    if (deleted) this.publish('delete', key);
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.replicated.clear();
+    this.publish('clear');
+  }
+
+  remember(key, value) {
+    this.replicated.set(key, structuredClone(value));
+  }
+
+  publish(op, key, value) {
+    cluster.publish(CHANNEL, { collection: this.name, persist: this.persist, op, key, value });
+  }
+
+  /**
+   * Apply a change made on another node without publishing it again
+   */
+  apply({ op, key, value }) {
+    if (op === 'set') {
+      Map.prototype.set.call(this, key, value);
+      this.remember(key, value);
+    } else if (op === 'patch') {
+      // value holds the ops; the object may be gone here already (deleted meanwhile)
+      const target = this.get(key);
+      if (!target) return;
+      applyPatch(target, value);
+      this.remember(key, target);
+    } else if (op === 'delete') {
+      Map.prototype.delete.call(this, key);
+      this.replicated.delete(key);
+    } else if (op === 'clear') {
+      Map.prototype.clear.call(this);
+      this.replicated.clear();
+    }
+  }
+
+  /**
+   * Replace the contents with a snapshot from the primary
+   */
+  load(entries) {
+    Map.prototype.clear.call(this);
+    this.replicated.clear();
+    entries.forEach(([key, value]) => {
+      Map.prototype.set.call(this, key, value);
+      this.remember(key, value);
+    });
+  }
+}
+
+function createReplicatedDriver({ persistent }) {
+  const collections = new Map();
+  let snapshot = null;
+  let resolveLoaded;
+  const loaded = new Promise(resolve => { resolveLoaded = resolve; });
+
+  cluster.subscribe(CHANNEL, change => {
+    if (change.op === 'snapshot') {
+      snapshot = change.collections;
+      collections.forEach((col, name) => col.load(snapshot[name] || []));
+      resolveLoaded({ restore: !!change.restore });
+      return;
+    }
+    const col = collections.get(change.collection);
+    if (col) col.apply(change);
+  });
+
+  return {
+    name: 'replicated',
+    persistent,  // the primary persists with the configured driver
+    collection(name, { persist = true } = {}) {
+      if (!collections.has(name)) {
+        const col = new ReplicatedCollection(name, persist);
+        if (snapshot) col.load(snapshot[name] || []);
+        collections.set(name, col);
+      }
+      return collections.get(name);
+    },
+    names() {
+      return Array.from(collections.keys());
+    },
+    flush() {},
+    whenLoaded() {
+      return loaded;
+    }
+  };
+}
+
+createReplicatedDriver.CHANNEL = CHANNEL;
+createReplicatedDriver.applyPatch = applyPatch;
+
+module.exports = createReplicatedDriver;